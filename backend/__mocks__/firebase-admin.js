@@ -0,0 +1,233 @@
+// In-memory stand-in for firebase-admin so server.js loads in tests without credentials.
+// Jest picks it up automatically for every test file (it sits next to node_modules).
+//   __setDoc('courses/c1', { ... })        seed a Firestore document
+//   __getDoc('courses/c1')                 read one back (undefined when missing)
+//   __setToken('token', { uid, email, role }) accept an ID token with these claims
+//   __reset()                              forget all documents and tokens
+// Queries apply where() filters (comparing Timestamps by time) and ignore ordering and limits.
+// Transactions run one at a time and apply their writes when the callback returns.
+const documents = new Map(); // 'collection/id' -> data
+const tokens = new Map();
+let autoId = 0;
+let transactionQueue = Promise.resolve();
+
+function timestamp(date) {
+  return { toDate: () => date, toMillis: () => date.getTime(), seconds: Math.floor(date.getTime() / 1000) };
+}
+
+// Copy plain objects and arrays; Timestamps and other values are shared
+const clone = value => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && Object.getPrototypeOf(value) === Object.prototype && typeof value.toMillis !== 'function') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+};
+
+const comparable = value => (value && typeof value.toMillis === 'function' ? value.toMillis() : value);
+
+// Resolve FieldValue sentinels against the current value of a field
+function resolveValue(current, value) {
+  if (!value || !value.__fieldValue) return value;
+  switch (value.__fieldValue) {
+    case 'serverTimestamp': return timestamp(new Date());
+    case 'increment': return (current || 0) + value.value;
+    case 'arrayUnion': return [...new Set([...(current || []), ...value.value])];
+    case 'arrayRemove': return (current || []).filter(item => !value.value.includes(item));
+    default: return value;
+  }
+}
+
+// Apply { field: value } (dotted paths allowed) onto a copy of data
+function applyFields(data, fields) {
+  const result = clone(data || {});
+  for (const [path, value] of Object.entries(fields)) {
+    const keys = path.split('.');
+    let target = result;
+    for (const key of keys.slice(0, -1)) {
+      target[key] = target[key] && typeof target[key] === 'object' ? target[key] : {};
+      target = target[key];
+    }
+    const last = keys[keys.length - 1];
+    if (value && value.__fieldValue === 'delete') {
+      delete target[last];
+    } else if (value && typeof value === 'object' && !value.__fieldValue && !Array.isArray(value) &&
+      typeof value.toMillis !== 'function' && !(value instanceof Date)) {
+      target[last] = applyFields(target[last], value);
+    } else {
+      target[last] = resolveValue(target[last], value);
+    }
+  }
+  return result;
+}
+
+const write = {
+  set: (path, data, options) => documents.set(path, applyFields(options?.merge ? documents.get(path) : {}, data)),
+  update: (path, data) => {
+    if (!documents.has(path)) throw new Error(`No document to update: ${path}`);
+    documents.set(path, applyFields(documents.get(path), data));
+  },
+  delete: path => documents.delete(path)
+};
+
+function docRef(collection, id) {
+  const path = `${collection}/${id}`;
+  return {
+    id,
+    path,
+    get: async () => docSnapshot(collection, id),
+    set: async (data, options) => write.set(path, data, options),
+    update: async data => write.update(path, data),
+    delete: async () => write.delete(path)
+  };
+}
+
+function docSnapshot(collection, id) {
+  const data = documents.get(`${collection}/${id}`);
+  return {
+    id,
+    exists: data !== undefined,
+    data: () => (data === undefined ? undefined : clone(data)),
+    ref: docRef(collection, id)
+  };
+}
+
+const operators = {
+  '==': (a, b) => comparable(a) === comparable(b),
+  '!=': (a, b) => comparable(a) !== comparable(b),
+  '<': (a, b) => comparable(a) < comparable(b),
+  '<=': (a, b) => comparable(a) <= comparable(b),
+  '>': (a, b) => comparable(a) > comparable(b),
+  '>=': (a, b) => comparable(a) >= comparable(b),
+  in: (a, b) => b.map(comparable).includes(comparable(a)),
+  'not-in': (a, b) => !b.map(comparable).includes(comparable(a)),
+  'array-contains': (a, b) => Array.isArray(a) && a.includes(b),
+  'array-contains-any': (a, b) => Array.isArray(a) && a.some(item => b.includes(item))
+};
+
+function query(collection, filters = []) {
+  const matches = () => [...documents.keys()]
+    .filter(path => path.startsWith(`${collection}/`) && !path.slice(collection.length + 1).includes('/'))
+    .map(path => docSnapshot(collection, path.slice(collection.length + 1)))
+    .filter(doc => filters.every(([field, op, value]) => {
+      const actual = field === '__name__' ? doc.id : doc.data()[field];
+      return actual !== undefined && operators[op](actual, value);
+    }));
+  const self = {
+    where: (field, op, value) => query(collection, [...filters, [field, op, value]]),
+    orderBy: () => self,
+    limit: () => self,
+    offset: () => self,
+    startAfter: () => self,
+    select: () => self,
+    get: async () => {
+      const docs = matches();
+      return {
+        docs,
+        empty: docs.length === 0,
+        size: docs.length,
+        forEach: fn => docs.forEach(fn),
+        docChanges: () => docs.map(doc => ({ type: 'added', doc }))
+      };
+    },
+    count: () => ({ get: async () => ({ data: () => ({ count: matches().length }) }) }),
+    onSnapshot: () => () => {}
+  };
+  return self;
+}
+
+// Batches and transactions queue writes and apply them in order
+function writeQueue() {
+  const writes = [];
+  const queue = {
+    set: (ref, data, options) => { writes.push(() => write.set(ref.path, data, options)); return queue; },
+    create: (ref, data) => {
+      writes.push(() => {
+        if (documents.has(ref.path)) throw new Error(`Document already exists: ${ref.path}`);
+        write.set(ref.path, data);
+      });
+      return queue;
+    },
+    update: (ref, data) => { writes.push(() => write.update(ref.path, data)); return queue; },
+    delete: ref => { writes.push(() => write.delete(ref.path)); return queue; }
+  };
+  return { queue, apply: () => writes.forEach(apply => apply()) };
+}
+
+const db = {
+  settings: () => {},
+  collection: name => ({
+    ...query(name),
+    doc: id => docRef(name, id || `auto${++autoId}`),
+    add: async data => {
+      const ref = docRef(name, `auto${++autoId}`);
+      await ref.set(data);
+      return ref;
+    }
+  }),
+  getAll: async (...refs) => Promise.all(refs.map(ref => ref.get())),
+  batch: () => {
+    const { queue, apply } = writeQueue();
+    return { ...queue, commit: async () => apply() };
+  },
+  runTransaction: fn => {
+    const run = transactionQueue.then(async () => {
+      const { queue, apply } = writeQueue();
+      const transaction = {
+        ...queue,
+        get: refOrQuery => refOrQuery.get(),
+        getAll: (...refs) => Promise.all(refs.map(ref => ref.get()))
+      };
+      const result = await fn(transaction);
+      apply();
+      return result;
+    });
+    transactionQueue = run.catch(() => {});
+    return run;
+  }
+};
+
+const sentinel = type => value => ({ __fieldValue: type, value });
+
+const firestore = () => db;
+firestore.FieldValue = {
+  serverTimestamp: sentinel('serverTimestamp'),
+  delete: sentinel('delete'),
+  increment: sentinel('increment'),
+  arrayUnion: (...values) => ({ __fieldValue: 'arrayUnion', value: values }),
+  arrayRemove: (...values) => ({ __fieldValue: 'arrayRemove', value: values })
+};
+firestore.Timestamp = {
+  now: () => timestamp(new Date()),
+  fromDate: date => timestamp(date),
+  fromMillis: ms => timestamp(new Date(ms))
+};
+firestore.FieldPath = { documentId: () => '__name__' };
+
+const authClient = {
+  verifyIdToken: async token => {
+    if (!tokens.has(token)) {
+      const error = new Error('Invalid token');
+      error.errorInfo = { code: 'auth/argument-error' };
+      throw error;
+    }
+    return tokens.get(token);
+  },
+  revokeRefreshTokens: async () => {},
+  getUser: async uid => ({ uid, customClaims: {} }),
+  setCustomUserClaims: async () => {}
+};
+
+module.exports = {
+  initializeApp: () => {},
+  credential: { cert: serviceAccount => serviceAccount },
+  firestore,
+  auth: () => authClient,
+  __setDoc: (path, data) => documents.set(path, data),
+  __getDoc: path => documents.get(path),
+  __setToken: (token, claims) => tokens.set(token, claims),
+  __reset: () => {
+    documents.clear();
+    tokens.clear();
+  }
+};
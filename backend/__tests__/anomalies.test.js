@@ -0,0 +1,53 @@
+process.env.QR_SECRET = 'test-qr-secret';
+process.env.FIREBASE_SERVICE_ACCOUNT_JSON = JSON.stringify({ project_id: 'test' });
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+const { anomalyScore, needsReview, detectScanAnomalies } = require('../server');
+
+describe('anomalyScore', () => {
+  test('adds up the points of each rule that fired', () => {
+    expect(anomalyScore([])).toBe(0);
+    expect(anomalyScore(['unregistered_device'])).toBe(20);
+    expect(anomalyScore(['shared_device', 'late_scan'])).toBe(70);
+  });
+
+  test('counts a repeated flag once and ignores unknown flags', () => {
+    expect(anomalyScore(['late_scan', 'late_scan'])).toBe(20);
+    expect(anomalyScore(['late_scan', 'not_a_rule'])).toBe(20);
+  });
+});
+
+describe('needsReview', () => {
+  test('a single weak signal does not go to review', () => {
+    expect(needsReview(['unregistered_device'])).toBe(false);
+    expect(needsReview(['late_scan'])).toBe(false);
+  });
+
+  test('strong signals, or weak ones together, do', () => {
+    expect(needsReview(['identical_coordinates'])).toBe(true);
+    expect(needsReview(['unregistered_device', 'late_scan'])).toBe(true);
+  });
+});
+
+describe('detectScanAnomalies late_scan', () => {
+  const rotating = { qrMode: 'rotating', qrRotationSeconds: 15 };
+  const window = 1000000;
+  const windowEnd = (window + 1) * 15000;
+
+  test('flags a rotating token scanned past its window and the grace period', async () => {
+    const { flags } = await detectScanAnomalies({ session: rotating, qrWindow: window, now: windowEnd + 6000 });
+    expect(flags).toEqual(['late_scan']);
+  });
+
+  test('accepts scans within the window or the grace period', async () => {
+    for (const now of [windowEnd - 1000, windowEnd + 4000]) {
+      const { flags } = await detectScanAnomalies({ session: rotating, qrWindow: window, now });
+      expect(flags).toEqual([]);
+    }
+  });
+
+  test('never flags static codes as late', async () => {
+    const { flags } = await detectScanAnomalies({ session: { qrMode: 'static' }, now: windowEnd + 600000 });
+    expect(flags).toEqual([]);
+  });
+});
@@ -0,0 +1,105 @@
+process.env.QR_SECRET = 'test-qr-secret';
+process.env.FIREBASE_SERVICE_ACCOUNT_JSON = JSON.stringify({ project_id: 'test' });
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+const admin = require('firebase-admin');
+const { applyExcusedPolicy, buildCourseAttendance, countSessionsHeld } = require('../server');
+
+describe('buildCourseAttendance', () => {
+  const course = overrides => buildCourseAttendance({ threshold: 75, remainingClasses: null, ...overrides });
+
+  test('reports the percentage and whether it is below the threshold', () => {
+    expect(course({ sessionsHeld: 10, present: 7 })).toMatchObject({
+      absent: 3,
+      percentage: 70,
+      belowThreshold: true
+    });
+    expect(course({ sessionsHeld: 10, present: 9 })).toMatchObject({ percentage: 90, belowThreshold: false });
+  });
+
+  test('has no percentage before any class is held', () => {
+    expect(course({ sessionsHeld: 0, present: 0 })).toMatchObject({ percentage: null, belowThreshold: false, mustAttend: 0 });
+  });
+
+  test('without a semester end, projects in consecutive classes', () => {
+    // 7 of 10: attending 2 more gives 9 of 12 = 75%
+    expect(course({ sessionsHeld: 10, present: 7 })).toMatchObject({ mustAttend: 2, canStillMiss: 0, canReachThreshold: true });
+    // 9 of 10: missing 2 more gives 9 of 12 = 75%
+    expect(course({ sessionsHeld: 10, present: 9 })).toMatchObject({ mustAttend: 0, canStillMiss: 2, canReachThreshold: true });
+  });
+
+  test('a 100% requirement cannot be met again after a miss', () => {
+    expect(course({ sessionsHeld: 4, present: 3, threshold: 100 })).toMatchObject({ mustAttend: null, canReachThreshold: false });
+  });
+
+  test('with a semester end, projects against the classes left', () => {
+    // 6 of 10 with 10 to go: 15 of 20 needs 9 more
+    expect(course({ sessionsHeld: 10, present: 6, remainingClasses: 10 })).toMatchObject({
+      mustAttend: 9,
+      canStillMiss: 1,
+      canReachThreshold: true
+    });
+    // With only 5 to go, even attending all of them ends at 11 of 15
+    expect(course({ sessionsHeld: 10, present: 6, remainingClasses: 5 })).toMatchObject({
+      mustAttend: 5,
+      canStillMiss: 0,
+      canReachThreshold: false
+    });
+  });
+});
+
+describe('excused policies', () => {
+  const counts = { present: 6, absent: 2, excused: 2 };
+
+  test('exclude drops excused sessions from the total', () => {
+    expect(applyExcusedPolicy(counts, 'exclude')).toEqual({ attended: 6, counted: 8 });
+  });
+
+  test('present counts excused sessions as attended', () => {
+    expect(applyExcusedPolicy(counts, 'present')).toEqual({ attended: 8, counted: 10 });
+  });
+
+  test('absent counts excused sessions as missed', () => {
+    expect(applyExcusedPolicy(counts, 'absent')).toEqual({ attended: 6, counted: 10 });
+  });
+
+  test('exclude is the default', () => {
+    expect(applyExcusedPolicy(counts)).toEqual(applyExcusedPolicy(counts, 'exclude'));
+    expect(applyExcusedPolicy({ present: 3 })).toEqual({ attended: 3, counted: 3 });
+  });
+
+  test('course attendance applies the policy to the percentage', () => {
+    const attendance = excusedPolicy => buildCourseAttendance({
+      sessionsHeld: 10, present: 6, excused: 2, threshold: 75, remainingClasses: null, excusedPolicy
+    });
+    expect(attendance('exclude')).toMatchObject({ absent: 2, excused: 2, percentage: 75, belowThreshold: false });
+    expect(attendance('present')).toMatchObject({ percentage: 80, belowThreshold: false });
+    expect(attendance('absent')).toMatchObject({ percentage: 60, belowThreshold: true });
+    expect(attendance(undefined).excusedPolicy).toBe('exclude');
+  });
+});
+
+describe('countSessionsHeld', () => {
+  const at = iso => admin.firestore.Timestamp.fromDate(new Date(iso));
+
+  beforeEach(() => admin.__reset());
+
+  test('counts sessions started from the campus day the student enrolled', async () => {
+    admin.__setDoc('sessions/before', { courseId: 'c1', state: 'closed', date: at('2026-03-09T12:00:00Z') });
+    // 01:30 and 08:00 on 10 March in campus time, both before the 10:00 enrollment
+    admin.__setDoc('sessions/early', { courseId: 'c1', state: 'closed', date: at('2026-03-09T20:00:00Z') });
+    admin.__setDoc('sessions/morning', { courseId: 'c1', state: 'closed', date: at('2026-03-10T02:30:00Z') });
+    admin.__setDoc('sessions/later', { courseId: 'c1', state: 'active', date: at('2026-03-12T04:00:00Z') });
+
+    expect(await countSessionsHeld('c1', new Date('2026-03-10T04:30:00Z'))).toBe(3);
+  });
+
+  test('leaves out planned sessions and other courses', async () => {
+    admin.__setDoc('sessions/held', { courseId: 'c2', state: 'closed', date: at('2026-03-10T04:00:00Z') });
+    admin.__setDoc('sessions/planned', { courseId: 'c2', state: 'scheduled', scheduledStart: at('2026-03-11T04:00:00Z') });
+    admin.__setDoc('sessions/cancelled', { courseId: 'c2', state: 'cancelled', scheduledStart: at('2026-03-12T04:00:00Z') });
+    admin.__setDoc('sessions/other', { courseId: 'c3', state: 'closed', date: at('2026-03-10T04:00:00Z') });
+
+    expect(await countSessionsHeld('c2', new Date(0))).toBe(1);
+  });
+});
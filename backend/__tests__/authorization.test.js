@@ -0,0 +1,178 @@
+process.env.QR_SECRET = 'test-qr-secret';
+process.env.FIREBASE_SERVICE_ACCOUNT_JSON = JSON.stringify({ project_id: 'test' });
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
+
+const request = require('supertest');
+const admin = require('firebase-admin');
+const { app } = require('../server');
+
+// Tokens are the uid; claims follow setup-auth.js (students carry no role claim)
+const users = {
+  student: { uid: 'student', email: 'student@iiitnr.edu.in' },
+  faculty: { uid: 'faculty', email: 'faculty@iiitnr.edu.in', role: 'faculty' },
+  admin: { uid: 'admin', email: 'admin@iiitnr.edu.in', role: 'admin' },
+  outsider: { uid: 'outsider', email: 'someone@gmail.com', role: 'faculty' },
+  coInstructor: { uid: 'coInstructor', email: 'co@iiitnr.edu.in', role: 'faculty' },
+  ta: { uid: 'ta', email: 'ta@iiitnr.edu.in', role: 'faculty' }
+};
+const as = user => ({ Authorization: `Bearer ${user}` });
+
+beforeEach(() => {
+  admin.__reset();
+  Object.entries(users).forEach(([token, claims]) => admin.__setToken(token, claims));
+});
+
+describe('requireRole', () => {
+  test('requests without a valid token are unauthenticated', async () => {
+    const missing = await request(app).get('/api/faculty/sessions');
+    expect(missing.status).toBe(401);
+    expect(missing.body.code).toBe('TOKEN_MISSING');
+
+    const invalid = await request(app).get('/api/faculty/sessions').set(as('forged'));
+    expect(invalid.status).toBe(401);
+    expect(invalid.body.code).toBe('TOKEN_INVALID');
+  });
+
+  test.each([
+    ['post', '/api/faculty/generate-qr'],
+    ['post', '/api/faculty/profile'],
+    ['post', '/api/faculty/classes/full']
+  ])('students cannot %s %s', async (method, path) => {
+    const res = await request(app)[method](path).set(as('student')).send({});
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual({ error: 'This action requires the faculty role', code: 'INSUFFICIENT_ROLE' });
+  });
+
+  test('faculty cannot use admin routes', async () => {
+    const res = await request(app).get('/api/admin/users?uid=student').set(as('faculty'));
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('INSUFFICIENT_ROLE');
+  });
+
+  test('accounts outside the institute domain are refused whatever their role', async () => {
+    const res = await request(app).get('/api/faculty/sessions').set(as('outsider'));
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('INVALID_EMAIL_DOMAIN');
+  });
+});
+
+describe('course staff permissions', () => {
+  beforeEach(() => {
+    admin.__setDoc('courses/c1', {
+      code: 'CS101',
+      name: 'Programming',
+      facultyId: 'faculty',
+      staff: { coInstructor: 'co-instructor', ta: 'ta' },
+      staffIds: ['coInstructor', 'ta'],
+      isActive: true
+    });
+  });
+
+  test('faculty who are not on the course staff are refused', async () => {
+    admin.__setToken('stranger', { uid: 'stranger', email: 'stranger@iiitnr.edu.in', role: 'faculty' });
+    const stranger = await request(app).get('/api/faculty/courses/c1/staff').set(as('stranger'));
+    expect(stranger.status).toBe(403);
+    expect(stranger.body).toEqual({ error: 'Not authorized for this course', code: 'FORBIDDEN' });
+  });
+
+  test('TAs can view the staff list but cannot archive the course', async () => {
+    const staff = await request(app).get('/api/faculty/courses/c1/staff').set(as('ta'));
+    expect(staff.status).toBe(200);
+
+    const res = await request(app).delete('/api/faculty/courses/c1').set(as('ta'));
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual({ error: 'The ta role cannot do this on the course', code: 'COURSE_PERMISSION' });
+  });
+
+  test('co-instructors cannot manage staff', async () => {
+    const res = await request(app).delete('/api/faculty/courses/c1/staff/ta').set(as('coInstructor'));
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('COURSE_PERMISSION');
+  });
+
+  test('unknown courses are not found rather than forbidden', async () => {
+    const res = await request(app).delete('/api/faculty/courses/missing').set(as('faculty'));
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('COURSE_NOT_FOUND');
+  });
+});
+
+describe('session routes', () => {
+  beforeEach(() => {
+    admin.__setDoc('courses/c1', { code: 'CS101', facultyId: 'faculty', staff: { ta: 'ta' }, staffIds: ['ta'], isActive: true });
+    admin.__setDoc('sessions/s1', { courseId: 'c1', facultyId: 'faculty', state: 'active', isActive: true });
+    admin.__setToken('stranger', { uid: 'stranger', email: 'stranger@iiitnr.edu.in', role: 'faculty' });
+  });
+
+  test.each([
+    ['post', '/api/faculty/session/s1/stop'],
+    ['get', '/api/faculty/session/s1/attendance'],
+    ['get', '/api/faculty/session/s1/stream']
+  ])('faculty outside the course cannot %s %s', async (method, path) => {
+    const res = await request(app)[method](path).set(as('stranger'));
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual({ error: 'Not authorized for this course', code: 'FORBIDDEN' });
+  });
+
+  test('unknown sessions are not found', async () => {
+    const res = await request(app).post('/api/faculty/session/missing/stop').set(as('faculty'));
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('SESSION_NOT_FOUND');
+  });
+});
+
+describe('token revocation checks', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('run once per user until the user is signed out', async () => {
+    const auth = admin.auth();
+    admin.__setToken('fresh', { uid: 'fresh', email: 'fresh@iiitnr.edu.in', role: 'faculty' });
+    jest.spyOn(auth, 'getUser').mockResolvedValue({ uid: 'fresh', email: 'fresh@iiitnr.edu.in', customClaims: { role: 'faculty' } });
+    const verify = jest.spyOn(auth, 'verifyIdToken');
+    const revocationChecks = () => verify.mock.calls.filter(([token, checkRevoked]) => token === 'fresh' && checkRevoked).length;
+
+    await request(app).get('/api/faculty/sessions').set(as('fresh'));
+    await request(app).get('/api/faculty/sessions').set(as('fresh'));
+    expect(revocationChecks()).toBe(1);
+
+    await request(app).put('/api/admin/users/fresh/role').set(as('admin')).send({ role: 'student' });
+    await request(app).get('/api/faculty/sessions').set(as('fresh'));
+    expect(revocationChecks()).toBe(2);
+  });
+});
+
+describe('role changes', () => {
+  const auth = admin.auth();
+  afterEach(() => jest.restoreAllMocks());
+
+  test.each([
+    ['admin', 'faculty', true],
+    ['faculty', 'student', true],
+    ['faculty', 'admin', false],
+    [undefined, 'faculty', false]
+  ])('changing %s to %s signs the user out: %s', async (previousRole, role, revoked) => {
+    jest.spyOn(auth, 'getUser').mockResolvedValue({ uid: 'u1', email: 'u1@iiitnr.edu.in', customClaims: { role: previousRole } });
+    const revoke = jest.spyOn(auth, 'revokeRefreshTokens');
+
+    const res = await request(app).put('/api/admin/users/u1/role').set(as('admin')).send({ role });
+    expect(res.status).toBe(200);
+    expect(revoke).toHaveBeenCalledTimes(revoked ? 1 : 0);
+    expect(res.body.message).toMatch(revoked ? /signed out/ : /next signs in/);
+  });
+});
+
+describe('error responses', () => {
+  test('errors without their own code get the generic code of their status', async () => {
+    admin.__setDoc('courses/c1', { code: 'CS101', facultyId: 'faculty', isActive: true });
+    const res = await request(app).post('/api/faculty/courses/c1/occurrences/extra').set(as('faculty')).send({});
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('BAD_REQUEST');
+  });
+
+  test('unknown API routes are not found', async () => {
+    const res = await request(app).get('/api/nothing-here').set(as('faculty'));
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('ROUTE_NOT_FOUND');
+  });
+});
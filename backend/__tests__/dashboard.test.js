@@ -0,0 +1,52 @@
+process.env.QR_SECRET = 'test-qr-secret';
+process.env.FIREBASE_SERVICE_ACCOUNT_JSON = JSON.stringify({ project_id: 'test' });
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
+
+const request = require('supertest');
+const admin = require('firebase-admin');
+const { app } = require('../server');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+beforeEach(() => {
+  admin.__reset();
+  admin.__setToken('student', { uid: 'student', email: 'student@iiitnr.edu.in' });
+  admin.__setDoc('students/student', { name: 'Student', rollNo: '21CS001' });
+});
+
+// A course with four closed sessions last week and the student's record in each
+function seedCourse(courseId, excusedPolicy, statuses) {
+  admin.__setDoc(`courses/${courseId}`, { code: courseId.toUpperCase(), facultyId: 'faculty', isActive: true, excusedPolicy });
+  admin.__setDoc(`enrollments/${courseId}_student`, { courseId, studentId: 'student', isActive: true });
+  statuses.forEach((status, index) => {
+    const sessionId = `${courseId}_s${index}`;
+    admin.__setDoc(`sessions/${sessionId}`, {
+      courseId,
+      state: 'closed',
+      isActive: false,
+      date: admin.firestore.Timestamp.fromMillis(Date.now() - (7 - index) * DAY_MS)
+    });
+    if (status) {
+      admin.__setDoc(`attendance/${sessionId}_student`, { courseId, sessionId, studentId: 'student', status });
+    }
+  });
+}
+
+describe('student dashboard stats', () => {
+  test('the overall percentage follows each course\'s excused policy', async () => {
+    seedCourse('c1', 'present', ['present', 'present', 'excused', null]);
+    seedCourse('c2', 'exclude', ['present', 'present', 'excused', 'excused']);
+
+    const res = await request(app).get('/api/student/dashboard').set({ Authorization: 'Bearer student' });
+    expect(res.status).toBe(200);
+    // c1 counts 3 of 4 (excused as present), c2 counts 2 of 2 (excused left out): 5 of 6
+    expect(res.body.stats).toMatchObject({
+      totalClasses: 8,
+      presentCount: 4,
+      absentCount: 1,
+      excusedCount: 3,
+      attendancePercentage: '83.3'
+    });
+  });
+});
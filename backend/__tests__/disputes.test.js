@@ -0,0 +1,63 @@
+process.env.QR_SECRET = 'test-qr-secret';
+process.env.FIREBASE_SERVICE_ACCOUNT_JSON = JSON.stringify({ project_id: 'test' });
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
+
+const request = require('supertest');
+const admin = require('firebase-admin');
+const { app } = require('../server');
+
+const as = user => ({ Authorization: `Bearer ${user}` });
+
+beforeEach(() => {
+  admin.__reset();
+  admin.__setToken('student', { uid: 'student', email: 'student@iiitnr.edu.in' });
+  admin.__setToken('faculty', { uid: 'faculty', email: 'faculty@iiitnr.edu.in', role: 'faculty' });
+  admin.__setDoc('courses/c1', { code: 'CS101', facultyId: 'faculty', isActive: true });
+  admin.__setDoc('enrollments/e1', { courseId: 'c1', studentId: 'student', isActive: true });
+});
+
+const session = state => ({ courseId: 'c1', courseCode: 'CS101', facultyId: 'faculty', state, isActive: state === 'active' });
+const dispute = sessionId => ({ sessionId, courseId: 'c1', courseCode: 'CS101', studentId: 'student', reason: 'Scan failed', status: 'pending' });
+
+describe('raising a dispute', () => {
+  test.each(['scheduled', 'cancelled'])('%s sessions cannot be disputed', async state => {
+    admin.__setDoc('sessions/s1', session(state));
+    const res = await request(app).post('/api/student/attendance-disputes').set(as('student'))
+      .send({ sessionId: 's1', reason: 'I was there' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe(`Cannot dispute a ${state} session`);
+  });
+
+  test.each(['active', 'closed'])('%s sessions can be disputed', async state => {
+    admin.__setDoc('sessions/s1', session(state));
+    const res = await request(app).post('/api/student/attendance-disputes').set(as('student'))
+      .send({ sessionId: 's1', reason: 'I was there' });
+    expect(res.status).toBe(200);
+    expect(res.body.dispute).toMatchObject({ sessionId: 's1', status: 'pending', currentStatus: 'unmarked' });
+  });
+});
+
+describe('accepting a dispute', () => {
+  test('marks the student present in a closed session', async () => {
+    admin.__setDoc('sessions/s1', session('closed'));
+    admin.__setDoc('attendanceDisputes/d1', dispute('s1'));
+    const res = await request(app).post('/api/faculty/attendance-disputes/d1/review').set(as('faculty')).send({ decision: 'accept' });
+    expect(res.status).toBe(200);
+    expect(admin.__getDoc('attendance/s1_student')).toMatchObject({ status: 'present', disputeId: 'd1' });
+  });
+
+  test('is refused once the session was cancelled, but the dispute can still be rejected', async () => {
+    admin.__setDoc('sessions/s1', session('cancelled'));
+    admin.__setDoc('attendanceDisputes/d1', dispute('s1'));
+    const accept = await request(app).post('/api/faculty/attendance-disputes/d1/review').set(as('faculty')).send({ decision: 'accept' });
+    expect(accept.status).toBe(400);
+    expect(accept.body.error).toBe('Cannot accept a dispute for a cancelled session; reject it instead');
+    expect(admin.__getDoc('attendance/s1_student')).toBeUndefined();
+    expect(admin.__getDoc('attendanceDisputes/d1').status).toBe('pending');
+
+    const reject = await request(app).post('/api/faculty/attendance-disputes/d1/review').set(as('faculty')).send({ decision: 'reject' });
+    expect(reject.status).toBe(200);
+    expect(admin.__getDoc('attendanceDisputes/d1').status).toBe('rejected');
+  });
+});
@@ -0,0 +1,101 @@
+process.env.QR_SECRET = 'test-qr-secret';
+process.env.FIREBASE_SERVICE_ACCOUNT_JSON = JSON.stringify({ project_id: 'test' });
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+const { evaluateGeofence, isPointInPolygon } = require('../server');
+
+// Circle geofence of 50m; 0.0003° of latitude is about 33m, 0.0009° about 100m
+const center = { latitude: 21.1286, longitude: 81.7662 };
+const circle = policy => ({
+  locationPolicy: policy,
+  locationLatitude: center.latitude,
+  locationLongitude: center.longitude,
+  geofenceRadius: 50
+});
+const near = { latitude: center.latitude + 0.0003, longitude: center.longitude };
+const far = { latitude: center.latitude + 0.0009, longitude: center.longitude };
+
+describe('evaluateGeofence', () => {
+  test('strict needs a precise fix inside the geofence', () => {
+    expect(evaluateGeofence(circle('strict'), { ...near, accuracy: 10 })).toMatchObject({ verified: true, policy: 'strict' });
+    expect(evaluateGeofence(circle('strict'), near).error).toMatch(/accuracy is required/);
+    expect(evaluateGeofence(circle('strict'), { ...near, accuracy: 80 }).error).toMatch(/signal too weak/);
+    expect(evaluateGeofence(circle('strict'), { ...far, accuracy: 10 }).error).toMatch(/too far/);
+  });
+
+  test('lenient accepts a fix whose accuracy circle overlaps the geofence', () => {
+    expect(evaluateGeofence(circle('lenient'), { ...far, accuracy: 60 })).toMatchObject({ verified: true });
+    expect(evaluateGeofence(circle('lenient'), { ...far, accuracy: 20 }).error).toMatch(/too far/);
+    expect(evaluateGeofence(circle('lenient'), { ...near, accuracy: 500 }).error).toMatch(/signal too weak/);
+  });
+
+  test('lenient accepts clients that send no accuracy when they are inside', () => {
+    expect(evaluateGeofence(circle('lenient'), near)).toMatchObject({ verified: true });
+    expect(evaluateGeofence(circle('lenient'), far).error).toMatch(/too far/);
+  });
+
+  test('sessions without a stored policy are checked leniently', () => {
+    expect(evaluateGeofence(circle(undefined), near)).toMatchObject({ verified: true, policy: 'lenient' });
+  });
+
+  test('off and sessions without a class location skip the check', () => {
+    expect(evaluateGeofence(circle('off'), far)).toMatchObject({ required: false, verified: false });
+    expect(evaluateGeofence({ locationPolicy: 'strict' }, far)).toMatchObject({ required: false });
+  });
+
+  test('a location is required when the class has one', () => {
+    expect(evaluateGeofence(circle('strict'), {}).error).toMatch(/Location is required/);
+    expect(evaluateGeofence(circle('lenient'), { latitude: 'x', longitude: 81 }).error).toMatch(/Location is required/);
+  });
+
+  test('a room boundary is used instead of the circle', () => {
+    const session = {
+      locationPolicy: 'strict',
+      roomNumber: 'LH-101',
+      roomBoundary: [
+        { latitude: 21.1285, longitude: 81.7661 },
+        { latitude: 21.1285, longitude: 81.7663 },
+        { latitude: 21.1287, longitude: 81.7663 },
+        { latitude: 21.1287, longitude: 81.7661 }
+      ]
+    };
+    expect(evaluateGeofence(session, { ...center, accuracy: 10 })).toMatchObject({ verified: true, distance: 0 });
+    expect(evaluateGeofence(session, { ...near, accuracy: 10 }).error).toMatch(/outside LH-101/);
+  });
+});
+
+describe('isPointInPolygon', () => {
+  const square = [
+    { latitude: 0, longitude: 0 },
+    { latitude: 0, longitude: 10 },
+    { latitude: 10, longitude: 10 },
+    { latitude: 10, longitude: 0 }
+  ];
+  // An L-shaped room: the top-right quarter is outside
+  const lShape = [
+    { latitude: 0, longitude: 0 },
+    { latitude: 0, longitude: 10 },
+    { latitude: 5, longitude: 10 },
+    { latitude: 5, longitude: 5 },
+    { latitude: 10, longitude: 5 },
+    { latitude: 10, longitude: 0 }
+  ];
+
+  test('finds points inside and outside a convex polygon', () => {
+    expect(isPointInPolygon({ latitude: 5, longitude: 5 }, square)).toBe(true);
+    expect(isPointInPolygon({ latitude: 11, longitude: 5 }, square)).toBe(false);
+    expect(isPointInPolygon({ latitude: 5, longitude: -1 }, square)).toBe(false);
+  });
+
+  test('handles concave polygons', () => {
+    expect(isPointInPolygon({ latitude: 2, longitude: 8 }, lShape)).toBe(true);
+    expect(isPointInPolygon({ latitude: 8, longitude: 2 }, lShape)).toBe(true);
+    expect(isPointInPolygon({ latitude: 8, longitude: 8 }, lShape)).toBe(false);
+  });
+
+  test('does not depend on the winding order', () => {
+    const reversed = [...square].reverse();
+    expect(isPointInPolygon({ latitude: 5, longitude: 5 }, reversed)).toBe(true);
+    expect(isPointInPolygon({ latitude: 15, longitude: 5 }, reversed)).toBe(false);
+  });
+});
@@ -0,0 +1,95 @@
+process.env.QR_SECRET = 'test-qr-secret';
+process.env.FIREBASE_SERVICE_ACCOUNT_JSON = JSON.stringify({ project_id: 'test' });
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
+
+const request = require('supertest');
+const admin = require('firebase-admin');
+const { app } = require('../server');
+
+const as = user => ({ Authorization: `Bearer ${user}` });
+
+beforeEach(() => {
+  admin.__reset();
+  admin.__setToken('faculty', { uid: 'faculty', email: 'faculty@iiitnr.edu.in', role: 'faculty' });
+  admin.__setToken('admin', { uid: 'admin', email: 'admin@iiitnr.edu.in', role: 'admin' });
+});
+
+describe('course purge', () => {
+  beforeEach(() => {
+    admin.__setDoc('courses/c1', { code: 'CS101', facultyId: 'faculty', isActive: false });
+    admin.__setDoc('sessions/s1', { courseId: 'c1', facultyId: 'faculty', state: 'closed', isActive: false });
+    admin.__setDoc('enrollments/e1', { courseId: 'c1', studentId: 'student', isActive: true });
+    admin.__setDoc('attendance/s1_student', { courseId: 'c1', sessionId: 's1', studentId: 'student', status: 'present' });
+    admin.__setDoc('attendanceAudit/a1', { courseId: 'c1', sessionId: 's1', studentId: 'student', newStatus: 'present' });
+    admin.__setDoc('attendanceDisputes/d1', { courseId: 'c1', sessionId: 's1', studentId: 'student', status: 'pending' });
+    admin.__setDoc('studentFeed/f1', { courseId: 'c1', studentId: 'student', type: 'enrollment.approved' });
+    admin.__setDoc('studentFeed/f2', { courseId: 'c2', studentId: 'student', type: 'enrollment.approved' });
+    admin.__setDoc('attendanceSummaries/c1', { courseId: 'c1', students: {} });
+    admin.__setDoc('attendanceSummaries/c2', { courseId: 'c2', students: {} });
+  });
+
+  test('a dry run counts the records without deleting them', async () => {
+    const res = await request(app).post('/api/faculty/courses/c1/purge?dryRun=true').set(as('faculty'));
+    expect(res.status).toBe(200);
+    expect(res.body.wouldDelete).toMatchObject({
+      course: 1,
+      sessions: 1,
+      enrollments: 1,
+      attendance: 1,
+      attendanceAudit: 1,
+      attendanceDisputes: 1,
+      studentFeed: 1,
+      attendanceSummaries: 1
+    });
+    expect(admin.__getDoc('attendanceSummaries/c1')).toBeDefined();
+  });
+
+  test('purging deletes the course, its records, feed entries and analytics summary', async () => {
+    const res = await request(app).post('/api/faculty/courses/c1/purge').set(as('faculty'));
+    expect(res.status).toBe(200);
+    const purged = [
+      'courses/c1', 'sessions/s1', 'enrollments/e1', 'attendance/s1_student',
+      'attendanceAudit/a1', 'attendanceDisputes/d1', 'studentFeed/f1', 'attendanceSummaries/c1'
+    ];
+    purged.forEach(path => expect(admin.__getDoc(path)).toBeUndefined());
+    expect(admin.__getDoc('studentFeed/f2')).toBeDefined();
+    expect(admin.__getDoc('attendanceSummaries/c2')).toBeDefined();
+  });
+});
+
+describe('analytics rebuild', () => {
+  test('summaries whose course no longer exists are deleted', async () => {
+    admin.__setDoc('courses/c1', { code: 'CS101', facultyId: 'faculty', isActive: true });
+    admin.__setDoc('attendanceSummaries/c1', { courseId: 'c1', students: {} });
+    admin.__setDoc('attendanceSummaries/gone', { courseId: 'gone', students: {} });
+
+    const res = await request(app).post('/api/admin/analytics/rebuild').set(as('admin')).send({});
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ courses: 1, orphansRemoved: 1, done: true });
+    expect(admin.__getDoc('attendanceSummaries/gone')).toBeUndefined();
+  });
+
+  test('only closed sessions are folded back in; planned and cancelled ones are left untouched', async () => {
+    admin.__setDoc('courses/c1', { code: 'CS101', facultyId: 'faculty', isActive: true });
+    admin.__setDoc('sessions/closed', { courseId: 'c1', state: 'closed', isActive: false, summaryApplied: { student: 'present' } });
+    admin.__setDoc('sessions/planned', { courseId: 'c1', state: 'scheduled', isActive: false, origin: 'timetable' });
+    admin.__setDoc('sessions/cancelled', { courseId: 'c1', state: 'cancelled', isActive: false });
+    admin.__setDoc('attendance/closed_student', { courseId: 'c1', sessionId: 'closed', studentId: 'student', status: 'present' });
+    const planned = admin.__getDoc('sessions/planned');
+    const cancelled = admin.__getDoc('sessions/cancelled');
+
+    const res = await request(app).post('/api/admin/analytics/rebuild').set(as('admin')).send({ courseId: 'c1' });
+    expect(res.body).toMatchObject({ courses: 1, sessionsApplied: 1 });
+    expect(admin.__getDoc('sessions/planned')).toBe(planned);
+    expect(admin.__getDoc('sessions/cancelled')).toBe(cancelled);
+    expect(admin.__getDoc('sessions/closed').summaryApplied).toEqual({ student: 'present' });
+  });
+
+  test('rebuilding a single deleted course drops its summary', async () => {
+    admin.__setDoc('attendanceSummaries/gone', { courseId: 'gone', students: {} });
+    const res = await request(app).post('/api/admin/analytics/rebuild').set(as('admin')).send({ courseId: 'gone' });
+    expect(res.body).toMatchObject({ courses: 0, orphansRemoved: 1 });
+    expect(admin.__getDoc('attendanceSummaries/gone')).toBeUndefined();
+  });
+});
@@ -0,0 +1,62 @@
+process.env.QR_SECRET = 'test-qr-secret';
+process.env.FIREBASE_SERVICE_ACCOUNT_JSON = JSON.stringify({ project_id: 'test' });
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+const {
+  generateQRPayload,
+  generateRotatingQRPayload,
+  verifyQRSignature,
+  isQRWindowCurrent
+} = require('../server');
+
+const location = { latitude: 21.1286, longitude: 81.7662, radius: 50, roomNumber: 'LH-101' };
+
+describe('verifyQRSignature', () => {
+  test('accepts a payload it signed', () => {
+    expect(verifyQRSignature(generateQRPayload('s1', 'c1', 'f1', location))).toBe(true);
+    expect(verifyQRSignature(generateRotatingQRPayload('s1', 'c1', 'f1', location, 15))).toBe(true);
+  });
+
+  test('rejects a payload whose fields were changed after signing', () => {
+    const payload = generateQRPayload('s1', 'c1', 'f1', location);
+    expect(verifyQRSignature({ ...payload, sessionId: 's2' })).toBe(false);
+    expect(verifyQRSignature({ ...payload, expiresAt: payload.expiresAt + 60000 })).toBe(false);
+    expect(verifyQRSignature({ ...payload, location: { ...location, radius: 5000 } })).toBe(false);
+  });
+
+  test('rejects a rotating token moved to another window', () => {
+    const payload = generateRotatingQRPayload('s1', 'c1', 'f1', location, 15);
+    expect(verifyQRSignature({ ...payload, window: payload.window + 1 })).toBe(false);
+  });
+
+  test('rejects missing and malformed signatures', () => {
+    const payload = generateQRPayload('s1', 'c1', 'f1', location);
+    expect(verifyQRSignature(null)).toBe(false);
+    expect(verifyQRSignature({ ...payload, signature: undefined })).toBe(false);
+    expect(verifyQRSignature({ ...payload, signature: 'abc' })).toBe(false);
+  });
+});
+
+describe('isQRWindowCurrent', () => {
+  const rotationSeconds = 15;
+  const periodMs = rotationSeconds * 1000;
+  const window = 1000000;
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const at = ms => jest.spyOn(Date, 'now').mockReturnValue(ms);
+
+  test('accepts the current and the previous window', () => {
+    at(window * periodMs + 1000);
+    expect(isQRWindowCurrent({ window }, rotationSeconds)).toBe(true);
+    at((window + 1) * periodMs + 1000);
+    expect(isQRWindowCurrent({ window }, rotationSeconds)).toBe(true);
+  });
+
+  test('rejects older and future windows', () => {
+    at((window + 2) * periodMs);
+    expect(isQRWindowCurrent({ window }, rotationSeconds)).toBe(false);
+    at(window * periodMs);
+    expect(isQRWindowCurrent({ window: window + 1 }, rotationSeconds)).toBe(false);
+  });
+});
@@ -0,0 +1,57 @@
+process.env.QR_SECRET = 'test-qr-secret';
+process.env.FIREBASE_SERVICE_ACCOUNT_JSON = JSON.stringify({ project_id: 'test' });
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
+
+const request = require('supertest');
+const admin = require('firebase-admin');
+const { app, parseCsv } = require('../server');
+
+describe('parseCsv', () => {
+  test('normalizes headers to lowercase without spaces, underscores or dashes', async () => {
+    const rows = await parseCsv('Roll No,E-mail,Full_Name\n21CS001,a@iiitnr.edu.in,Asha Rao\n');
+    expect(rows).toEqual([{ rollno: '21CS001', email: 'a@iiitnr.edu.in', fullname: 'Asha Rao' }]);
+  });
+
+  test('strips a byte order mark and handles CRLF line endings', async () => {
+    const rows = await parseCsv('\uFEFFemail,rollNo\r\na@iiitnr.edu.in,21CS001\r\nb@iiitnr.edu.in,21CS002\r\n');
+    expect(rows).toEqual([
+      { email: 'a@iiitnr.edu.in', rollno: '21CS001' },
+      { email: 'b@iiitnr.edu.in', rollno: '21CS002' }
+    ]);
+  });
+
+  test('keeps quoted commas inside a value', async () => {
+    const rows = await parseCsv('name,email\n"Rao, Asha",a@iiitnr.edu.in\n');
+    expect(rows[0].name).toBe('Rao, Asha');
+  });
+
+  test('returns no rows for a header-only file', async () => {
+    await expect(parseCsv('email,rollNo\n')).resolves.toEqual([]);
+  });
+});
+
+describe('enrolling in an archived course', () => {
+  const faculty = { Authorization: 'Bearer faculty' };
+
+  beforeEach(() => {
+    admin.__reset();
+    admin.__setToken('faculty', { uid: 'faculty', email: 'faculty@iiitnr.edu.in', role: 'faculty' });
+    admin.__setDoc('courses/c1', { code: 'CS101', facultyId: 'faculty', isActive: false });
+    admin.__setDoc('students/student', { name: 'Asha Rao', rollNo: '21CS001', email: 'a@iiitnr.edu.in' });
+  });
+
+  test('is refused for a single student', async () => {
+    const res = await request(app).post('/api/faculty/course/c1/enroll').set(faculty).send({ studentId: 'student' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Cannot enroll students in an archived course; restore it first');
+    expect((await admin.firestore().collection('enrollments').get()).empty).toBe(true);
+  });
+
+  test('is refused for a roster import', async () => {
+    const res = await request(app).post('/api/faculty/course/c1/roster/import').set(faculty)
+      .send({ csv: 'rollno\n21CS001\n' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Cannot enroll students in an archived course; restore it first');
+  });
+});
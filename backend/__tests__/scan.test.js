@@ -0,0 +1,81 @@
+process.env.QR_SECRET = 'test-qr-secret';
+process.env.FIREBASE_SERVICE_ACCOUNT_JSON = JSON.stringify({ project_id: 'test' });
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
+
+const request = require('supertest');
+const admin = require('firebase-admin');
+const { app, generateQRPayload } = require('../server');
+
+const qrData = JSON.stringify(generateQRPayload('s1', 'c1', 'faculty', {}));
+const scan = key => {
+  const req = request(app).post('/api/student/scan-qr').set({ Authorization: 'Bearer student' });
+  return (key ? req.set('Idempotency-Key', key) : req).send({ qrData });
+};
+const attendanceRecords = async () => (await admin.firestore().collection('attendance').where('sessionId', '==', 's1').get()).docs;
+
+beforeEach(() => {
+  admin.__reset();
+  admin.__setToken('student', { uid: 'student', email: 'student@iiitnr.edu.in' });
+  admin.__setDoc('students/student', { name: 'Asha Rao', rollNo: '21CS001' });
+  admin.__setDoc('courses/c1', { code: 'CS101', facultyId: 'faculty', isActive: true });
+  admin.__setDoc('enrollments/e1', { courseId: 'c1', studentId: 'student', isActive: true });
+  admin.__setDoc('sessions/s1', {
+    courseId: 'c1',
+    courseCode: 'CS101',
+    facultyId: 'faculty',
+    state: 'active',
+    isActive: true,
+    devicePolicy: 'off',
+    presentCount: 0
+  });
+});
+
+describe('scan-qr', () => {
+  test('a retry with the same Idempotency-Key gets the original response without marking twice', async () => {
+    const first = await scan('scan-1');
+    expect(first.status).toBe(200);
+
+    const retry = await scan('scan-1');
+    expect(retry.status).toBe(200);
+    expect(retry.body).toEqual(first.body);
+
+    expect(await attendanceRecords()).toHaveLength(1);
+    expect(admin.__getDoc('sessions/s1').presentCount).toBe(1);
+  });
+
+  test('a second scan is refused and leaves a single record', async () => {
+    expect((await scan('scan-1')).status).toBe(200);
+
+    const again = await scan('scan-2');
+    expect(again.status).toBe(400);
+    expect(again.body.error).toBe('Attendance already marked for this session');
+
+    const records = await attendanceRecords();
+    expect(records).toHaveLength(1);
+    expect(records[0].id).toBe('s1_student');
+    expect(admin.__getDoc('sessions/s1').presentCount).toBe(1);
+  });
+
+  test('two scans that both pass the early checks count once', async () => {
+    // Hold each scan at its transaction until both have got there
+    const db = admin.firestore();
+    const runTransaction = db.runTransaction;
+    let arrived = 0;
+    let release;
+    const bothArrived = new Promise(resolve => { release = resolve; });
+    const held = jest.spyOn(db, 'runTransaction').mockImplementation(async fn => {
+      if (++arrived === 2) release();
+      await bothArrived;
+      return runTransaction(fn);
+    });
+
+    const responses = await Promise.all([scan('scan-1'), scan('scan-2')]);
+    held.mockRestore();
+    expect(arrived).toBe(2);
+    expect(responses.map(res => res.status).sort()).toEqual([200, 400]);
+
+    expect(await attendanceRecords()).toHaveLength(1);
+    expect(admin.__getDoc('sessions/s1').presentCount).toBe(1);
+  });
+});
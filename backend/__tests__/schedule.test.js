@@ -0,0 +1,141 @@
+process.env.QR_SECRET = 'test-qr-secret';
+process.env.FIREBASE_SERVICE_ACCOUNT_JSON = JSON.stringify({ project_id: 'test' });
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
+
+const request = require('supertest');
+const admin = require('firebase-admin');
+const { app, planCourseSessions, calendarDay } = require('../server');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const weekdays = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const as = user => ({ Authorization: `Bearer ${user}` });
+
+beforeEach(() => {
+  admin.__reset();
+  admin.__setToken('faculty', { uid: 'faculty', email: 'faculty@iiitnr.edu.in', role: 'faculty' });
+});
+
+// Spring semester 2026 with Saturday 14 March running Monday's timetable
+const calendars = [{
+  id: 'spring-2026',
+  startDate: '2026-01-05',
+  endDate: '2026-05-15',
+  holidays: [{ date: '2026-03-04', name: 'Holi' }],
+  examBlocks: [{ startDate: '2026-03-16', endDate: '2026-03-21', type: 'midsem', name: 'Mid-semester exams' }],
+  daySwaps: [{ date: '2026-03-14', followsDay: 'Monday', note: 'Makeup for Holi' }]
+}];
+
+describe('calendarDay', () => {
+  test('a swapped day runs the timetable of the day it follows', () => {
+    expect(calendarDay(calendars, new Date('2026-03-14T06:00:00Z'))).toEqual({
+      date: '2026-03-14',
+      weekday: 'Saturday',
+      calendarId: 'spring-2026',
+      timetableDay: 'Monday',
+      swappedFrom: 'Saturday',
+      label: 'Makeup for Holi'
+    });
+  });
+
+  test('the swap starts at campus midnight', () => {
+    // 00:30 on 14 March in campus time, still 13 March in UTC
+    expect(calendarDay(calendars, new Date('2026-03-13T19:00:00Z')).timetableDay).toBe('Monday');
+    expect(calendarDay(calendars, new Date('2026-03-13T18:00:00Z'))).toMatchObject({ date: '2026-03-13', timetableDay: 'Friday' });
+  });
+
+  test('holidays, exam blocks and days outside the semester have no classes', () => {
+    expect(calendarDay(calendars, new Date('2026-03-04T06:00:00Z'))).toMatchObject({ timetableDay: null, reason: 'holiday', label: 'Holi' });
+    expect(calendarDay(calendars, new Date('2026-03-17T06:00:00Z'))).toMatchObject({ timetableDay: null, reason: 'exam' });
+    expect(calendarDay(calendars, new Date('2026-06-01T06:00:00Z'))).toMatchObject({ timetableDay: null, reason: 'outside_semester' });
+  });
+
+  test('planned sessions follow the swap', () => {
+    const course = { code: 'CS101', facultyId: 'faculty', timetable: [{ day: 'Monday', startTime: '09:00', endTime: '10:00' }] };
+    const planned = planCourseSessions('c1', course, new Date('2026-03-09T06:00:00Z'), new Date('2026-03-14T06:00:00Z'), new Set(), calendars);
+    expect(planned.map(session => session.id)).toEqual(['c1_20260309_0900', 'c1_20260314_0900']);
+  });
+});
+
+describe('planCourseSessions', () => {
+  const course = timetable => ({ code: 'CS101', name: 'Programming', facultyId: 'faculty', timetable });
+  const plan = (timetable, from, to) => planCourseSessions('c1', course(timetable), new Date(from), new Date(to));
+
+  test('plans slots on the campus calendar day, not the UTC one', () => {
+    // 00:30 on Monday 9 March in campus time is still Sunday in UTC
+    const planned = plan(
+      [{ day: 'Monday', startTime: '00:30', endTime: '01:30' }, { day: 'Monday', startTime: '23:00', endTime: '24:00' }],
+      '2026-03-08T18:30:00Z',
+      '2026-03-09T18:29:59Z'
+    );
+    expect(planned.map(session => session.id)).toEqual(['c1_20260309_0030', 'c1_20260309_2300']);
+    expect(planned[0].data.scheduledStart.toDate().toISOString()).toBe('2026-03-08T19:00:00.000Z');
+    expect(planned[1].data.scheduledEnd.toDate().toISOString()).toBe('2026-03-09T18:30:00.000Z');
+  });
+
+  test('a date range given as instants covers whole campus days', () => {
+    // 00:30 to 23:30 on Monday in campus time; in UTC the range starts on Sunday
+    const nineOClock = day => ({ day, startTime: '09:00', endTime: '10:00' });
+    const planned = plan(
+      ['Sunday', 'Monday', 'Tuesday'].map(nineOClock),
+      '2026-03-08T19:00:00Z',
+      '2026-03-09T18:00:00Z'
+    );
+    expect(planned.map(session => session.id)).toEqual(['c1_20260309_0900']);
+  });
+});
+
+describe('timetable changes', () => {
+  // A week of planned classes starting tomorrow, one slot every weekday
+  const timetable = room => weekdays.map(day => ({ day, time: '09:00-10:00', type: 'Lecture', room }));
+  const plannedIds = () => [...Array(8).keys()].map(offset => {
+    const date = new Date(Date.now() + (offset + 1) * DAY_MS).toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+    return `sessions/c1_${date.replace(/-/g, '')}_0900`;
+  }).filter(path => admin.__getDoc(path));
+  const plannedRooms = () => plannedIds().map(path => admin.__getDoc(path).roomNumber);
+
+  beforeEach(() => {
+    admin.__setDoc('courses/c1', {
+      code: 'CS101',
+      name: 'Programming',
+      facultyId: 'faculty',
+      isActive: true,
+      semesterStartDate: admin.firestore.Timestamp.fromMillis(Date.now() + DAY_MS),
+      semesterEndDate: admin.firestore.Timestamp.fromMillis(Date.now() + 7 * DAY_MS)
+    });
+  });
+
+  test('moving a slot to another room updates its planned sessions', async () => {
+    const first = await request(app).put('/api/faculty/courses/c1').set(as('faculty')).send({ timetable: timetable('LH-101') });
+    expect(first.status).toBe(200);
+    expect(first.body.schedule.created).toBe(6);
+    expect(plannedRooms()).toEqual(Array(6).fill('LH-101'));
+
+    const moved = await request(app).put('/api/faculty/courses/c1').set(as('faculty')).send({ timetable: timetable('LH-202') });
+    expect(moved.status).toBe(200);
+    expect(moved.body.schedule).toMatchObject({ created: 0, updated: 6, removed: 0, unchanged: 0 });
+    expect(plannedRooms()).toEqual(Array(6).fill('LH-202'));
+  });
+
+  test('sessions that already started keep their room', async () => {
+    await request(app).put('/api/faculty/courses/c1').set(as('faculty')).send({ timetable: timetable('LH-101') });
+    const [started] = plannedIds();
+    admin.__setDoc(started, { ...admin.__getDoc(started), state: 'active', isActive: true });
+
+    const moved = await request(app).put('/api/faculty/courses/c1').set(as('faculty')).send({ timetable: timetable('LH-202') });
+    expect(moved.body.schedule.updated).toBe(5);
+    expect(admin.__getDoc(started).roomNumber).toBe('LH-101');
+  });
+
+  test('the timetable route edits the course like any other update', async () => {
+    const res = await request(app).put('/api/faculty/courses/c1/timetable').set(as('faculty'))
+      .send({ timetable: timetable('LH-101'), name: 'Renamed' });
+    expect(res.status).toBe(200);
+    expect(res.body.course).toMatchObject({ name: 'Programming', timetable: expect.any(Array) });
+    expect(res.body.schedule.created).toBe(6);
+
+    const missing = await request(app).put('/api/faculty/courses/c1/timetable').set(as('faculty')).send({});
+    expect(missing.status).toBe(400);
+    expect(missing.body.error).toMatch(/timetable must be an array/);
+  });
+});
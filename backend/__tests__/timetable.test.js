@@ -0,0 +1,74 @@
+process.env.QR_SECRET = 'test-qr-secret';
+process.env.FIREBASE_SERVICE_ACCOUNT_JSON = JSON.stringify({ project_id: 'test' });
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+const { validateTimetable, courseSlots, findClashes } = require('../server');
+
+describe('validateTimetable', () => {
+  test('adds structured start and end times to each slot', () => {
+    const { data, error } = validateTimetable([
+      { day: 'Monday', time: '9:00-10:00', type: 'Lecture', room: ' LH-101 ' },
+      { day: 'Monday', startTime: '2:00 PM', endTime: '4:00 PM' }
+    ]);
+    expect(error).toBeUndefined();
+    expect(data).toEqual([
+      { day: 'Monday', time: '9:00-10:00', startTime: '09:00', endTime: '10:00', type: 'Lecture', room: 'LH-101' },
+      { day: 'Monday', time: '14:00 - 16:00', startTime: '14:00', endTime: '16:00' }
+    ]);
+  });
+
+  test('rejects bad days and times', () => {
+    expect(validateTimetable('Monday 9-10').error).toMatch(/must be an array/);
+    expect(validateTimetable([{ day: 'Sunday', time: '09:00-10:00' }]).error).toMatch(/timetable\[0\]\.day/);
+    expect(validateTimetable([{ day: 'Monday', time: '09:00' }]).error).toMatch(/start and end time/);
+    expect(validateTimetable([{ day: 'Monday', time: '11:00-10:00' }]).error).toMatch(/end after it starts/);
+  });
+
+  test('rejects overlapping slots of the same course', () => {
+    const { error } = validateTimetable([
+      { day: 'Tuesday', time: '09:00-10:30' },
+      { day: 'Tuesday', time: '10:00-11:00' }
+    ]);
+    expect(error).toBe('timetable[0] and timetable[1] overlap on Tuesday');
+  });
+
+  test('allows back-to-back slots', () => {
+    expect(validateTimetable([
+      { day: 'Tuesday', time: '09:00-10:00' },
+      { day: 'Tuesday', time: '10:00-11:00' }
+    ]).error).toBeUndefined();
+  });
+});
+
+describe('findClashes', () => {
+  const slots = [
+    ...courseSlots('c1', { code: 'CS101', facultyId: 'f1', timetable: [{ day: 'Monday', time: '09:00-10:00', room: 'LH-101' }] }),
+    ...courseSlots('c2', { code: 'CS102', facultyId: 'f1', timetable: [{ day: 'Monday', time: '09:30-10:30', room: 'LH-102' }] }),
+    ...courseSlots('c3', { code: 'CS103', facultyId: 'f2', timetable: [{ day: 'Monday', time: '10:00-11:00', room: 'lh 101' }] }),
+    ...courseSlots('c4', { code: 'CS104', facultyId: 'f3', timetable: [{ day: 'Tuesday', time: '09:00-10:00', room: 'LH-101' }] })
+  ];
+
+  test('reports overlapping slots of the same faculty', () => {
+    const clashes = findClashes(slots, 'faculty', slot => slot.facultyId);
+    expect(clashes).toHaveLength(1);
+    expect(clashes[0]).toMatchObject({ kind: 'faculty', key: 'f1', day: 'Monday' });
+    expect(clashes[0].slots.map(slot => slot.courseCode)).toEqual(['CS101', 'CS102']);
+  });
+
+  test('matches rooms by normalized room number and ignores back-to-back slots', () => {
+    const clashes = findClashes(slots, 'room', slot => slot.roomId);
+    expect(clashes).toEqual([]);
+
+    const overlapping = slots.concat(courseSlots('c5', {
+      code: 'CS105', facultyId: 'f4', timetable: [{ day: 'Monday', time: '10:30-11:30', room: 'LH 101' }]
+    }));
+    expect(findClashes(overlapping, 'room', slot => slot.roomId)).toEqual([
+      expect.objectContaining({ kind: 'room', key: 'LH-101', day: 'Monday' })
+    ]);
+  });
+
+  test('only reports clashes involving the given courses', () => {
+    expect(findClashes(slots, 'faculty', slot => slot.facultyId, new Set(['c3']))).toEqual([]);
+    expect(findClashes(slots, 'faculty', slot => slot.facultyId, new Set(['c2']))).toHaveLength(1);
+  });
+});
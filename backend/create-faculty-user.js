@@ -21,6 +21,9 @@ async function createFacultyUser() {
     console.log('🔑 Password: Faculty@123');
     console.log('👤 UID:', user.uid);
     
+    // Faculty routes require the role custom claim
+    await admin.auth().setCustomUserClaims(user.uid, { role: 'faculty' });
+    
     // Create faculty profile in Firestore
     const db = admin.firestore();
     await db.collection('faculty').doc(user.uid).set({
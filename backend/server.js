@@ -6,6 +6,11 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const compression = require('compression');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
 require('dotenv').config();
 
 // Initialize Firebase Admin
@@ -71,13 +76,39 @@ app.use(cors({
     'https://kydrahul.github.io'
   ],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-device-id']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-device-id', 'Idempotency-Key']
 }));
 app.use(compression());
 app.use(express.json({ limit: '1mb' })); // Add size limit
+
+// The live attendance stream accepts ?token= (EventSource cannot set headers); keep it out of the logs
+morgan.token('url', req => (req.originalUrl || req.url).replace(/([?&]token=)[^&]*/, '$1[redacted]'));
 app.use(morgan('dev'));
 
+// Every error response is { error, code }. Routes set their own code where clients need to tell
+// failures apart (forbidden(), notFound(), ...); any other error gets the generic code of its status.
+const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL'
+};
+app.use((req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (res.statusCode >= 400 && body && typeof body.error === 'string' && body.code === undefined) {
+      body = { ...body, code: ERROR_CODES[res.statusCode] || (res.statusCode >= 500 ? 'INTERNAL' : 'BAD_REQUEST') };
+    }
+    return json(body);
+  };
+  next();
+});
+
 // ============================================
 // IN-MEMORY CACHE IMPLEMENTATION
 // ============================================
@@ -136,6 +167,7 @@ class SimpleCache {
 const studentCache = new SimpleCache(500, 3600000); // 500 students, 1 hour TTL
 const courseCache = new SimpleCache(200, 3600000); // 200 courses, 1 hour TTL
 const facultyCache = new SimpleCache(100, 3600000); // 100 faculty, 1 hour TTL
+const roomCache = new SimpleCache(200, 3600000); // 200 rooms, 1 hour TTL
 
 console.log('✅ In-memory cache initialized');
 
@@ -148,11 +180,29 @@ function invalidateStudentCache(studentId) {
 
 function invalidateCourseCache(courseId) {
   courseCache.invalidate(`course:${courseId}`);
+  invalidateSessionCounts(courseId);
   // Invalidate all student dashboards (they might have this course)
   studentCache.invalidate('dashboard:');
   studentCache.invalidate('timetable:');
 }
 
+// Held-session counts and upcoming schedule changes used by attendance projections
+function invalidateSessionCounts(courseId) {
+  courseCache.invalidate(`sessionCounts:${courseId}:`);
+}
+
+function invalidateRoomCache(roomId) {
+  roomCache.invalidate(`room:${roomId}`);
+  // Student timetables embed room details
+  studentCache.invalidate('timetable:');
+}
+
+function invalidateCalendarCache() {
+  courseCache.invalidate('calendar:');
+  // Dashboards show today's calendar day and project remaining classes from it
+  studentCache.invalidate('dashboard:');
+}
+
 // ============================================
 // RATE LIMITING (In-Memory)
 // ============================================
@@ -200,7 +250,7 @@ setInterval(() => {
       requestCounts.delete(ip);
     }
   }
-}, 30 * 60 * 1000);
+}, 30 * 60 * 1000).unref(); // never keeps the process (or a test run) alive on its own
 
 console.log('✅ Rate limiting enabled (100 req/15min per IP)');
 
@@ -232,1210 +282,7148 @@ function cleanObject(obj) {
   );
 }
 
-// Generate secure QR payload with signature
-function generateQRPayload(sessionId, courseId, facultyId, location, expiresIn = 300000) {
-  const timestamp = Date.now();
-  const expiresAt = timestamp + expiresIn; // Default 5 minutes
-
+// Geofence policies a course can choose when it is created
+const LOCATION_POLICIES = ['strict', 'lenient', 'off'];
+const DEFAULT_LOCATION_POLICY = 'strict';
+// Courses and sessions from before policies existed have none stored. Their clients may not send
+// GPS accuracy, so they keep the old distance-only check instead of the strict default.
+const LEGACY_LOCATION_POLICY = 'lenient';
+const DEFAULT_GEOFENCE_RADIUS = 50; // meters
+const MAX_LENIENT_ACCURACY = 150; // meters; worse GPS fixes are rejected even when lenient
+
+// Project a point to local meters around an origin (equirectangular; fine at room scale)
+function toLocalMeters(origin, point) {
+  const R = 6371e3;
+  const latRad = origin.latitude * Math.PI / 180;
   return {
-    sessionId,
-    courseId,
-    facultyId,
-    timestamp,
-    expiresAt,
-    location,
-    signature: Buffer.from(`${sessionId}-${timestamp}-${process.env.QR_SECRET || 'fallback-secret'}`).toString('base64')
+    x: (point.longitude - origin.longitude) * Math.PI / 180 * R * Math.cos(latRad),
+    y: (point.latitude - origin.latitude) * Math.PI / 180 * R
   };
 }
 
-// Verify QR signature
-function verifyQRSignature(payload) {
-  const expectedSignature = Buffer.from(`${payload.sessionId}-${payload.timestamp}-${process.env.QR_SECRET || 'fallback-secret'}`).toString('base64');
-  return payload.signature === expectedSignature;
+// Ray-casting point-in-polygon test; polygon is an array of { latitude, longitude }
+function isPointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    const crosses = (a.latitude > point.latitude) !== (b.latitude > point.latitude) &&
+      point.longitude < (b.longitude - a.longitude) * (point.latitude - a.latitude) / (b.latitude - a.latitude) + a.longitude;
+    if (crosses) inside = !inside;
+  }
+  return inside;
 }
 
-// Middleware to verify Firebase Auth token
-async function verifyToken(req, res, next) {
-  const token = req.headers.authorization?.split('Bearer ')[1];
+// Distance in meters from a point to the nearest polygon edge (0 when inside)
+function distanceOutsidePolygon(point, polygon) {
+  if (isPointInPolygon(point, polygon)) return 0;
+
+  let min = Infinity;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = toLocalMeters(point, polygon[j]);
+    const b = toLocalMeters(point, polygon[i]);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSq));
+    min = Math.min(min, Math.hypot(a.x + t * dx, a.y + t * dy));
+  }
+  return min;
+}
 
-  if (!token) {
-    return res.status(401).json({ error: 'No token provided' });
+// Check a student's reported position against the geofence stored on the session.
+// The geofence is the registered room polygon when there is one, otherwise a centre+radius circle.
+// strict:  the fix must be precise enough and the reported point inside the geofence
+// lenient: the accuracy circle only has to overlap the geofence
+// off:     no location check
+function evaluateGeofence(session, { latitude, longitude, accuracy }) {
+  const policy = session.locationPolicy || LEGACY_LOCATION_POLICY;
+  const boundary = Array.isArray(session.roomBoundary) && session.roomBoundary.length >= 3
+    ? session.roomBoundary
+    : null;
+  const hasClassLocation = !!boundary || (Number.isFinite(Number(session.locationLatitude)) &&
+    Number.isFinite(Number(session.locationLongitude)));
+
+  if (policy === 'off' || !hasClassLocation) {
+    return { required: false, verified: false, policy, distance: null };
   }
 
-  try {
-    const decodedToken = await auth.verifyIdToken(token);
-    req.user = decodedToken;
-    next();
-  } catch (error) {
-    console.error('Token verification error:', error);
-    // Provide clearer error reasons for common cases
-    if (error?.errorInfo?.code === 'auth/id-token-expired') {
-      return res.status(401).json({ error: 'Token expired. Please login again to get a fresh token.' });
+  const lat = Number(latitude);
+  const lon = Number(longitude);
+  if (latitude === undefined || latitude === null || longitude === undefined || longitude === null ||
+    !Number.isFinite(lat) || !Number.isFinite(lon)) {
+    return { required: true, verified: false, policy, error: 'Location is required to mark attendance for this class' };
+  }
+
+  const acc = accuracy === undefined || accuracy === null ? null : Number(accuracy);
+  let distance; // from the room boundary (polygon) or from the centre (circle)
+  let outside; // how far the point lies outside the geofence
+  let radius;
+  if (boundary) {
+    distance = distanceOutsidePolygon({ latitude: lat, longitude: lon }, boundary);
+    outside = distance;
+  } else {
+    radius = Number(session.geofenceRadius) || DEFAULT_GEOFENCE_RADIUS;
+    distance = calculateDistance(lat, lon, Number(session.locationLatitude), Number(session.locationLongitude));
+    outside = Math.max(0, distance - radius);
+  }
+  const result = { required: true, verified: false, policy, distance, radius, accuracy: acc };
+  const tooFarError = boundary
+    ? `You are outside ${session.roomNumber || 'the classroom'} (${Math.round(distance)}m from its boundary)`
+    : `You are too far from class location (${Math.round(distance)}m away, max ${radius}m allowed)`;
+
+  if (policy === 'strict') {
+    const accuracyLimit = radius || DEFAULT_GEOFENCE_RADIUS;
+    if (acc === null || !Number.isFinite(acc)) {
+      return { ...result, error: 'GPS accuracy is required to mark attendance for this class' };
     }
-    return res.status(401).json({ error: 'Invalid token' });
+    if (acc > accuracyLimit) {
+      return { ...result, error: `GPS signal too weak (±${Math.round(acc)}m, need ±${accuracyLimit}m or better). Move near a window and try again` };
+    }
+    if (outside > 0) {
+      return { ...result, error: tooFarError };
+    }
+    return { ...result, verified: true };
   }
-}
 
-// ============================================
-// API ROUTES
-// ============================================
+  // lenient
+  const slack = acc !== null && Number.isFinite(acc) ? Math.max(0, acc) : 0;
+  if (slack > MAX_LENIENT_ACCURACY) {
+    return { ...result, error: `GPS signal too weak (±${Math.round(slack)}m, need ±${MAX_LENIENT_ACCURACY}m or better). Move near a window and try again` };
+  }
+  if (outside > slack) {
+    return { ...result, error: tooFarError };
+  }
+  return { ...result, verified: true };
+}
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
-});
+// Rooms are keyed by their normalized room number ("lh 101" -> "LH-101")
+function roomIdFor(roomNumber) {
+  return String(roomNumber).trim().toUpperCase().replace(/[\s/]+/g, '-');
+}
 
-// Cache statistics endpoint (for monitoring)
-app.get('/api/cache/stats', verifyToken, async (req, res) => {
-  try {
-    res.json({
-      success: true,
-      caches: {
-        students: studentCache.getStats(),
-        courses: courseCache.getStats(),
-        faculty: facultyCache.getStats()
-      },
-      rateLimiting: {
-        activeIPs: requestCounts.size
-      }
-    });
-  } catch (error) {
-    console.error('Error fetching cache stats:', error);
-    res.status(500).json({ error: 'Failed to fetch cache stats' });
+// Parse a coordinate pair given as { latitude, longitude } or [latitude, longitude]
+function parseLatLng(value) {
+  const pair = Array.isArray(value)
+    ? { latitude: value[0], longitude: value[1] }
+    : { latitude: value?.latitude ?? value?.lat, longitude: value?.longitude ?? value?.lng };
+  const latitude = Number(pair.latitude);
+  const longitude = Number(pair.longitude);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+    Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null;
   }
-});
+  return { latitude, longitude };
+}
 
-// ============================================
-// STUDENT ROUTES
-// ============================================
+// Validate room registry input. Returns { data } or { error }.
+// A room needs either a polygon boundary (3+ points) or a centre and radius.
+function validateRoomInput(body, { partial = false } = {}) {
+  const data = {};
 
-// Create/Update Student Profile
-app.post('/api/student/profile', verifyToken, async (req, res) => {
-  try {
-    // Support both our original keys and the ones used in the guide
-    const {
-      name,
-      rollNo,
-      rollNumber,
-      programId,
-      year,
-      batch,
-      semester,
-      department,
-      email: emailFromBody
-    } = req.body;
-    const userId = req.user.uid;
+  if (body.roomNumber !== undefined || !partial) {
+    if (!body.roomNumber || typeof body.roomNumber !== 'string' || !body.roomNumber.trim()) {
+      return { error: 'roomNumber is required' };
+    }
+    data.roomNumber = body.roomNumber.trim();
+  }
+  if (body.building !== undefined) data.building = String(body.building).trim();
+  if (body.floor !== undefined) data.floor = body.floor;
 
-    const studentData = cleanObject({
-      userId,
-      email: req.user.email || emailFromBody,
-      name,
-      rollNo: rollNo || rollNumber,
-      programId,
-      year,
-      batch,
-      semester,
-      department,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      createdAt: admin.firestore.FieldValue.serverTimestamp()
-    });
+  if (body.boundary !== undefined && body.boundary !== null) {
+    if (!Array.isArray(body.boundary) || body.boundary.length < 3) {
+      return { error: 'boundary must be an array of at least 3 points' };
+    }
+    const boundary = body.boundary.map(parseLatLng);
+    if (boundary.some(point => !point)) {
+      return { error: 'boundary points must have valid latitude and longitude' };
+    }
+    data.boundary = boundary;
+    // Centroid is used as the reference point for QR payloads and listings
+    data.center = {
+      latitude: boundary.reduce((sum, p) => sum + p.latitude, 0) / boundary.length,
+      longitude: boundary.reduce((sum, p) => sum + p.longitude, 0) / boundary.length
+    };
+    data.radius = null;
+  } else if (body.center !== undefined && body.center !== null) {
+    const center = parseLatLng(body.center);
+    const radius = Number(body.radius);
+    if (!center) {
+      return { error: 'center must have valid latitude and longitude' };
+    }
+    if (!Number.isFinite(radius) || radius <= 0) {
+      return { error: 'radius (meters) is required with center' };
+    }
+    data.center = center;
+    data.radius = radius;
+    data.boundary = null;
+  } else if (!partial) {
+    return { error: 'Either boundary (polygon) or center + radius is required' };
+  }
 
-    await db.collection('students').doc(userId).set(studentData, { merge: true });
+  return { data };
+}
 
-    // Invalidate cache when profile is updated
-    invalidateStudentCache(userId);
+// Look up a registered room by room number (cached)
+async function getRoom(roomNumber) {
+  if (!roomNumber) return null;
+  const roomId = roomIdFor(roomNumber);
 
-    res.json({ success: true, student: studentData });
-  } catch (error) {
-    console.error('Error creating student profile:', error);
-    res.status(500).json({ error: 'Failed to create student profile' });
-  }
-});
+  const cached = roomCache.get(`room:${roomId}`);
+  if (cached) return cached;
 
-// Get Student Dashboard (today's classes & attendance stats) - OPTIMIZED
-app.get('/api/student/dashboard', verifyToken, async (req, res) => {
-  try {
-    const userId = req.user.uid;
+  const roomDoc = await db.collection('rooms').doc(roomId).get();
+  if (!roomDoc.exists) return null;
 
-    // Check cache first
-    const cacheKey = `dashboard:${userId}`;
-    const cached = studentCache.get(cacheKey);
+  const room = { id: roomDoc.id, ...roomDoc.data() };
+  roomCache.set(`room:${roomId}`, room);
+  return room;
+}
+
+// Look up several rooms at once; returns Map<roomId, room>
+async function getRooms(roomNumbers) {
+  const rooms = new Map();
+  const missing = [];
+  for (const roomId of new Set(roomNumbers.filter(Boolean).map(roomIdFor))) {
+    const cached = roomCache.get(`room:${roomId}`);
     if (cached) {
-      console.log(`✅ Cache hit: dashboard for ${userId}`);
-      return res.json(cached);
+      rooms.set(roomId, cached);
+    } else {
+      missing.push(roomId);
     }
+  }
 
-    console.log(`📊 Cache miss: fetching dashboard for ${userId}`);
+  if (missing.length > 0) {
+    const roomDocs = await db.getAll(...missing.map(id => db.collection('rooms').doc(id)));
+    roomDocs.forEach(doc => {
+      if (doc.exists) {
+        const room = { id: doc.id, ...doc.data() };
+        rooms.set(doc.id, room);
+        roomCache.set(`room:${doc.id}`, room);
+      }
+    });
+  }
+  return rooms;
+}
 
-    // Get student data
-    const studentDoc = await db.collection('students').doc(userId).get();
-    if (!studentDoc.exists) {
-      return res.status(404).json({ error: 'Student profile not found' });
-    }
+// Parse "9:00", "09:30" or "2:00 PM" into minutes since midnight
+function parseClockTime(value) {
+  const match = /^\s*(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\s*$/i.exec(value || '');
+  if (!match) return null;
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  const meridiem = match[3]?.toLowerCase();
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+  return hours * 60 + minutes;
+}
 
-    const student = studentDoc.data();
+// Start/end minutes of a timetable slot. Validated slots carry startTime/endTime ("09:00");
+// older ones only have the display string ("10:00-11:00", an hour long when no end is given).
+function slotMinutes(slot) {
+  if (slot?.startTime && slot?.endTime) {
+    const start = parseClockTime(slot.startTime);
+    const end = parseClockTime(slot.endTime);
+    if (start !== null && end !== null) return { start, end };
+  }
+  if (typeof slot?.time !== 'string') return null;
+  const [startText, endText] = slot.time.split('-');
+  const start = parseClockTime(startText);
+  if (start === null) return null;
+  return { start, end: parseClockTime(endText) ?? start + 60 };
+}
 
-    // Get enrolled courses (single query)
-    const enrollmentsSnapshot = await db.collection('enrollments')
-      .where('studentId', '==', userId)
-      .where('isActive', '==', true)
-      .get();
+// Minutes since midnight as HH:MM
+function minutesToClock(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
 
-    const courseIds = enrollmentsSnapshot.docs.map(doc => doc.data().courseId);
+// Validate and normalise a course timetable: Array<{ day, time | startTime+endTime, type?, room? }>.
+// Each slot keeps its display time and gains structured startTime/endTime; slots of one course may not overlap.
+function validateTimetable(timetable) {
+  if (!Array.isArray(timetable)) {
+    return { error: 'timetable must be an array of { day, time, type, room }' };
+  }
 
-    // OPTIMIZED: Batch read courses instead of loop
-    const courses = [];
-    if (courseIds.length > 0) {
-      const courseRefs = courseIds.map(id => db.collection('courses').doc(id));
-      const courseDocs = await db.getAll(...courseRefs);
+  const slots = [];
+  for (const [index, slot] of timetable.entries()) {
+    const label = `timetable[${index}]`;
+    if (!slot || typeof slot !== 'object') {
+      return { error: `${label} must be an object` };
+    }
+    if (!WEEKDAYS.slice(1).includes(slot.day)) {
+      return { error: `${label}.day must be Monday to Saturday` };
+    }
 
-      for (const courseDoc of courseDocs) {
-        if (courseDoc.exists) {
-          courses.push({ id: courseDoc.id, ...courseDoc.data() });
-        }
-      }
+    const [startText, endText] = slot.startTime !== undefined
+      ? [slot.startTime, slot.endTime]
+      : String(slot.time || '').split('-');
+    const start = parseClockTime(startText);
+    const end = parseClockTime(endText);
+    if (start === null || end === null || start >= 24 * 60 || end > 24 * 60) {
+      return { error: `${label} needs a start and end time like "09:00-10:00"` };
+    }
+    if (start >= end) {
+      return { error: `${label} must end after it starts` };
     }
 
-    // Get today's sessions (optimized with single query)
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    const startTime = minutesToClock(start);
+    const endTime = minutesToClock(end);
+    slots.push(cleanObject({
+      day: slot.day,
+      time: typeof slot.time === 'string' && slot.time.trim() ? slot.time.trim() : `${startTime} - ${endTime}`,
+      startTime,
+      endTime,
+      type: slot.type ? String(slot.type).trim() : undefined,
+      room: slot.room ? String(slot.room).trim() : undefined
+    }));
+  }
 
-    let sessions = [];
-    if (courseIds.length > 0) {
-      // Firestore 'in' query supports max 10 items
-      const courseIdBatches = [];
-      for (let i = 0; i < courseIds.length; i += 10) {
-        courseIdBatches.push(courseIds.slice(i, i + 10));
+  for (let i = 0; i < slots.length; i++) {
+    for (let j = i + 1; j < slots.length; j++) {
+      if (slots[i].day === slots[j].day &&
+        slots[i].startTime < slots[j].endTime && slots[j].startTime < slots[i].endTime) {
+        return { error: `timetable[${i}] and timetable[${j}] overlap on ${slots[i].day}` };
       }
+    }
+  }
 
-      for (const batch of courseIdBatches) {
-        const sessionsSnapshot = await db.collection('sessions')
-          .where('courseId', 'in', batch)
-          .where('date', '>=', admin.firestore.Timestamp.fromDate(today))
-          .where('date', '<', admin.firestore.Timestamp.fromDate(tomorrow))
-          .get();
+  return { data: slots };
+}
 
-        sessions.push(...sessionsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+// Timed timetable slots of a course, flattened for clash checks
+function courseSlots(courseId, course) {
+  return (course.timetable || []).flatMap(slot => {
+    const times = slotMinutes(slot);
+    if (!times) return [];
+    return [{
+      courseId,
+      courseCode: course.code,
+      courseName: course.name,
+      facultyId: course.facultyId,
+      day: slot.day,
+      start: times.start,
+      end: times.end,
+      room: slot.room || null,
+      roomId: slot.room ? roomIdFor(slot.room) : null
+    }];
+  });
+}
+
+// Overlapping slots of different courses. groupBy picks which slots compete (same faculty, same room, ...);
+// only pairs involving one of onlyCourseIds are reported when it is given.
+function findClashes(slots, kind, groupBy = () => 'all', onlyCourseIds = null) {
+  const describe = slot => ({
+    courseId: slot.courseId,
+    courseCode: slot.courseCode,
+    courseName: slot.courseName,
+    time: `${minutesToClock(slot.start)}-${minutesToClock(slot.end)}`,
+    room: slot.room
+  });
+
+  const groups = new Map();
+  slots.forEach(slot => {
+    const key = groupBy(slot);
+    if (key === null || key === undefined) return;
+    groups.set(`${key}|${slot.day}`, [...(groups.get(`${key}|${slot.day}`) || []), slot]);
+  });
+
+  const clashes = [];
+  for (const [key, group] of groups) {
+    group.sort((a, b) => a.start - b.start);
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length && group[j].start < group[i].end; j++) {
+        const [a, b] = [group[i], group[j]];
+        if (a.courseId === b.courseId) continue;
+        if (onlyCourseIds && !onlyCourseIds.has(a.courseId) && !onlyCourseIds.has(b.courseId)) continue;
+        clashes.push({ kind, key: key.split('|')[0], day: a.day, slots: [describe(a), describe(b)] });
       }
     }
+  }
+  return clashes;
+}
 
-    // Get attendance stats (single query)
-    const attendanceSnapshot = await db.collection('attendance')
-      .where('studentId', '==', userId)
-      .get();
+// Find the timetable slot running now (or starting within 15 minutes)
+function findCurrentTimetableSlot(timetable, now = new Date()) {
+  if (!Array.isArray(timetable)) return null;
+  const { weekday, minutes } = campusParts(now);
+  const day = WEEKDAYS[weekday];
 
-    const totalClasses = attendanceSnapshot.size;
-    const presentCount = attendanceSnapshot.docs.filter(doc => doc.data().status === 'present').length;
-    const attendancePercentage = totalClasses > 0 ? (presentCount / totalClasses) * 100 : 0;
+  return timetable.find(slot => {
+    const times = slot.day === day ? slotMinutes(slot) : null;
+    return times !== null && minutes >= times.start - 15 && minutes <= times.end;
+  }) || null;
+}
 
-    const result = {
-      student,
-      courses,
-      todaySessions: sessions,
-      stats: {
-        totalClasses,
-        presentCount,
-        absentCount: totalClasses - presentCount,
-        attendancePercentage: attendancePercentage.toFixed(1)
-      }
-    };
+// Session lifecycle: scheduled (planned from the timetable) -> active -> closed, or cancelled.
+// Sessions created before planning existed have no state and are derived from isActive.
+function sessionState(session) {
+  return session.state || (session.isActive ? 'active' : 'closed');
+}
 
-    // Cache for 5 minutes (shorter TTL for dashboard)
-    const dashboardCache = new SimpleCache(500, 300000); // 5 minutes
-    dashboardCache.set(cacheKey, result);
-    studentCache.set(cacheKey, result);
+// Timetables, the academic calendar and day boundaries are campus wall-clock times, whatever
+// zone the server itself runs in. India has no daylight saving, so the offset is fixed.
+const CAMPUS_TIME_ZONE = 'Asia/Kolkata';
+const CAMPUS_UTC_OFFSET_MS = 330 * 60 * 1000;
 
-    res.json(result);
-  } catch (error) {
-    console.error('Error fetching dashboard:', error);
-    res.status(500).json({ error: 'Failed to fetch dashboard data' });
-  }
-});
+// Campus wall-clock fields of an instant (month 1-12, weekday 0 = Sunday, minutes since midnight)
+function campusParts(date = new Date()) {
+  const shifted = new Date(date.getTime() + CAMPUS_UTC_OFFSET_MS);
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+    weekday: shifted.getUTCDay(),
+    minutes: shifted.getUTCHours() * 60 + shifted.getUTCMinutes()
+  };
+}
 
-// Scan QR and Mark Attendance - OPTIMIZED with Denormalization
-app.post('/api/student/scan-qr', verifyToken, async (req, res) => {
-  try {
-    const { qrData, latitude, longitude, accuracy } = req.body;
-    const userId = req.user.uid;
+// The instant of a campus wall-clock time; day and minutes may overflow like Date.UTC
+function campusTime(year, month, day, minutes = 0) {
+  return new Date(Date.UTC(year, month - 1, day, 0, minutes) - CAMPUS_UTC_OFFSET_MS);
+}
 
-    // Parse QR data
-    let payload;
-    try {
-      payload = JSON.parse(qrData);
-    } catch (err) {
-      return res.status(400).json({ error: 'Invalid QR code format' });
-    }
+// Campus midnight of the day containing an instant, shifted by whole days
+function campusDayStart(date = new Date(), addDays = 0) {
+  const { year, month, day } = campusParts(date);
+  return campusTime(year, month, day + addDays);
+}
 
-    // Verify QR signature
-    if (!verifyQRSignature(payload)) {
-      return res.status(400).json({ error: 'Invalid QR signature' });
-    }
+// Last millisecond of the campus day containing an instant
+function campusDayEnd(date = new Date()) {
+  return new Date(campusDayStart(date, 1).getTime() - 1);
+}
 
-    // Check if QR is expired
-    if (Date.now() > payload.expiresAt) {
-      return res.status(400).json({ error: 'QR code has expired' });
-    }
+// Campus clock time as HH:MM
+function formatClock(date) {
+  const { minutes } = campusParts(date);
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
 
-    // Get session details
-    const sessionDoc = await db.collection('sessions').doc(payload.sessionId).get();
-    if (!sessionDoc.exists) {
-      return res.status(404).json({ error: 'Session not found' });
-    }
+// Campus calendar date as YYYY-MM-DD
+function campusDateKey(date) {
+  const pad = value => String(value).padStart(2, '0');
+  const { year, month, day } = campusParts(date);
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
 
-    const session = sessionDoc.data();
+// Academic calendar: one document per semester with holidays, exam blocks and day swaps.
+// All calendar dates are stored as campus YYYY-MM-DD strings.
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const EXAM_BLOCK_TYPES = ['midsem', 'endsem'];
+
+// Validate a YYYY-MM-DD date; returns the string, or null when invalid
+function parseCalendarDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(typeof value === 'string' ? value.trim() : '');
+  if (!match) return null;
+  const date = dateFromKey(match[0]);
+  return campusDateKey(date) === match[0] ? match[0] : null;
+}
 
-    // Verify student is enrolled in this course
-    const enrollmentSnapshot = await db.collection('enrollments')
-      .where('studentId', '==', userId)
-      .where('courseId', '==', payload.courseId)
-      .where('isActive', '==', true)
-      .limit(1)
-      .get();
+// Campus midnight of a YYYY-MM-DD string
+function dateFromKey(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return campusTime(year, month, day);
+}
+
+// All semesters (a handful of documents), cached until an admin edits the calendar
+async function getAcademicCalendars() {
+  const cached = courseCache.get('calendar:all');
+  if (cached) return cached;
+
+  const snapshot = await db.collection('academicCalendar').get();
+  const calendars = snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+  courseCache.set('calendar:all', calendars);
+  return calendars;
+}
+
+// How a date plays out on the calendar. timetableDay is the weekday whose timetable runs
+// (null when there are no classes); without any calendar every day follows its own weekday.
+function calendarDay(calendars, date) {
+  const dateKey = campusDateKey(date);
+  const weekday = WEEKDAYS[campusParts(date).weekday];
+  if (!calendars || calendars.length === 0) {
+    return { date: dateKey, weekday, timetableDay: weekday };
+  }
+
+  const calendar = calendars.find(c => c.startDate <= dateKey && dateKey <= c.endDate);
+  if (!calendar) {
+    return { date: dateKey, weekday, timetableDay: null, reason: 'outside_semester' };
+  }
+
+  const base = { date: dateKey, weekday, calendarId: calendar.id };
+  const holiday = (calendar.holidays || []).find(h => h.date === dateKey);
+  if (holiday) {
+    return cleanObject({ ...base, timetableDay: null, reason: 'holiday', label: holiday.name });
+  }
+  const exam = (calendar.examBlocks || []).find(b => b.startDate <= dateKey && dateKey <= b.endDate);
+  if (exam) {
+    return { ...base, timetableDay: null, reason: 'exam', examType: exam.type, label: exam.name || exam.type };
+  }
+  const swap = (calendar.daySwaps || []).find(s => s.date === dateKey);
+  if (swap) {
+    return cleanObject({ ...base, timetableDay: swap.followsDay, swappedFrom: weekday, label: swap.note });
+  }
+  return { ...base, timetableDay: weekday };
+}
+
+// The semester covering a date, or null
+function semesterFor(calendars, date) {
+  const dateKey = campusDateKey(date);
+  return (calendars || []).find(c => c.startDate <= dateKey && dateKey <= c.endDate) || null;
+}
+
+// Random 6-character join code without look-alike characters (0/O, 1/I)
+function generateJoinCode() {
+  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  let code = '';
+  for (let i = 0; i < 6; i++) {
+    code += chars.charAt(crypto.randomInt(chars.length));
+  }
+  return code;
+}
+
+// A join code no other course uses
+async function generateUniqueJoinCode() {
+  let joinCode = generateJoinCode();
+  let existing = await db.collection('courses').where('joinCode', '==', joinCode).limit(1).get();
+  while (!existing.empty) {
+    joinCode = generateJoinCode();
+    existing = await db.collection('courses').where('joinCode', '==', joinCode).limit(1).get();
+  }
+  return joinCode;
+}
+
+// Validate an optional locationPolicy from a request body
+function parseLocationPolicy(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_LOCATION_POLICY;
+  return LOCATION_POLICIES.includes(value) ? value : null;
+}
+
+// What scan-qr does with a device the student has not registered
+const DEVICE_POLICIES = ['reject', 'flag', 'off'];
+const DEFAULT_DEVICE_POLICY = 'flag';
+
+// Validate an optional devicePolicy. Returns undefined when absent, null when invalid.
+function parseDevicePolicy(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  return DEVICE_POLICIES.includes(value) ? value : null;
+}
+
+// Split an array into chunks (Firestore 'in' queries and batched writes have size limits)
+function chunkArray(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// Apply write operations (batch => void) in Firestore batches of at most 500
+const FIRESTORE_BATCH_LIMIT = 500;
+async function commitInBatches(operations) {
+  for (const ops of chunkArray(operations, FIRESTORE_BATCH_LIMIT)) {
+    const batch = db.batch();
+    ops.forEach(op => op(batch));
+    await batch.commit();
+  }
+}
+
+// Parse CSV text into row objects; headers are normalized ("Roll No" -> "rollno")
+function parseCsv(text) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    Readable.from([String(text).replace(/^\uFEFF/, '')])
+      .pipe(csv({ mapHeaders: ({ header }) => header.trim().toLowerCase().replace(/[\s_-]+/g, '') }))
+      .on('data', row => rows.push(row))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+}
+
+// Enroll a student who was pre-registered through a roster import, once their profile exists.
+// Invites are matched on the email from the verified ID token only: roll numbers are typed in by the
+// student, so an invite that also lists one must match it too, and roll-number-only invites wait for
+// the faculty to enroll the student by hand.
+async function claimRosterInvites(studentId, verifiedEmail, rollNo) {
+  if (!verifiedEmail) return 0;
+  const invitesSnapshot = await db.collection('rosterInvites')
+    .where('email', '==', verifiedEmail.toLowerCase())
+    .where('status', '==', 'pending')
+    .get();
+  const inviteDocs = invitesSnapshot.docs
+    .filter(doc => !doc.data().rollNo || doc.data().rollNo === String(rollNo || '').trim());
+  if (inviteDocs.length === 0) return 0;
+
+  const enrollmentsSnapshot = await db.collection('enrollments')
+    .where('studentId', '==', studentId)
+    .get();
+  const enrollments = new Map(enrollmentsSnapshot.docs.map(doc => [doc.data().courseId, doc]));
+
+  const operations = [];
+  const handled = new Set();
+  let claimed = 0;
+  for (const inviteDoc of inviteDocs) {
+    const { courseId } = inviteDoc.data();
+    const enrollment = enrollments.get(courseId);
+    if (!handled.has(courseId) && enrollment?.data().isActive !== true) {
+      handled.add(courseId);
+      claimed++;
+      if (enrollment) {
+        // An earlier unenrollment or pending join request: the invite puts the student back on the roster
+        operations.push(batch => batch.update(enrollment.ref, {
+          isActive: true,
+          status: admin.firestore.FieldValue.delete(),
+          enrolledAt: admin.firestore.FieldValue.serverTimestamp(),
+          source: 'roster-import'
+        }));
+      } else {
+        operations.push(batch => batch.set(db.collection('enrollments').doc(), {
+          studentId,
+          courseId,
+          isActive: true,
+          enrolledAt: admin.firestore.FieldValue.serverTimestamp(),
+          source: 'roster-import'
+        }));
+      }
+      operations.push(batch => batch.update(db.collection('courses').doc(courseId), {
+        enrolledCount: admin.firestore.FieldValue.increment(1)
+      }));
+      invalidateCourseCache(courseId);
+    }
+    operations.push(batch => batch.update(inviteDoc.ref, {
+      status: 'claimed',
+      studentId,
+      claimedAt: admin.firestore.FieldValue.serverTimestamp()
+    }));
+  }
+  await commitInBatches(operations);
+  return claimed;
+}
+
+// Find a student profile by id, email or roll number
+async function findStudent({ studentId, email, rollNo }) {
+  if (studentId) {
+    const studentDoc = await db.collection('students').doc(studentId).get();
+    return studentDoc.exists ? { id: studentDoc.id, ...studentDoc.data() } : null;
+  }
+
+  const field = email ? 'email' : 'rollNo';
+  const value = email ? email.trim().toLowerCase() : String(rollNo).trim();
+  const snapshot = await db.collection('students')
+    .where(field, '==', value)
+    .limit(1)
+    .get();
+  return snapshot.empty ? null : { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+}
+
+// Append-only history entry for an attendance record change, as a batch operation.
+// source: scan | manual | system | leave | dispute
+function attendanceAuditOp({ attendanceId, sessionId, courseId, studentId, previousStatus = null, newStatus, changedBy, source, reason }) {
+  return batch => batch.set(db.collection('attendanceAudit').doc(), cleanObject({
+    attendanceId,
+    sessionId,
+    courseId,
+    studentId,
+    action: previousStatus ? 'update' : 'create',
+    previousStatus,
+    newStatus,
+    changedBy,
+    source,
+    reason,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  }));
+}
+
+// One attendance doc per student per session; the fixed id lets scan-qr create it inside a transaction
+function attendanceDocId(sessionId, studentId) {
+  return `${sessionId}_${studentId}`;
+}
+
+// Students with approved leave for a course on the given date
+async function findStudentsOnLeave(courseId, date) {
+  const snapshot = await db.collection('leaveRequests')
+    .where('courseIds', 'array-contains', courseId)
+    .where('toDate', '>=', admin.firestore.Timestamp.fromDate(date))
+    .get();
+
+  return new Set(snapshot.docs
+    .map(doc => doc.data())
+    .filter(leave => leave.decisions?.[courseId]?.status === 'approved' && toDate(leave.fromDate) <= date)
+    .map(leave => leave.studentId));
+}
+
+// Overall leave status from the per-course decisions
+function leaveStatusFromDecisions(courseIds, decisions = {}) {
+  const statuses = courseIds.map(id => decisions[id]?.status || 'pending');
+  if (statuses.includes('pending')) return 'pending';
+  if (statuses.every(status => status === 'approved')) return 'approved';
+  if (statuses.every(status => status === 'rejected')) return 'rejected';
+  return 'partial';
+}
+
+// Turn the student's absent records in the leave window into excused ones for the approved courses
+async function applyApprovedLeave(leaveId, leave, courseIds, reviewerId) {
+  const from = admin.firestore.Timestamp.fromDate(toDate(leave.fromDate));
+  const to = admin.firestore.Timestamp.fromDate(toDate(leave.toDate));
+
+  const sessionsById = new Map();
+  for (const courseId of courseIds) {
+    const snapshot = await db.collection('sessions')
+      .where('courseId', '==', courseId)
+      .where('date', '>=', from)
+      .where('date', '<=', to)
+      .get();
+    snapshot.docs.forEach(doc => sessionsById.set(doc.id, doc.data()));
+  }
+  if (sessionsById.size === 0) return 0;
+
+  const records = [];
+  for (const batch of chunkArray(courseIds, 10)) {
+    const snapshot = await db.collection('attendance')
+      .where('studentId', '==', leave.studentId)
+      .where('courseId', 'in', batch)
+      .get();
+    records.push(...snapshot.docs.filter(doc =>
+      sessionsById.has(doc.data().sessionId) && doc.data().status === 'absent'
+    ));
+  }
+
+  await commitInBatches(records.flatMap(doc => [
+    batch => batch.update(doc.ref, {
+      status: 'excused',
+      leaveRequestId: leaveId,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }),
+    attendanceAuditOp({
+      attendanceId: doc.id,
+      sessionId: doc.data().sessionId,
+      courseId: doc.data().courseId,
+      studentId: leave.studentId,
+      previousStatus: 'absent',
+      newStatus: 'excused',
+      changedBy: reviewerId,
+      source: 'leave',
+      reason: `Leave request ${leaveId}`
+    })
+  ]));
+
+  // Closed sessions are already summarised; fold the change in
+  const closedSessionIds = [...new Set(records.map(doc => doc.data().sessionId))]
+    .filter(id => !sessionsById.get(id).isActive);
+  for (const sessionId of closedSessionIds) {
+    await refreshSessionSummary(sessionId);
+  }
+
+  invalidateStudentCache(leave.studentId);
+  return records.length;
+}
+
+// Create an explicit 'absent' record (or 'excused' when on approved leave) for every actively
+// enrolled student who has no attendance record for the session. Safe to run more than once.
+async function materializeAbsences(sessionId, session) {
+  const [enrollmentsSnapshot, attendanceSnapshot] = await Promise.all([
+    db.collection('enrollments')
+      .where('courseId', '==', session.courseId)
+      .where('isActive', '==', true)
+      .get(),
+    db.collection('attendance')
+      .where('sessionId', '==', sessionId)
+      .get()
+  ]);
+
+  const recordedIds = new Set(attendanceSnapshot.docs.map(doc => doc.data().studentId));
+  const missingIds = enrollmentsSnapshot.docs
+    .map(doc => doc.data().studentId)
+    .filter(studentId => !recordedIds.has(studentId));
+
+  // Denormalize student names like scan-qr does
+  const studentDocs = missingIds.length > 0
+    ? await db.getAll(...missingIds.map(id => db.collection('students').doc(id)))
+    : [];
+  const onLeave = missingIds.length > 0
+    ? await findStudentsOnLeave(session.courseId, toDate(session.date) || new Date())
+    : new Set();
+
+  await commitInBatches(studentDocs.flatMap(studentDoc => {
+    const student = studentDoc.exists ? studentDoc.data() : {};
+    const status = onLeave.has(studentDoc.id) ? 'excused' : 'absent';
+    const attendanceRef = db.collection('attendance').doc(attendanceDocId(sessionId, studentDoc.id));
+    return [
+      batch => batch.set(attendanceRef, {
+        sessionId,
+        courseId: session.courseId,
+        studentId: studentDoc.id,
+        studentName: student.name || 'Unknown',
+        studentRollNo: student.rollNo || 'N/A',
+        courseName: session.courseName || 'Unknown',
+        courseCode: session.courseCode || 'N/A',
+        status,
+        markedAt: admin.firestore.FieldValue.serverTimestamp(),
+        markedBy: 'system',
+        locationVerified: false
+      }),
+      attendanceAuditOp({
+        attendanceId: attendanceRef.id,
+        sessionId,
+        courseId: session.courseId,
+        studentId: studentDoc.id,
+        newStatus: status,
+        changedBy: 'system',
+        source: 'system'
+      })
+    ];
+  }));
+
+  missingIds.forEach(invalidateStudentCache);
+  const excusedCreated = missingIds.filter(id => onLeave.has(id)).length;
+  return {
+    totalStudents: enrollmentsSnapshot.size,
+    absentCreated: missingIds.length - excusedCreated,
+    excusedCreated
+  };
+}
+
+// Load every record that belongs to a course, for cascading deletes
+async function collectCourseRecords(courseId) {
+  const [
+    sessionsSnapshot, enrollmentsSnapshot, attendanceSnapshot, invitesSnapshot, auditSnapshot, disputesSnapshot, feedSnapshot
+  ] = await Promise.all([
+    db.collection('sessions').where('courseId', '==', courseId).get(),
+    db.collection('enrollments').where('courseId', '==', courseId).get(),
+    db.collection('attendance').where('courseId', '==', courseId).get(),
+    db.collection('rosterInvites').where('courseId', '==', courseId).get(),
+    db.collection('attendanceAudit').where('courseId', '==', courseId).get(),
+    db.collection('attendanceDisputes').where('courseId', '==', courseId).get(),
+    db.collection('studentFeed').where('courseId', '==', courseId).get()
+  ]);
+
+  // activeQRs are keyed by session id, the analytics summary by course id
+  const qrRefs = sessionsSnapshot.docs.map(doc => db.collection('activeQRs').doc(doc.id));
+  const [summaryDoc, ...qrDocs] = await db.getAll(db.collection('attendanceSummaries').doc(courseId), ...qrRefs);
+
+  return {
+    sessions: sessionsSnapshot.docs,
+    enrollments: enrollmentsSnapshot.docs,
+    attendance: attendanceSnapshot.docs,
+    rosterInvites: invitesSnapshot.docs,
+    attendanceAudit: auditSnapshot.docs,
+    attendanceDisputes: disputesSnapshot.docs,
+    studentFeed: feedSnapshot.docs,
+    activeQRs: qrDocs.filter(doc => doc.exists).map(doc => doc.ref),
+    attendanceSummaries: summaryDoc.exists ? [summaryDoc.ref] : []
+  };
+}
+
+// Attendance requirement (percent); a course or its department can override it
+const DEFAULT_ATTENDANCE_THRESHOLD = 75;
+
+// How excused sessions count towards the percentage: 'exclude' drops them from the total,
+// 'present' counts them as attended and 'absent' as missed
+const EXCUSED_POLICIES = ['exclude', 'present', 'absent'];
+const DEFAULT_EXCUSED_POLICY = 'exclude';
+
+// Validate an optional excused policy. Returns undefined when absent, null when invalid.
+function parseExcusedPolicy(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  return EXCUSED_POLICIES.includes(value) ? value : null;
+}
+
+// Attended and counted totals after applying the excused policy
+function applyExcusedPolicy({ present = 0, absent = 0, excused = 0 }, policy = DEFAULT_EXCUSED_POLICY) {
+  if (policy === 'present') return { attended: present + excused, counted: present + absent + excused };
+  if (policy === 'absent') return { attended: present, counted: present + absent + excused };
+  return { attended: present, counted: present + absent };
+}
+
+// Validate an optional attendance threshold (percent). Returns undefined when absent, null when invalid.
+function parseAttendanceThreshold(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const threshold = Number(value);
+  return Number.isFinite(threshold) && threshold > 0 && threshold <= 100 ? threshold : null;
+}
+
+// Parse an optional YYYY-MM-DD (or ISO) date. Returns undefined when absent, null when invalid.
+// A bare YYYY-MM-DD is campus midnight of that day.
+function parseDateInput(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const dateKey = parseCalendarDate(value);
+  const date = dateKey ? dateFromKey(dateKey) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Convert a Firestore Timestamp, Date or date string to a Date
+function toDate(value) {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Department documents (cached) for threshold lookups; returns Map<departmentId, department>
+async function getDepartments(departmentCodes) {
+  const departments = new Map();
+  const missing = [];
+  for (const departmentId of new Set(departmentCodes.filter(Boolean).map(departmentIdFor))) {
+    const cached = courseCache.get(`department:${departmentId}`);
+    if (cached) {
+      departments.set(departmentId, cached);
+    } else {
+      missing.push(departmentId);
+    }
+  }
+
+  if (missing.length > 0) {
+    const departmentDocs = await db.getAll(...missing.map(id => db.collection('departments').doc(id)));
+    departmentDocs.forEach(doc => {
+      const department = doc.exists ? { id: doc.id, ...doc.data() } : { id: doc.id };
+      departments.set(doc.id, department);
+      courseCache.set(`department:${doc.id}`, department);
+    });
+  }
+  return departments;
+}
+
+// Course threshold, falling back to the department's and then the institute default
+function resolveAttendanceThreshold(course, departments) {
+  const department = course.department ? departments.get(departmentIdFor(course.department)) : null;
+  return course.attendanceThreshold || department?.attendanceThreshold || DEFAULT_ATTENDANCE_THRESHOLD;
+}
+
+// Course excused policy, falling back the same way as the threshold
+function resolveExcusedPolicy(course, departments) {
+  const department = course.department ? departments.get(departmentIdFor(course.department)) : null;
+  return course.excusedPolicy || department?.excusedPolicy || DEFAULT_EXCUSED_POLICY;
+}
+
+// Count timetable slots still to come between now and the end date (inclusive), following the academic calendar
+function countRemainingSlots(timetable, endDate, now = new Date(), calendars = []) {
+  // Without a course end date, the semester on the academic calendar decides
+  const semester = semesterFor(calendars, now);
+  const lastDay = endDate || (semester ? dateFromKey(semester.endDate) : null);
+  if (!Array.isArray(timetable) || timetable.length === 0 || !lastDay) return null;
+
+  const end = campusDayEnd(lastDay);
+  const nowMinutes = campusParts(now).minutes;
+  let remaining = 0;
+
+  for (let offset = 0, day = campusDayStart(now); day <= end; day = campusDayStart(now, ++offset)) {
+    // Holidays, exam blocks and days outside the semester have no classes; swapped days follow another weekday
+    const dayName = calendarDay(calendars, day).timetableDay;
+    if (!dayName) continue;
+    const isToday = offset === 0;
+    remaining += timetable.filter(slot => {
+      if (slot.day !== dayName) return false;
+      if (!isToday) return true;
+      const start = parseClockTime(String(slot.time || '').split('-')[0]);
+      return start !== null && start > nowMinutes;
+    }).length;
+  }
+  return remaining;
+}
+
+// Sessions of a course held since the campus day of a date. Every student who joined that day
+// shares the count, so it is cached until a session starts or the schedule changes.
+// Planned sessions only get a date once they start, so the range also leaves them out.
+async function countSessionsHeld(courseId, since) {
+  const sinceDay = campusDayStart(since);
+  const cacheKey = `sessionCounts:${courseId}:held:${campusDateKey(sinceDay)}`;
+  const cached = courseCache.get(cacheKey);
+  if (cached !== null) return cached;
+
+  const snapshot = await db.collection('sessions')
+    .where('courseId', '==', courseId)
+    .where('date', '>=', admin.firestore.Timestamp.fromDate(sinceDay))
+    .count()
+    .get();
+  courseCache.set(cacheKey, snapshot.data().count);
+  return snapshot.data().count;
+}
+
+// Start times (ms) of a course's upcoming cancelled timetable classes and moved or extra classes.
+// Cached as times rather than counts so classes drop out of "upcoming" as they pass.
+async function getUpcomingScheduleChanges(courseId) {
+  const cacheKey = `sessionCounts:${courseId}:changes`;
+  const cached = courseCache.get(cacheKey);
+  if (cached) return cached;
+
+  const upcoming = db.collection('sessions')
+    .where('courseId', '==', courseId)
+    .where('scheduledStart', '>', admin.firestore.Timestamp.now());
+  const [cancelledSnapshot, addedSnapshot] = await Promise.all([
+    upcoming.where('origin', '==', 'timetable').where('state', '==', 'cancelled').select('scheduledStart').get(),
+    upcoming.where('origin', 'in', ['extra', 'moved']).where('state', '==', 'scheduled').select('scheduledStart').get()
+  ]);
+  const startTimes = snapshot => snapshot.docs.map(doc => toDate(doc.data().scheduledStart).getTime());
+  const changes = { cancelled: startTimes(cancelledSnapshot), added: startTimes(addedSnapshot) };
+  courseCache.set(cacheKey, changes);
+  return changes;
+}
+
+// Per-course totals and 75%-style projections for one student
+function buildCourseAttendance({ sessionsHeld, present, excused = 0, threshold, remainingClasses, excusedPolicy }) {
+  const absent = Math.max(0, sessionsHeld - present - excused);
+  const ratio = threshold / 100;
+  const { attended, counted } = applyExcusedPolicy({ present, absent, excused }, excusedPolicy);
+  const percentage = counted > 0 ? Number(((attended / counted) * 100).toFixed(1)) : null;
+  const stats = {
+    sessionsHeld,
+    present,
+    absent,
+    excused,
+    percentage,
+    threshold,
+    excusedPolicy: excusedPolicy || DEFAULT_EXCUSED_POLICY,
+    belowThreshold: percentage !== null && percentage < threshold,
+    remainingClasses
+  };
+
+  if (remainingClasses === null) {
+    // Without a known semester end, project in terms of consecutive classes
+    stats.canStillMiss = Math.max(0, Math.floor(attended / ratio - counted + 1e-9));
+    stats.mustAttend = ratio >= 1
+      ? (attended < counted ? null : 0)
+      : Math.max(0, Math.ceil((ratio * counted - attended) / (1 - ratio) - 1e-9));
+    stats.canReachThreshold = stats.mustAttend !== null;
+  } else {
+    // Final percentage at semester end if the student attends/misses the remaining classes
+    const finalTotal = counted + remainingClasses;
+    const needed = Math.max(0, Math.ceil(ratio * finalTotal - attended - 1e-9));
+    stats.mustAttend = Math.min(needed, remainingClasses);
+    stats.canStillMiss = Math.max(0, remainingClasses - needed);
+    stats.canReachThreshold = needed <= remainingClasses;
+  }
+  return stats;
+}
+
+// Per-course attendance for a student. courses: [{ id, ...course }], attendanceDocs: the student's attendance,
+// enrolledAtByCourse: Map<courseId, Timestamp>. Sessions held are counted from the sessions collection
+// (from the day the student enrolled), so missed classes without an attendance record still count.
+async function computeCourseAttendance(courses, attendanceDocs, enrolledAtByCourse = new Map()) {
+  const [departments, calendars] = await Promise.all([
+    getDepartments(courses.map(course => course.department)),
+    getAcademicCalendars()
+  ]);
+
+  const presentByCourse = new Map();
+  const excusedByCourse = new Map();
+  attendanceDocs.forEach(doc => {
+    const data = doc.data();
+    const counts = data.status === 'present' ? presentByCourse : data.status === 'excused' ? excusedByCourse : null;
+    if (counts) {
+      counts.set(data.courseId, (counts.get(data.courseId) || 0) + 1);
+    }
+  });
+
+  // Sessions that started before the student joined don't count against them
+  const heldCounts = await Promise.all(courses.map(course =>
+    countSessionsHeld(course.id, toDate(enrolledAtByCourse.get(course.id)) || new Date(0))
+  ));
+
+  // Timetable changes still to come: cancelled occurrences drop out, moved and extra classes add on
+  const now = Date.now();
+  const scheduleAdjustments = await Promise.all(courses.map(async course => {
+    const { added, cancelled } = await getUpcomingScheduleChanges(course.id);
+    return added.filter(start => start > now).length - cancelled.filter(start => start > now).length;
+  }));
+
+  const result = new Map();
+  courses.forEach((course, index) => {
+    const sessionsHeld = heldCounts[index];
+    const remainingSlots = countRemainingSlots(course.timetable, toDate(course.semesterEndDate), new Date(), calendars);
+    const present = Math.min(presentByCourse.get(course.id) || 0, sessionsHeld);
+    const excused = Math.min(excusedByCourse.get(course.id) || 0, sessionsHeld - present);
+    result.set(course.id, buildCourseAttendance({
+      sessionsHeld,
+      present,
+      excused,
+      threshold: resolveAttendanceThreshold(course, departments),
+      excusedPolicy: resolveExcusedPolicy(course, departments),
+      remainingClasses: remainingSlots === null ? null : Math.max(0, remainingSlots + scheduleAdjustments[index])
+    }));
+  });
+  return result;
+}
+
+// ISO week key for trend buckets ("2026-W43")
+function isoWeekKey(date) {
+  const { year, month, day: dayOfMonth } = campusParts(date);
+  const d = new Date(Date.UTC(year, month - 1, dayOfMonth));
+  const day = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - day);
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+// Attendance percentage from status counts (null when nothing is counted)
+function summaryPercentage(counts, policy) {
+  return ratioPercentage(applyExcusedPolicy(counts, policy));
+}
+
+// Percentage from { attended, counted } totals (null when nothing is counted)
+function ratioPercentage({ attended, counted }) {
+  return counted > 0 ? Number(((attended / counted) * 100).toFixed(1)) : null;
+}
+
+// Copy course edits (name, threshold, archive state, ...) onto the header of its analytics summary.
+// Courses without a closed session have no summary yet and are skipped.
+async function syncSummaryHeader(courseId) {
+  const [courseDoc, summaryDoc] = await Promise.all([
+    db.collection('courses').doc(courseId).get(),
+    db.collection('attendanceSummaries').doc(courseId).get()
+  ]);
+  if (!courseDoc.exists || !summaryDoc.exists) return;
+
+  const course = courseDoc.data();
+  await summaryDoc.ref.update({
+    courseCode: course.code ?? null,
+    courseName: course.name ?? null,
+    department: course.department ?? null,
+    academicYear: course.academicYear ?? null,
+    section: course.section ?? null,
+    facultyId: course.facultyId ?? null,
+    attendanceThreshold: course.attendanceThreshold ?? admin.firestore.FieldValue.delete(),
+    excusedPolicy: course.excusedPolicy ?? admin.firestore.FieldValue.delete(),
+    isActive: course.isActive !== false,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+// Fold a closed session's attendance into its course's attendanceSummaries document.
+// The statuses already applied are kept on the session (summaryApplied), so calling this again
+// after a correction only applies the difference. Analytics read these summaries instead of
+// raw attendance, keeping dashboard reads within the free tier.
+async function applySessionToSummary(sessionId) {
+  const sessionRef = db.collection('sessions').doc(sessionId);
+
+  return db.runTransaction(async transaction => {
+    const sessionDoc = await transaction.get(sessionRef);
+    if (!sessionDoc.exists || sessionState(sessionDoc.data()) !== 'closed') return false;
+    const session = sessionDoc.data();
+
+    const summaryRef = db.collection('attendanceSummaries').doc(session.courseId);
+    const [summaryDoc, courseDoc, attendanceSnapshot] = await Promise.all([
+      transaction.get(summaryRef),
+      transaction.get(db.collection('courses').doc(session.courseId)),
+      transaction.get(db.collection('attendance').where('sessionId', '==', sessionId))
+    ]);
+    if (!courseDoc.exists) return false;
+    const course = courseDoc.data();
+
+    const current = {};
+    const info = {};
+    attendanceSnapshot.docs.forEach(doc => {
+      const data = doc.data();
+      current[data.studentId] = data.status;
+      info[data.studentId] = { name: data.studentName, rollNo: data.studentRollNo };
+    });
+    const previous = session.summaryApplied || null;
+
+    // Batch comes from the student profile; only read it for students new to this summary
+    const known = summaryDoc.exists ? summaryDoc.data().students || {} : {};
+    const newIds = Object.keys(current).filter(id => !known[id]);
+    const studentDocs = newIds.length > 0
+      ? await transaction.getAll(...newIds.map(id => db.collection('students').doc(id)))
+      : [];
+    const batches = new Map(studentDocs.map(doc => [doc.id, doc.exists ? doc.data().batch : undefined]));
+
+    const increment = admin.firestore.FieldValue.increment;
+    const week = isoWeekKey(toDate(session.date) || new Date());
+    const students = {};
+    const weekCounts = {};
+    const bump = (target, key, n) => { target[key] = (target[key] || 0) + n; };
+
+    for (const studentId of new Set([...Object.keys(previous || {}), ...Object.keys(current)])) {
+      const before = previous?.[studentId];
+      const after = current[studentId];
+      const entry = cleanObject({ ...info[studentId], batch: batches.get(studentId) });
+      if (before !== after) {
+        if (before) { bump(entry, before, -1); bump(weekCounts, before, -1); }
+        if (after) { bump(entry, after, 1); bump(weekCounts, after, 1); }
+      }
+      students[studentId] = Object.fromEntries(Object.entries(entry).map(([key, value]) =>
+        [key, typeof value === 'number' && ['present', 'absent', 'excused'].includes(key) ? increment(value) : value]
+      ));
+    }
+    if (!previous) bump(weekCounts, 'sessions', 1);
+
+    transaction.set(summaryRef, cleanObject({
+      courseId: session.courseId,
+      courseCode: course.code,
+      courseName: course.name,
+      department: course.department,
+      academicYear: course.academicYear,
+      section: course.section,
+      facultyId: course.facultyId,
+      attendanceThreshold: course.attendanceThreshold,
+      excusedPolicy: course.excusedPolicy,
+      isActive: course.isActive !== false,
+      sessionsHeld: previous ? undefined : increment(1),
+      students,
+      weeks: {
+        [week]: Object.fromEntries(Object.entries(weekCounts).map(([key, value]) => [key, increment(value)]))
+      },
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }), { merge: true });
+    transaction.update(sessionRef, { summaryApplied: current });
+    return true;
+  });
+}
+
+// Summaries must never block the request that changed attendance
+async function refreshSessionSummary(sessionId) {
+  try {
+    await applySessionToSummary(sessionId);
+  } catch (error) {
+    console.error(`Failed to update attendance summary for session ${sessionId}:`, error);
+  }
+}
+
+// QR signing secret and rotating-token defaults.
+// There is no fallback: a default key in a public repo would let anyone sign QR tokens for any session.
+const QR_SECRET = process.env.QR_SECRET;
+if (!QR_SECRET) {
+  console.error('❌ QR_SECRET is not set. Set it to a long random string before starting the server.');
+  process.exit(1);
+}
+const DEFAULT_QR_ROTATION_SECONDS = 15;
+const MIN_QR_ROTATION_SECONDS = 5;
+const MAX_QR_ROTATION_SECONDS = 120;
+
+// Canonical string covered by the QR signature (field order is fixed)
+function qrSigningString(payload) {
+  const location = payload.location || {};
+  return JSON.stringify([
+    payload.sessionId,
+    payload.courseId,
+    payload.facultyId,
+    payload.timestamp,
+    payload.expiresAt,
+    location.latitude ?? null,
+    location.longitude ?? null,
+    location.radius ?? null,
+    location.roomNumber ?? null,
+    payload.window ?? null
+  ]);
+}
+
+// HMAC-SHA256 over the whole payload
+function signQRPayload(payload) {
+  return crypto.createHmac('sha256', QR_SECRET).update(qrSigningString(payload)).digest('hex');
+}
+
+// Generate secure QR payload with signature
+function generateQRPayload(sessionId, courseId, facultyId, location, expiresIn = 300000) {
+  const timestamp = Date.now();
+  const expiresAt = timestamp + expiresIn; // Default 5 minutes
+
+  const payload = {
+    sessionId,
+    courseId,
+    facultyId,
+    timestamp,
+    expiresAt,
+    location
+  };
+
+  return { ...payload, signature: signQRPayload(payload) };
+}
+
+// Generate a rotating QR payload bound to the current time window.
+// The token stays valid for its own window and the one after it.
+function generateRotatingQRPayload(sessionId, courseId, facultyId, location, rotationSeconds) {
+  const periodMs = rotationSeconds * 1000;
+  const timestamp = Date.now();
+  const window = Math.floor(timestamp / periodMs);
+
+  const payload = {
+    sessionId,
+    courseId,
+    facultyId,
+    timestamp,
+    expiresAt: (window + 2) * periodMs,
+    location,
+    window
+  };
+
+  return { ...payload, signature: signQRPayload(payload) };
+}
+
+// Verify QR signature (constant-time compare)
+function verifyQRSignature(payload) {
+  if (!payload || typeof payload.signature !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(signQRPayload(payload));
+  const actual = Buffer.from(payload.signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Rotating tokens are only accepted for the current or previous window
+function isQRWindowCurrent(payload, rotationSeconds) {
+  const currentWindow = Math.floor(Date.now() / (rotationSeconds * 1000));
+  return payload.window === currentWindow || payload.window === currentWindow - 1;
+}
+
+// Clamp a requested rotation period to the supported range
+function normalizeRotationSeconds(value) {
+  const seconds = Number(value) || DEFAULT_QR_ROTATION_SECONDS;
+  return Math.min(MAX_QR_ROTATION_SECONDS, Math.max(MIN_QR_ROTATION_SECONDS, Math.round(seconds)));
+}
+
+// Middleware to verify Firebase Auth token
+// Users whose tokens passed the revocation check recently. checkRevoked costs an Auth round trip,
+// so it runs at most once a minute per user; the revoke routes below clear the entry right away.
+const REVOCATION_CHECK_TTL_MS = 60 * 1000;
+const revocationCache = new SimpleCache(2000, REVOCATION_CHECK_TTL_MS);
+
+async function verifyToken(req, res, next) {
+  const token = req.headers.authorization?.split('Bearer ')[1];
+
+  if (!token) {
+    return res.status(401).json({ error: 'No token provided', code: 'TOKEN_MISSING' });
+  }
+
+  try {
+    // checkRevoked so disabling an account or revoking its role applies within a minute, not when the ID token expires
+    const decodedToken = await auth.verifyIdToken(token);
+    if (!revocationCache.get(decodedToken.uid)) {
+      await auth.verifyIdToken(token, true);
+      revocationCache.set(decodedToken.uid, true);
+    }
+    req.user = decodedToken;
+    next();
+  } catch (error) {
+    console.error('Token verification error:', error);
+    // Provide clearer error reasons for common cases
+    if (error?.errorInfo?.code === 'auth/id-token-expired') {
+      return res.status(401).json({ error: 'Token expired. Please login again to get a fresh token.', code: 'TOKEN_EXPIRED' });
+    }
+    if (error?.errorInfo?.code === 'auth/id-token-revoked') {
+      return res.status(401).json({ error: 'Session was revoked. Please login again.', code: 'TOKEN_REVOKED' });
+    }
+    if (error?.errorInfo?.code === 'auth/user-disabled') {
+      return res.status(401).json({ error: 'This account has been disabled', code: 'ACCOUNT_DISABLED' });
+    }
+    return res.status(401).json({ error: 'Invalid token', code: 'TOKEN_INVALID' });
+  }
+}
+
+// Roles carried in the `role` custom claim (see setup-auth.js)
+const ROLES = ['student', 'faculty', 'admin'];
+const ALLOWED_EMAIL_DOMAIN = '@iiitnr.edu.in';
+
+// Consistent 403 body for every authorization failure
+function forbidden(res, error, code = 'FORBIDDEN') {
+  return res.status(403).json({ error, code });
+}
+
+// Same shape for missing resources, so clients can tell a bad id from a permission problem by code
+function notFound(res, error, code = 'NOT_FOUND') {
+  return res.status(404).json({ error, code });
+}
+
+// Same check as hasValidEmail() in firestore.rules
+function hasValidEmail(user) {
+  return typeof user?.email === 'string' && user.email.toLowerCase().endsWith(ALLOWED_EMAIL_DOMAIN);
+}
+
+// Students register themselves and carry no claim; faculty and admin claims are set explicitly
+function getUserRole(user) {
+  return ROLES.includes(user?.role) ? user.role : 'student';
+}
+
+// Middleware to restrict a route to institute accounts with one of the given roles.
+// Use after verifyToken.
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!hasValidEmail(req.user)) {
+      return forbidden(res, `Only ${ALLOWED_EMAIL_DOMAIN} accounts can use this service`, 'INVALID_EMAIL_DOMAIN');
+    }
+    if (!roles.includes(getUserRole(req.user))) {
+      return forbidden(res, `This action requires the ${roles.join(' or ')} role`, 'INSUFFICIENT_ROLE');
+    }
+    next();
+  };
+}
+
+// Course staff roles. The owner (course.facultyId) is always the instructor; other staff live in course.staff as { uid: role },
+// mirrored in course.staffIds so faculty can query the courses they help with
+const COURSE_ROLES = ['instructor', 'co-instructor', 'ta'];
+const COURSE_ROLE_PERMISSIONS = {
+  instructor: [
+    'course.edit', 'course.delete', 'staff.manage', 'roster.edit', 'roster.view',
+    'sessions.run', 'attendance.manual', 'attendance.view', 'reports.view', 'requests.review'
+  ],
+  'co-instructor': [
+    'course.edit', 'roster.edit', 'roster.view',
+    'sessions.run', 'attendance.manual', 'attendance.view', 'reports.view', 'requests.review'
+  ],
+  ta: ['roster.view', 'sessions.run', 'attendance.manual', 'attendance.view']
+};
+
+// Caller's role on a course, or null when they are not on its staff
+function courseRole(course, uid) {
+  if (!course || !uid) return null;
+  if (course.facultyId === uid) return 'instructor';
+  const role = course.staff?.[uid];
+  return COURSE_ROLES.includes(role) ? role : null;
+}
+
+function hasCoursePermission(course, uid, permission) {
+  const role = courseRole(course, uid);
+  return Boolean(role && COURSE_ROLE_PERMISSIONS[role].includes(permission));
+}
+
+// Load a course and check the caller's permission on it; sends the error response and returns null otherwise
+async function loadCourseForUser(req, res, courseId, permission) {
+  const courseDoc = await db.collection('courses').doc(courseId).get();
+  if (!courseDoc.exists) {
+    notFound(res, 'Course not found', 'COURSE_NOT_FOUND');
+    return null;
+  }
+  const role = courseRole(courseDoc.data(), req.user.uid);
+  if (!role) {
+    forbidden(res, 'Not authorized for this course');
+    return null;
+  }
+  if (!COURSE_ROLE_PERMISSIONS[role].includes(permission)) {
+    forbidden(res, `The ${role} role cannot do this on the course`, 'COURSE_PERMISSION');
+    return null;
+  }
+  return courseDoc;
+}
+
+// Same for a session, checked against the course it belongs to. Returns { sessionDoc, courseDoc } or null
+async function loadSessionForUser(req, res, sessionId, permission) {
+  const sessionDoc = await db.collection('sessions').doc(sessionId).get();
+  if (!sessionDoc.exists) {
+    notFound(res, 'Session not found', 'SESSION_NOT_FOUND');
+    return null;
+  }
+  const courseDoc = await loadCourseForUser(req, res, sessionDoc.data().courseId, permission);
+  if (!courseDoc) return null;
+  return { sessionDoc, courseDoc };
+}
+
+// Course docs the user owns or is staff on, optionally only those where they hold a permission
+async function staffCourses(uid, permission) {
+  const [owned, staffed] = await Promise.all([
+    db.collection('courses').where('facultyId', '==', uid).get(),
+    db.collection('courses').where('staffIds', 'array-contains', uid).get()
+  ]);
+  const courses = new Map();
+  [...owned.docs, ...staffed.docs].forEach(doc => courses.set(doc.id, doc));
+  return [...courses.values()].filter(doc => !permission || hasCoursePermission(doc.data(), uid, permission));
+}
+
+// Record an admin action in the adminAuditLog collection.
+// Failures are logged but never undo the action that already happened.
+async function logAdminAction(req, action, targetType, targetId, details = {}) {
+  try {
+    await db.collection('adminAuditLog').add(cleanObject({
+      action,
+      targetType,
+      targetId,
+      details,
+      actorId: req.user.uid,
+      actorEmail: req.user.email,
+      ip: req.ip,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    }));
+  } catch (error) {
+    console.error(`Failed to write admin audit log for ${action}:`, error);
+  }
+}
+
+// Generate a random initial password for invited accounts
+function generateTemporaryPassword() {
+  return crypto.randomBytes(12).toString('base64url');
+}
+
+// Departments are keyed by their upper-case code ("cse" -> "CSE")
+function departmentIdFor(code) {
+  return String(code).trim().toUpperCase();
+}
+
+// ============================================
+// API ROUTES
+// ============================================
+
+// Health check
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
+
+// Cache statistics endpoint (for monitoring)
+app.get('/api/cache/stats', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      caches: {
+        students: studentCache.getStats(),
+        courses: courseCache.getStats(),
+        faculty: facultyCache.getStats(),
+        rooms: roomCache.getStats(),
+        revocationChecks: revocationCache.getStats()
+      },
+      rateLimiting: {
+        activeIPs: requestCounts.size
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching cache stats:', error);
+    res.status(500).json({ error: 'Failed to fetch cache stats' });
+  }
+});
+
+// ============================================
+// STUDENT ROUTES
+// ============================================
+
+// Create/Update Student Profile
+app.post('/api/student/profile', verifyToken, requireRole('student'), async (req, res) => {
+  try {
+    // Support both our original keys and the ones used in the guide
+    const {
+      name,
+      rollNo,
+      rollNumber,
+      programId,
+      year,
+      batch,
+      semester,
+      department,
+      email: emailFromBody
+    } = req.body;
+    const userId = req.user.uid;
+
+    const studentData = cleanObject({
+      userId,
+      email: req.user.email || emailFromBody,
+      name,
+      rollNo: rollNo || rollNumber,
+      programId,
+      year,
+      batch,
+      semester,
+      department,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    await db.collection('students').doc(userId).set(studentData, { merge: true });
+
+    // Pick up any roster imports that listed this student before they signed up
+    await claimRosterInvites(userId, req.user.email, studentData.rollNo);
+
+    // Invalidate cache when profile is updated
+    invalidateStudentCache(userId);
+
+    res.json({ success: true, student: studentData });
+  } catch (error) {
+    console.error('Error creating student profile:', error);
+    res.status(500).json({ error: 'Failed to create student profile' });
+  }
+});
+
+// Get Student Dashboard (today's classes & attendance stats) - OPTIMIZED
+app.get('/api/student/dashboard', verifyToken, requireRole('student'), async (req, res) => {
+  try {
+    const userId = req.user.uid;
+
+    // Check cache first
+    const cacheKey = `dashboard:${userId}`;
+    const cached = studentCache.get(cacheKey);
+    if (cached) {
+      console.log(`✅ Cache hit: dashboard for ${userId}`);
+      return res.json(cached);
+    }
+
+    console.log(`📊 Cache miss: fetching dashboard for ${userId}`);
+
+    // Get student data
+    const studentDoc = await db.collection('students').doc(userId).get();
+    if (!studentDoc.exists) {
+      return res.status(404).json({ error: 'Student profile not found' });
+    }
+
+    const student = studentDoc.data();
+
+    // Get enrolled courses (single query)
+    const enrollmentsSnapshot = await db.collection('enrollments')
+      .where('studentId', '==', userId)
+      .where('isActive', '==', true)
+      .get();
+
+    const enrolledCourseIds = enrollmentsSnapshot.docs.map(doc => doc.data().courseId);
+
+    // OPTIMIZED: Batch read courses instead of loop
+    const courses = [];
+    if (enrolledCourseIds.length > 0) {
+      const courseRefs = enrolledCourseIds.map(id => db.collection('courses').doc(id));
+      const courseDocs = await db.getAll(...courseRefs);
+
+      for (const courseDoc of courseDocs) {
+        // Archived courses drop off the dashboard; their attendance stays in the history
+        if (courseDoc.exists && courseDoc.data().isActive !== false) {
+          courses.push({ id: courseDoc.id, ...courseDoc.data() });
+        }
+      }
+    }
+    const courseIds = courses.map(course => course.id);
+
+    // Get today's sessions (optimized with single query)
+    const today = campusDayStart();
+    const tomorrow = campusDayStart(today, 1);
+
+    let sessions = [];
+    if (courseIds.length > 0) {
+      // Firestore 'in' query supports max 10 items
+      const courseIdBatches = [];
+      for (let i = 0; i < courseIds.length; i += 10) {
+        courseIdBatches.push(courseIds.slice(i, i + 10));
+      }
+
+      for (const batch of courseIdBatches) {
+        // Sessions started today, plus today's planned ones (including cancelled and moved classes)
+        const [sessionsSnapshot, plannedSnapshot] = await Promise.all([
+          db.collection('sessions')
+            .where('courseId', 'in', batch)
+            .where('date', '>=', admin.firestore.Timestamp.fromDate(today))
+            .where('date', '<', admin.firestore.Timestamp.fromDate(tomorrow))
+            .get(),
+          db.collection('sessions')
+            .where('courseId', 'in', batch)
+            .where('scheduledStart', '>=', admin.firestore.Timestamp.fromDate(today))
+            .where('scheduledStart', '<', admin.firestore.Timestamp.fromDate(tomorrow))
+            .get()
+        ]);
+
+        const byId = new Map([...sessionsSnapshot.docs, ...plannedSnapshot.docs].map(doc => [doc.id, doc]));
+        sessions.push(...[...byId.values()].map(doc => ({
+          id: doc.id,
+          ...doc.data(),
+          state: sessionState(doc.data())
+        })));
+      }
+      sessions.sort((a, b) => toDate(a.scheduledStart || a.date) - toDate(b.scheduledStart || b.date));
+    }
+
+    // Get attendance stats (single query)
+    const attendanceSnapshot = await db.collection('attendance')
+      .where('studentId', '==', userId)
+      .get();
+
+    // Per-course totals against each course's attendance requirement
+    const enrolledAtByCourse = new Map(enrollmentsSnapshot.docs.map(doc => [doc.data().courseId, doc.data().enrolledAt]));
+    const courseAttendance = await computeCourseAttendance(courses, attendanceSnapshot.docs, enrolledAtByCourse);
+    courses.forEach(course => {
+      course.attendance = courseAttendance.get(course.id);
+    });
+
+    // Overall totals; each course's excused sessions count the way its excused policy says
+    const totals = { sessionsHeld: 0, present: 0, absent: 0, excused: 0, attended: 0, counted: 0 };
+    courses.forEach(({ attendance }) => {
+      const { attended, counted } = applyExcusedPolicy(attendance, attendance.excusedPolicy);
+      totals.sessionsHeld += attendance.sessionsHeld;
+      totals.present += attendance.present;
+      totals.absent += attendance.absent;
+      totals.excused += attendance.excused;
+      totals.attended += attended;
+      totals.counted += counted;
+    });
+    const attendancePercentage = totals.counted > 0 ? (totals.attended / totals.counted) * 100 : 0;
+
+    const result = {
+      student,
+      courses,
+      today: calendarDay(await getAcademicCalendars(), new Date()),
+      todaySessions: sessions,
+      stats: {
+        totalClasses: totals.sessionsHeld,
+        presentCount: totals.present,
+        absentCount: totals.absent,
+        excusedCount: totals.excused,
+        attendancePercentage: attendancePercentage.toFixed(1),
+        shortageCourses: courses
+          .filter(course => course.attendance.belowThreshold)
+          .map(course => ({
+            courseId: course.id,
+            courseCode: course.code,
+            courseName: course.name,
+            percentage: course.attendance.percentage,
+            threshold: course.attendance.threshold,
+            mustAttend: course.attendance.mustAttend
+          }))
+      }
+    };
+
+    // Cache for 5 minutes (shorter TTL for dashboard)
+    const dashboardCache = new SimpleCache(500, 300000); // 5 minutes
+    dashboardCache.set(cacheKey, result);
+    studentCache.set(cacheKey, result);
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching dashboard:', error);
+    res.status(500).json({ error: 'Failed to fetch dashboard data' });
+  }
+});
+
+// Responses kept for Idempotency-Key retries; a TTL policy on expiresAt (firestore.indexes.json) removes them
+const IDEMPOTENCY_TTL_HOURS = 24;
+
+// Doc holding the saved response for the request's Idempotency-Key, scoped to the caller; null without the header
+function idempotencyRef(req) {
+  const key = req.headers['idempotency-key'];
+  if (typeof key !== 'string' || !key.trim()) return null;
+  const hash = crypto.createHash('sha256').update(key.trim()).digest('hex').slice(0, 32);
+  return db.collection('idempotencyKeys').doc(`${req.user.uid}_${hash}`);
+}
+
+// Scan QR and Mark Attendance - OPTIMIZED with Denormalization
+app.post('/api/student/scan-qr', verifyToken, requireRole('student'), async (req, res) => {
+  try {
+    const { qrData, latitude, longitude, accuracy } = req.body;
+    const userId = req.user.uid;
+
+    // A retry of a scan that already went through gets the original response, even once the QR has expired
+    const keyRef = idempotencyRef(req);
+    if (keyRef) {
+      const saved = await keyRef.get();
+      if (saved.exists) {
+        if (saved.data().route !== 'scan-qr') {
+          return res.status(422).json({ error: 'Idempotency-Key was already used for a different request' });
+        }
+        return res.status(saved.data().status).json(saved.data().body);
+      }
+    }
+
+    // Parse QR data
+    let payload;
+    try {
+      payload = JSON.parse(qrData);
+    } catch (err) {
+      return res.status(400).json({ error: 'Invalid QR code format' });
+    }
+
+    // Verify QR signature
+    if (!verifyQRSignature(payload)) {
+      return res.status(400).json({ error: 'Invalid QR signature' });
+    }
+
+    // Check if QR is expired
+    if (Date.now() > payload.expiresAt) {
+      return res.status(400).json({ error: 'QR code has expired' });
+    }
+
+    // Get session details
+    const sessionDoc = await db.collection('sessions').doc(payload.sessionId).get();
+    if (!sessionDoc.exists) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const session = sessionDoc.data();
+
+    // A stopped session stops taking scans even while its last QR is still unexpired
+    if (sessionState(session) !== 'active') {
+      return res.status(400).json({ error: 'This session is not accepting attendance' });
+    }
+
+    // Rotating sessions only accept the token currently on screen (or the one just before it)
+    if (session.qrMode === 'rotating' &&
+      !isQRWindowCurrent(payload, session.qrRotationSeconds || DEFAULT_QR_ROTATION_SECONDS)) {
+      return res.status(400).json({ error: 'QR code has expired. Scan the code currently shown in class' });
+    }
+
+    // Verify student is enrolled in this course
+    const enrollmentSnapshot = await db.collection('enrollments')
+      .where('studentId', '==', userId)
+      .where('courseId', '==', payload.courseId)
+      .where('isActive', '==', true)
+      .limit(1)
+      .get();
+
+    if (enrollmentSnapshot.empty) {
+      return forbidden(res, 'You are not enrolled in this course');
+    }
+
+    // Check if already marked
+    const existingAttendance = await db.collection('attendance')
+      .where('sessionId', '==', payload.sessionId)
+      .where('studentId', '==', userId)
+      .limit(1)
+      .get();
+
+    if (!existingAttendance.empty) {
+      return res.status(400).json({ error: 'Attendance already marked for this session' });
+    }
+
+    // Verify geolocation against the geofence stored on the session (never the QR contents)
+    const geofence = evaluateGeofence(session, { latitude, longitude, accuracy });
+    if (geofence.error) {
+      return res.status(400).json(cleanObject({
+        error: geofence.error,
+        distance: geofence.distance != null ? Math.round(geofence.distance) : undefined,
+        maxDistance: geofence.radius,
+        accuracy: geofence.accuracy ?? undefined,
+        locationPolicy: geofence.policy
+      }));
+    }
+    const locationVerified = geofence.verified;
+    const distanceFromClass = geofence.distance ?? 0;
+
+    // Device binding: unregistered devices are rejected or flagged per the session's devicePolicy,
+    // and a device already used by another student in this session flags both records
+    const deviceId = readDeviceId(req);
+    const devicePolicy = session.devicePolicy || DEFAULT_DEVICE_POLICY;
+    const flags = [];
+    const related = []; // other students' records the same evidence implicates
+    let deviceRegistered = null;
+    if (devicePolicy !== 'off') {
+      deviceRegistered = await isDeviceRegistered(userId, deviceId);
+      if (!deviceRegistered) {
+        if (devicePolicy === 'reject') {
+          return forbidden(res, deviceId
+            ? 'This device is not registered to your account. Register it or ask an admin to approve it'
+            : 'x-device-id header is required to mark attendance', 'DEVICE_NOT_REGISTERED');
+        }
+        flags.push('unregistered_device');
+      }
+      const sharedRecords = await findSharedDeviceRecords(payload.sessionId, userId, deviceId);
+      if (sharedRecords.length > 0) flags.push('shared_device');
+      sharedRecords.forEach(doc => related.push({ doc, flag: 'shared_device' }));
+    }
+
+    // Rule-based anomaly pass over the location and timing of the scan
+    const anomalies = await detectScanAnomalies({
+      session,
+      sessionId: payload.sessionId,
+      studentId: userId,
+      latitude,
+      longitude,
+      accuracy,
+      qrWindow: payload.window
+    });
+    flags.push(...anomalies.flags);
+    related.push(...anomalies.related);
+
+    // OPTIMIZED: Get student name with cache
+    let studentName = 'Unknown';
+    let studentRollNo = 'N/A';
+    const cachedStudent = studentCache.get(`student:${userId}`);
+
+    if (cachedStudent) {
+      studentName = cachedStudent.name || 'Unknown';
+      studentRollNo = cachedStudent.rollNo || 'N/A';
+    } else {
+      const studentDoc = await db.collection('students').doc(userId).get();
+      if (studentDoc.exists) {
+        const studentData = studentDoc.data();
+        studentName = studentData.name || 'Unknown';
+        studentRollNo = studentData.rollNo || 'N/A';
+        studentCache.set(`student:${userId}`, studentData);
+      }
+    }
+
+    // OPTIMIZED: Denormalize student and course info in attendance record
+    const attendanceData = {
+      sessionId: payload.sessionId,
+      courseId: payload.courseId,
+      studentId: userId,
+      studentName,  // Denormalized - eliminates future reads!
+      studentRollNo,  // Denormalized - eliminates future reads!
+      courseName: session.courseName || 'Unknown',  // Denormalized
+      courseCode: session.courseCode || 'N/A',  // Denormalized
+      status: 'present',
+      markedAt: admin.firestore.FieldValue.serverTimestamp(),
+      markedBy: 'student',
+      locationVerified,
+      studentLatitude: latitude ?? null,
+      studentLongitude: longitude ?? null,
+      distanceFromClass: Math.round(distanceFromClass),
+      accuracy: accuracy ?? null,
+      locationPolicy: geofence.policy,
+      qrTimestamp: payload.timestamp,
+      deviceId: deviceId || 'unknown',
+      deviceRegistered,
+      flags,
+      flagged: needsReview(flags),
+      anomalyScore: anomalyScore(flags),
+      reviewStatus: needsReview(flags) ? 'pending' : null
+    };
+
+    // Mark in one transaction: the fixed doc id plus the re-read of the session and any existing record
+    // make two fast taps or concurrent retries count once
+    const attendanceRef = db.collection('attendance').doc(attendanceDocId(payload.sessionId, userId));
+    const existingQuery = db.collection('attendance')
+      .where('sessionId', '==', payload.sessionId)
+      .where('studentId', '==', userId)
+      .limit(1);
+    const operations = [
+      attendanceAuditOp({
+        attendanceId: attendanceRef.id,
+        sessionId: payload.sessionId,
+        courseId: payload.courseId,
+        studentId: userId,
+        newStatus: 'present',
+        changedBy: userId,
+        source: 'scan'
+      }),
+      ...related.map(({ doc, flag }) => flagRecordOp(doc, flag)).filter(Boolean)
+    ];
+
+    const result = await db.runTransaction(async transaction => {
+      const [currentSession, saved] = await transaction.getAll(...(keyRef ? [sessionDoc.ref, keyRef] : [sessionDoc.ref]));
+      const existing = await transaction.get(existingQuery);
+      if (saved?.exists) {
+        return saved.data();
+      }
+      if (sessionState(currentSession.data()) !== 'active') {
+        return { status: 400, body: { error: 'This session is not accepting attendance' } };
+      }
+      if (!existing.empty) {
+        return { status: 400, body: { error: 'Attendance already marked for this session' } };
+      }
+
+      transaction.set(attendanceRef, attendanceData);
+      operations.forEach(op => op(transaction));
+      transaction.update(sessionDoc.ref, {
+        presentCount: admin.firestore.FieldValue.increment(1)
+      });
+
+      const response = {
+        status: 200,
+        body: {
+          success: true,
+          message: 'Attendance marked successfully!',
+          attendance: {
+            id: attendanceRef.id,
+            ...attendanceData,
+            markedAt: new Date().toISOString(),
+            distance: Math.round(distanceFromClass)
+          }
+        }
+      };
+      if (keyRef) {
+        transaction.set(keyRef, {
+          ...response,
+          route: 'scan-qr',
+          userId,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000)
+        });
+      }
+      return response;
+    });
+
+    // Invalidate dashboard cache
+    if (result.status === 200) {
+      invalidateStudentCache(userId);
+    }
+
+    res.status(result.status).json(result.body);
+
+  } catch (error) {
+    console.error('Error marking attendance:', error);
+    res.status(500).json({ error: 'Failed to mark attendance' });
+  }
+});
+
+// Get Student Attendance History - OPTIMIZED with Pagination
+app.get('/api/student/attendance-history', verifyToken, requireRole('student'), async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { courseId, limit = 50, offset = 0 } = req.query;
+
+    let query = db.collection('attendance').where('studentId', '==', userId);
+
+    if (courseId) {
+      query = query.where('courseId', '==', courseId);
+    }
+
+    // OPTIMIZED: Add pagination
+    const snapshot = await query
+      .orderBy('markedAt', 'desc')
+      .limit(parseInt(limit))
+      .offset(parseInt(offset))
+      .get();
+
+    // OPTIMIZED: Use denormalized data (no additional reads needed!)
+    const attendanceRecords = snapshot.docs.map(doc => {
+      const data = doc.data();
+      return {
+        id: doc.id,
+        ...data,
+        // These are now denormalized in the document
+        sessionDate: data.markedAt,
+        sessionTime: data.markedAt,
+        courseName: data.courseName || 'Unknown',
+        courseCode: data.courseCode || 'N/A',
+        studentName: data.studentName || 'Unknown',
+        studentRollNo: data.studentRollNo || 'N/A'
+      };
+    });
+
+    res.json({
+      attendanceRecords,
+      hasMore: snapshot.size === parseInt(limit),
+      total: snapshot.size
+    });
+  } catch (error) {
+    console.error('Error fetching attendance history:', error);
+    res.status(500).json({ error: 'Failed to fetch attendance history' });
+  }
+});
+
+// Join Course via Join Code
+app.post('/api/student/join-course', verifyToken, requireRole('student'), async (req, res) => {
+  try {
+    const { joinCode } = req.body;
+    const userId = req.user.uid;
+
+    if (!joinCode) {
+      return res.status(400).json({ error: 'Join code is required' });
+    }
+
+    // Find course by join code
+    const coursesSnapshot = await db.collection('courses')
+      .where('joinCode', '==', joinCode.toUpperCase())
+      .limit(1)
+      .get();
+
+    if (coursesSnapshot.empty) {
+      return res.status(404).json({ error: 'Invalid join code' });
+    }
+
+    const courseDoc = coursesSnapshot.docs[0];
+    const courseId = courseDoc.id;
+    const course = courseDoc.data();
+
+    if (course.isActive === false) {
+      return res.status(400).json({ error: 'This course has been archived' });
+    }
+    if (course.joinCodeEnabled === false) {
+      return res.status(400).json({ error: 'This join code has been disabled' });
+    }
+    if (course.joinCodeExpiresAt && toDate(course.joinCodeExpiresAt) <= new Date()) {
+      return res.status(400).json({ error: 'This join code has expired' });
+    }
+
+    // Check if already enrolled (an earlier unenrollment or rejected request can be re-joined)
+    const existingEnrollment = await db.collection('enrollments')
+      .where('studentId', '==', userId)
+      .where('courseId', '==', courseId)
+      .limit(1)
+      .get();
+    const existing = existingEnrollment.docs[0];
+
+    if (existing?.data().isActive) {
+      return res.status(400).json({ error: 'Already enrolled in this course' });
+    }
+    if (existing?.data().status === 'pending') {
+      return res.status(400).json({ error: 'Your request to join this course is awaiting faculty approval' });
+    }
+
+    // Approval mode parks the enrollment as a pending request for the faculty
+    const pending = course.joinApprovalRequired === true;
+    const enrollmentData = {
+      studentId: userId,
+      courseId,
+      isActive: !pending,
+      [pending ? 'requestedAt' : 'enrolledAt']: admin.firestore.FieldValue.serverTimestamp(),
+      source: 'join-code'
+    };
+
+    if (existing) {
+      await existing.ref.update({
+        ...enrollmentData,
+        status: pending ? 'pending' : admin.firestore.FieldValue.delete()
+      });
+    } else {
+      await db.collection('enrollments').add(pending ? { ...enrollmentData, status: 'pending' } : enrollmentData);
+    }
+
+    // Joining is allowed, but the student is told which classes overlap
+    const clashes = await studentTimetableClashes(userId, { id: courseId, ...course });
+
+    if (pending) {
+      return res.json({
+        success: true,
+        pending: true,
+        message: 'Join request sent; the faculty needs to approve it',
+        course: { id: courseId, code: course.code, name: course.name },
+        clashes
+      });
+    }
+
+    // Update enrolled count
+    await db.collection('courses').doc(courseId).update({
+      enrolledCount: admin.firestore.FieldValue.increment(1)
+    });
+    invalidateStudentCache(userId);
+
+    res.json({
+      success: true,
+      message: 'Successfully joined course',
+      course: { id: courseId, ...course },
+      clashes
+    });
+  } catch (error) {
+    console.error('Error joining course:', error);
+    res.status(500).json({ error: 'Failed to join course' });
+  }
+});
+
+// Get Student's Enrolled Courses - OPTIMIZED with Batch Reads
+app.get('/api/student/courses', verifyToken, requireRole('student'), async (req, res) => {
+  try {
+    const userId = req.user.uid;
+
+    // Get enrollments
+    const enrollmentsSnapshot = await db.collection('enrollments')
+      .where('studentId', '==', userId)
+      .where('isActive', '==', true)
+      .get();
+
+    const courses = [];
+    const courseIds = enrollmentsSnapshot.docs.map(doc => doc.data().courseId);
+
+    // OPTIMIZED: Batch read courses
+    if (courseIds.length > 0) {
+      const courseRefs = courseIds.map(id => db.collection('courses').doc(id));
+      const courseDocs = await db.getAll(...courseRefs);
+
+      // Collect unique faculty IDs
+      const facultyIds = [...new Set(
+        courseDocs
+          .filter(doc => doc.exists && doc.data().facultyId)
+          .map(doc => doc.data().facultyId)
+      )];
+
+      // OPTIMIZED: Batch read faculty
+      const facultyMap = new Map();
+      if (facultyIds.length > 0) {
+        const facultyRefs = facultyIds.map(id => db.collection('faculty').doc(id));
+        const facultyDocs = await db.getAll(...facultyRefs);
+
+        facultyDocs.forEach(doc => {
+          if (doc.exists) {
+            facultyMap.set(doc.id, doc.data());
+            // Cache faculty data
+            facultyCache.set(`faculty:${doc.id}`, doc.data());
+          }
+        });
+      }
+
+      // Combine data
+      courseDocs.forEach((courseDoc, index) => {
+        if (courseDoc.exists && courseDoc.data().isActive !== false) {
+          const courseData = courseDoc.data();
+          const facultyData = facultyMap.get(courseData.facultyId);
+
+          courses.push({
+            id: courseDoc.id,
+            ...courseData,
+            facultyName: facultyData?.name || 'Unknown',
+            enrolledDate: enrollmentsSnapshot.docs[index].data().enrolledAt
+          });
+        }
+      });
+
+      // Per-course attendance totals and projections
+      const attendanceSnapshot = await db.collection('attendance')
+        .where('studentId', '==', userId)
+        .get();
+      const enrolledAtByCourse = new Map(courses.map(course => [course.id, course.enrolledDate]));
+      const courseAttendance = await computeCourseAttendance(courses, attendanceSnapshot.docs, enrolledAtByCourse);
+      courses.forEach(course => {
+        course.attendance = courseAttendance.get(course.id);
+      });
+    }
+
+    res.json({ success: true, courses });
+  } catch (error) {
+    console.error('Error fetching courses:', error);
+    res.status(500).json({ error: 'Failed to fetch courses' });
+  }
+});
+
+// Get Student Timetable (aggregated from all courses) - OPTIMIZED
+// Lay the next seven days of the academic calendar and the faculty's cancelled, moved and extra
+// classes over a weekly timetable (computed per request; the weekly timetable is cached)
+async function withCalendarWeek(result, now = new Date()) {
+  const first = campusDayStart(now);
+  const last = campusDayStart(now, 7);
+  const courseIds = [...new Set(Object.values(result.timetable).flat().map(slot => slot.courseId).filter(Boolean))];
+  const [calendars, changes] = await Promise.all([
+    getAcademicCalendars(),
+    getScheduleChanges(courseIds, first, last)
+  ]);
+
+  const week = [];
+  for (let offset = 0; offset < 7; offset++) {
+    const day = calendarDay(calendars, campusDayStart(now, offset));
+    const dayChanges = changes.filter(session => campusDateKey(toDate(session.scheduledStart)) === day.date);
+    const startOf = session => campusParts(toDate(session.scheduledStart)).minutes;
+
+    const slots = ((day.timetableDay && result.timetable[day.timetableDay]) || []).map(slot => {
+      const cancelled = dayChanges.find(session =>
+        session.state === 'cancelled' && session.courseId === slot.courseId && startOf(session) === slotMinutes(slot)?.start
+      );
+      return cancelled
+        ? cleanObject({ ...slot, status: cancelled.movedTo ? 'moved' : 'cancelled', reason: cancelled.cancelReason })
+        : slot;
+    });
+    dayChanges
+      .filter(session => session.origin !== 'timetable' && session.state !== 'cancelled')
+      .forEach(session => slots.push(cleanObject({
+        time: `${formatClock(toDate(session.scheduledStart))} - ${formatClock(toDate(session.scheduledEnd))}`,
+        courseId: session.courseId,
+        courseCode: session.courseCode,
+        courseName: session.courseName,
+        type: session.type,
+        room: session.roomNumber,
+        status: session.origin,
+        sessionId: session.id
+      })));
+    slots.sort((a, b) => (slotMinutes(a)?.start ?? 0) - (slotMinutes(b)?.start ?? 0));
+
+    week.push({ ...day, slots });
+  }
+  return { ...result, semester: semesterFor(calendars, now), week };
+}
+
+app.get('/api/student/timetable', verifyToken, requireRole('student'), async (req, res) => {
+  try {
+    const userId = req.user.uid;
+
+    // Check cache
+    const cacheKey = `timetable:${userId}`;
+    const cached = studentCache.get(cacheKey);
+    if (cached) {
+      console.log(`✅ Cache hit: timetable for ${userId}`);
+      return res.json(await withCalendarWeek(cached));
+    }
+
+    console.log(`📅 Cache miss: fetching timetable for ${userId}`);
+
+    // Get enrolled courses
+    const enrollmentsSnapshot = await db.collection('enrollments')
+      .where('studentId', '==', userId)
+      .where('isActive', '==', true)
+      .get();
+
+    const timetable = {
+      Monday: [], Tuesday: [], Wednesday: [],
+      Thursday: [], Friday: [], Saturday: []
+    };
+
+    const courseIds = enrollmentsSnapshot.docs.map(doc => doc.data().courseId);
+
+    // OPTIMIZED: Batch read courses
+    if (courseIds.length > 0) {
+      const courseRefs = courseIds.map(id => db.collection('courses').doc(id));
+      const courseDocs = await db.getAll(...courseRefs);
+
+      // Collect faculty IDs
+      const facultyIds = [...new Set(
+        courseDocs
+          .filter(doc => doc.exists && doc.data().facultyId)
+          .map(doc => doc.data().facultyId)
+      )];
+
+      // OPTIMIZED: Batch read faculty
+      const facultyMap = new Map();
+      if (facultyIds.length > 0) {
+        const facultyRefs = facultyIds.map(id => db.collection('faculty').doc(id));
+        const facultyDocs = await db.getAll(...facultyRefs);
+
+        facultyDocs.forEach(doc => {
+          if (doc.exists) {
+            facultyMap.set(doc.id, doc.data());
+          }
+        });
+      }
+
+      // Resolve timetable rooms against the rooms registry
+      const roomNumbers = courseDocs
+        .filter(doc => doc.exists && Array.isArray(doc.data().timetable))
+        .flatMap(doc => doc.data().timetable.map(slot => slot.room));
+      const roomMap = await getRooms(roomNumbers);
+
+      // Build timetable (archived courses are left out)
+      courseDocs.forEach(courseDoc => {
+        if (courseDoc.exists && courseDoc.data().isActive !== false) {
+          const course = courseDoc.data();
+          const facultyData = facultyMap.get(course.facultyId);
+
+          if (Array.isArray(course.timetable)) {
+            course.timetable.forEach(slot => {
+              if (timetable[slot.day]) {
+                const room = slot.room ? roomMap.get(roomIdFor(slot.room)) : null;
+                timetable[slot.day].push(cleanObject({
+                  time: slot.time,
+                  startTime: slot.startTime,
+                  endTime: slot.endTime,
+                  courseId: courseDoc.id,
+                  courseCode: course.code,
+                  courseName: course.name,
+                  type: slot.type,
+                  room: slot.room,
+                  building: room?.building,
+                  floor: room?.floor,
+                  facultyName: facultyData?.name || 'Unknown'
+                }));
+              }
+            });
+          }
+        }
+      });
+    }
+
+    // Sort each day's slots by start time (minutes, so "9:00" comes before "10:00")
+    Object.keys(timetable).forEach(day => {
+      timetable[day].sort((a, b) => (slotMinutes(a)?.start ?? 0) - (slotMinutes(b)?.start ?? 0));
+    });
+
+    const result = { success: true, timetable };
+
+    // Cache for 1 hour
+    studentCache.set(cacheKey, result);
+
+    res.json(await withCalendarWeek(result));
+  } catch (error) {
+    console.error('Error fetching timetable:', error);
+    res.status(500).json({ error: 'Failed to fetch timetable' });
+  }
+});
+
+
+// ============================================
+// FACULTY ROUTES
+// ============================================
+
+// Create/Update Faculty Profile
+app.post('/api/faculty/profile', verifyToken, requireRole('faculty'), async (req, res) => {
+  try {
+    // Accept both minimal and detailed payloads
+    const {
+      name,
+      employeeId,
+      designation,
+      department,
+      specialization,
+      email: emailFromBody
+    } = req.body;
+    const userId = req.user.uid;
+
+    const facultyData = cleanObject({
+      userId,
+      email: req.user.email || emailFromBody,
+      name,
+      employeeId,
+      designation,
+      department,
+      specialization,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    await db.collection('faculty').doc(userId).set(facultyData, { merge: true });
+
+    res.json({ success: true, faculty: facultyData });
+  } catch (error) {
+    console.error('Error creating faculty profile:', error);
+    res.status(500).json({ error: 'Failed to create faculty profile' });
+  }
+});
+
+// Create Course
+app.post('/api/faculty/courses', verifyToken, requireRole('faculty'), async (req, res) => {
+  try {
+    const { code, name, credits, semester, department, academicYear } = req.body;
+    const facultyId = req.user.uid;
+
+    // Basic validation to give user-friendly 400 instead of 500
+    if (!code || !name || !department) {
+      return res.status(400).json({ error: 'Missing required fields: code, name, department' });
+    }
+
+    const locationPolicy = parseLocationPolicy(req.body.locationPolicy);
+    if (!locationPolicy) {
+      return res.status(400).json({ error: `locationPolicy must be one of: ${LOCATION_POLICIES.join(', ')}` });
+    }
+    const attendanceThreshold = parseAttendanceThreshold(req.body.attendanceThreshold);
+    if (attendanceThreshold === null) {
+      return res.status(400).json({ error: 'attendanceThreshold must be a percentage between 1 and 100' });
+    }
+    const semesterStartDate = parseDateInput(req.body.semesterStartDate);
+    const semesterEndDate = parseDateInput(req.body.semesterEndDate);
+    if (semesterStartDate === null || semesterEndDate === null) {
+      return res.status(400).json({ error: 'semesterStartDate and semesterEndDate must be valid dates (YYYY-MM-DD)' });
+    }
+    if (semesterStartDate && semesterEndDate && semesterStartDate > semesterEndDate) {
+      return res.status(400).json({ error: 'semesterStartDate must be on or before semesterEndDate' });
+    }
+    const excusedPolicy = parseExcusedPolicy(req.body.excusedPolicy);
+    if (excusedPolicy === null) {
+      return res.status(400).json({ error: `excusedPolicy must be one of: ${EXCUSED_POLICIES.join(', ')}` });
+    }
+    const devicePolicy = parseDevicePolicy(req.body.devicePolicy);
+    if (devicePolicy === null) {
+      return res.status(400).json({ error: `devicePolicy must be one of: ${DEVICE_POLICIES.join(', ')}` });
+    }
+
+    const courseData = cleanObject({
+      code,
+      name,
+      credits, // optional
+      semester,
+      department,
+      academicYear, // optional, used by guide
+      facultyId,
+      locationPolicy,
+      attendanceThreshold,
+      excusedPolicy,
+      devicePolicy,
+      semesterStartDate: semesterStartDate ? admin.firestore.Timestamp.fromDate(semesterStartDate) : undefined,
+      semesterEndDate: semesterEndDate ? admin.firestore.Timestamp.fromDate(semesterEndDate) : undefined,
+      isActive: true,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    const courseRef = await db.collection('courses').add(courseData);
+
+    res.json({ success: true, courseId: courseRef.id, course: { id: courseRef.id, ...courseData } });
+  } catch (error) {
+    console.error('Error creating course:', error);
+    res.status(500).json({ error: 'Failed to create course' });
+  }
+});
+
+// List Courses for faculty
+app.get('/api/faculty/courses', verifyToken, requireRole('faculty'), async (req, res) => {
+  try {
+    const facultyId = req.user.uid;
+    const includeArchived = req.query.includeArchived === 'true';
+    const courseDocs = await staffCourses(facultyId);
+
+    const courses = courseDocs
+      .map(doc => ({ id: doc.id, ...doc.data(), myRole: courseRole(doc.data(), facultyId) }))
+      .filter(course => includeArchived || course.isActive !== false);
+    res.json({ success: true, courses });
+  } catch (error) {
+    console.error('Error listing courses:', error);
+    res.status(500).json({ error: 'Failed to list courses' });
+  }
+});
+
+// Create full class (course + timetable + roster import)
+app.post('/api/faculty/classes/full', verifyToken, requireRole('faculty'), async (req, res) => {
+  try {
+    const facultyId = req.user.uid;
+    const {
+      branch, // department
+      year, // academicYear
+      courseName,
+      courseCode,
+      className,
+      section = 'A',
+      timetable = [], // Array<{ day, time, type, room? }>
+      credits,
+      semester,
+      session
+    } = req.body || {};
+
+    if (!branch || !year || !courseName || !courseCode) {
+      return res.status(400).json({ error: 'branch, year, courseName, courseCode are required' });
+    }
+    const { data: validTimetable, error: timetableError } = validateTimetable(timetable);
+    if (timetableError) {
+      return res.status(400).json({ error: timetableError });
+    }
+
+    const locationPolicy = parseLocationPolicy(req.body.locationPolicy);
+    if (!locationPolicy) {
+      return res.status(400).json({ error: `locationPolicy must be one of: ${LOCATION_POLICIES.join(', ')}` });
+    }
+    const attendanceThreshold = parseAttendanceThreshold(req.body.attendanceThreshold);
+    if (attendanceThreshold === null) {
+      return res.status(400).json({ error: 'attendanceThreshold must be a percentage between 1 and 100' });
+    }
+    const semesterStartDate = parseDateInput(req.body.semesterStartDate);
+    const semesterEndDate = parseDateInput(req.body.semesterEndDate);
+    if (semesterStartDate === null || semesterEndDate === null) {
+      return res.status(400).json({ error: 'semesterStartDate and semesterEndDate must be valid dates (YYYY-MM-DD)' });
+    }
+    if (semesterStartDate && semesterEndDate && semesterStartDate > semesterEndDate) {
+      return res.status(400).json({ error: 'semesterStartDate must be on or before semesterEndDate' });
+    }
+    const excusedPolicy = parseExcusedPolicy(req.body.excusedPolicy);
+    if (excusedPolicy === null) {
+      return res.status(400).json({ error: `excusedPolicy must be one of: ${EXCUSED_POLICIES.join(', ')}` });
+    }
+    const devicePolicy = parseDevicePolicy(req.body.devicePolicy);
+    if (devicePolicy === null) {
+      return res.status(400).json({ error: `devicePolicy must be one of: ${DEVICE_POLICIES.join(', ')}` });
+    }
+
+    const joinCode = await generateUniqueJoinCode();
+
+    // Create course with embedded timetable and join code
+    const courseData = cleanObject({
+      code: courseCode,
+      name: courseName,
+      department: branch,
+      academicYear: year,
+      className: className || `${branch}${year}`,
+      section,
+      joinCode,
+      facultyId,
+      locationPolicy,
+      attendanceThreshold,
+      excusedPolicy,
+      devicePolicy,
+      semesterStartDate: semesterStartDate ? admin.firestore.Timestamp.fromDate(semesterStartDate) : undefined,
+      semesterEndDate: semesterEndDate ? admin.firestore.Timestamp.fromDate(semesterEndDate) : undefined,
+      isActive: true,
+      timetable: validTimetable,
+      enrolledCount: 0,
+      credits: credits || 3,
+      semester: semester || '',
+      session: session || 'Spring',
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    const courseRef = await db.collection('courses').add(courseData);
+
+    // Plan the semester right away when the timetable and semester dates are known
+    const schedule = semesterStartDate && semesterEndDate && courseData.timetable.length > 0
+      ? await generateScheduledSessions(courseRef.id, courseData, { from: semesterStartDate, to: semesterEndDate })
+      : undefined;
+
+    // Double-booked faculty or rooms are reported, not refused
+    const clashes = await courseTimetableClashes(courseRef.id, courseData);
+
+    const created = { id: courseRef.id, ...courseData };
+    res.json(cleanObject({ success: true, course: created, schedule, clashes }));
+  } catch (error) {
+    console.error('Error creating full class:', error);
+    res.status(500).json({ error: 'Failed to create full class' });
+  }
+});
+
+// Archive a course: hidden from students and closed to new sessions, history stays reportable
+async function archiveCourse(req, res) {
+  try {
+    const { courseId } = req.params;
+    const courseDoc = await loadCourseForUser(req, res, courseId, 'course.delete');
+    if (!courseDoc) return;
+
+    if (courseDoc.data().isActive === false) {
+      return res.status(400).json({ error: 'Course is already archived' });
+    }
+
+    // Close any sessions still running for this course and call off the planned ones
+    const [activeSessions, plannedSessions] = await Promise.all([
+      db.collection('sessions')
+        .where('courseId', '==', courseId)
+        .where('isActive', '==', true)
+        .get(),
+      db.collection('sessions')
+        .where('courseId', '==', courseId)
+        .where('state', '==', 'scheduled')
+        .get()
+    ]);
+
+    await commitInBatches([
+      ...activeSessions.docs.map(doc => batch => batch.update(doc.ref, {
+        isActive: false,
+        state: 'closed',
+        endedAt: admin.firestore.FieldValue.serverTimestamp()
+      })),
+      ...plannedSessions.docs.map(doc => batch => batch.update(doc.ref, {
+        state: 'cancelled',
+        cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+        cancelReason: 'Course archived'
+      })),
+      ...activeSessions.docs.map(doc => batch => batch.delete(db.collection('activeQRs').doc(doc.id))),
+      batch => batch.update(courseDoc.ref, {
+        isActive: false,
+        archivedAt: admin.firestore.FieldValue.serverTimestamp(),
+        archivedBy: req.user.uid,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      })
+    ]);
+
+    invalidateCourseCache(courseId);
+    await syncSummaryHeader(courseId);
+
+    res.json({ success: true, message: 'Course archived successfully', sessionsClosed: activeSessions.size });
+  } catch (error) {
+    console.error('Error archiving course:', error);
+    res.status(500).json({ error: 'Failed to archive course' });
+  }
+}
+
+// Archive a course (DELETE no longer hard-deletes; use /purge for that)
+app.delete('/api/faculty/courses/:courseId', verifyToken, requireRole('faculty'), archiveCourse);
+app.post('/api/faculty/courses/:courseId/archive', verifyToken, requireRole('faculty'), archiveCourse);
+
+// Fields a course update accepts; join code, ownership and archiving have their own routes
+const EDITABLE_COURSE_FIELDS = [
+  'code', 'name', 'department', 'academicYear', 'className', 'section', 'semester', 'session', 'credits',
+  'locationPolicy', 'devicePolicy', 'attendanceThreshold', 'excusedPolicy', 'semesterStartDate',
+  'semesterEndDate', 'timetable', 'joinApprovalRequired'
+];
+// Names /api/faculty/classes/full uses for the same fields
+const COURSE_FIELD_ALIASES = { courseCode: 'code', courseName: 'name', branch: 'department', year: 'academicYear' };
+
+// Validate a partial course update. null clears the optional policy and date fields.
+function validateCourseUpdate(body, course) {
+  const input = {};
+  for (const [key, value] of Object.entries(body)) {
+    input[COURSE_FIELD_ALIASES[key] || key] = value;
+  }
+  const unknown = Object.keys(input).filter(key => !EDITABLE_COURSE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    return { error: `These fields cannot be changed here: ${unknown.join(', ')}` };
+  }
+
+  const updates = {};
+  for (const field of ['code', 'name', 'department', 'academicYear', 'className', 'section', 'semester', 'session']) {
+    if (input[field] === undefined) continue;
+    const value = typeof input[field] === 'number' ? String(input[field]) : input[field];
+    if (typeof value !== 'string' || (!value.trim() && ['code', 'name', 'department'].includes(field))) {
+      return { error: `${field} must be a non-empty string` };
+    }
+    updates[field] = value.trim();
+  }
+  if (input.credits !== undefined) {
+    const credits = Number(input.credits);
+    if (!Number.isFinite(credits) || credits <= 0) {
+      return { error: 'credits must be a positive number' };
+    }
+    updates.credits = credits;
+  }
+
+  if (input.locationPolicy !== undefined) {
+    updates.locationPolicy = parseLocationPolicy(input.locationPolicy);
+    if (!updates.locationPolicy) {
+      return { error: `locationPolicy must be one of: ${LOCATION_POLICIES.join(', ')}` };
+    }
+  }
+  if (input.attendanceThreshold !== undefined) {
+    const threshold = parseAttendanceThreshold(input.attendanceThreshold);
+    if (threshold === null) {
+      return { error: 'attendanceThreshold must be a percentage between 1 and 100' };
+    }
+    updates.attendanceThreshold = threshold ?? admin.firestore.FieldValue.delete();
+  }
+  if (input.excusedPolicy !== undefined) {
+    const policy = parseExcusedPolicy(input.excusedPolicy);
+    if (policy === null) {
+      return { error: `excusedPolicy must be one of: ${EXCUSED_POLICIES.join(', ')}` };
+    }
+    updates.excusedPolicy = policy ?? admin.firestore.FieldValue.delete();
+  }
+  if (input.devicePolicy !== undefined) {
+    const policy = parseDevicePolicy(input.devicePolicy);
+    if (policy === null) {
+      return { error: `devicePolicy must be one of: ${DEVICE_POLICIES.join(', ')}` };
+    }
+    updates.devicePolicy = policy ?? admin.firestore.FieldValue.delete();
+  }
+
+  const dates = {};
+  for (const field of ['semesterStartDate', 'semesterEndDate']) {
+    if (input[field] === undefined) {
+      dates[field] = toDate(course[field]);
+      continue;
+    }
+    dates[field] = parseDateInput(input[field]);
+    if (dates[field] === null) {
+      return { error: `${field} must be a valid date (YYYY-MM-DD)` };
+    }
+    updates[field] = dates[field] ? admin.firestore.Timestamp.fromDate(dates[field]) : admin.firestore.FieldValue.delete();
+  }
+  if (dates.semesterStartDate && dates.semesterEndDate && dates.semesterStartDate > dates.semesterEndDate) {
+    return { error: 'semesterStartDate must be on or before semesterEndDate' };
+  }
+
+  if (input.timetable !== undefined) {
+    const { data, error } = validateTimetable(input.timetable);
+    if (error) return { error };
+    updates.timetable = data;
+  }
+  if (input.joinApprovalRequired !== undefined) {
+    if (typeof input.joinApprovalRequired !== 'boolean') {
+      return { error: 'joinApprovalRequired must be true or false' };
+    }
+    updates.joinApprovalRequired = input.joinApprovalRequired;
+  }
+
+  return { updates };
+}
+
+// Edit a course (PUT and PATCH both take a partial body)
+async function updateCourse(req, res) {
+  try {
+    const { courseId } = req.params;
+    const courseDoc = await loadCourseForUser(req, res, courseId, 'course.edit');
+    if (!courseDoc) return;
+    const course = courseDoc.data();
+    if (course.isActive === false) {
+      return res.status(400).json({ error: 'Cannot edit an archived course; restore it first' });
+    }
+
+    const { updates, error } = validateCourseUpdate(req.body || {}, course);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No changes given' });
+    }
+
+    await courseDoc.ref.update({ ...updates, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    invalidateCourseCache(courseId);
+    const updated = { ...(await courseDoc.ref.get()).data() };
+
+    // Planned sessions carry the course name and follow the timetable and semester dates
+    if (updates.code !== undefined || updates.name !== undefined) {
+      const plannedSnapshot = await db.collection('sessions')
+        .where('courseId', '==', courseId)
+        .where('state', '==', 'scheduled')
+        .get();
+      await commitInBatches(plannedSnapshot.docs.map(doc => batch => batch.update(doc.ref, {
+        courseCode: updated.code,
+        courseName: updated.name
+      })));
+    }
+    let schedule;
+    let clashes;
+    if (updates.timetable || updates.semesterStartDate || updates.semesterEndDate) {
+      const range = parseScheduleRequest({}, updated, await getAcademicCalendars());
+      schedule = range.error ? undefined : await generateScheduledSessions(courseId, updated, range);
+      clashes = await courseTimetableClashes(courseId, updated);
+    }
+    await syncSummaryHeader(courseId);
+
+    res.json(cleanObject({ success: true, course: { id: courseId, ...updated }, schedule, clashes }));
+  } catch (error) {
+    console.error('Error updating course:', error);
+    res.status(500).json({ error: 'Failed to update course' });
+  }
+}
+
+app.put('/api/faculty/courses/:courseId', verifyToken, requireRole('faculty'), updateCourse);
+app.patch('/api/faculty/courses/:courseId', verifyToken, requireRole('faculty'), updateCourse);
+
+// Validate an optional join code expiry; returns a Date, null to clear, or { error }
+function parseJoinCodeExpiry(value) {
+  if (value === null || value === '') return null;
+  const expiresAt = parseDateInput(value);
+  if (!expiresAt) return { error: 'expiresAt must be a valid date or date-time' };
+  if (expiresAt <= new Date()) return { error: 'expiresAt must be in the future' };
+  return expiresAt;
+}
+
+// Issue a new join code; the old one stops working immediately. Optional { expiresAt }
+app.post('/api/faculty/courses/:courseId/join-code/regenerate', verifyToken, requireRole('faculty'), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { expiresAt: expiresAtInput } = req.body || {};
+    const expiresAt = expiresAtInput === undefined ? null : parseJoinCodeExpiry(expiresAtInput);
+    if (expiresAt?.error) {
+      return res.status(400).json({ error: expiresAt.error });
+    }
+
+    const courseDoc = await loadCourseForUser(req, res, courseId, 'course.edit');
+    if (!courseDoc) return;
+    if (courseDoc.data().isActive === false) {
+      return res.status(400).json({ error: 'Cannot change the join code of an archived course' });
+    }
+
+    const joinCode = await generateUniqueJoinCode();
+    await courseDoc.ref.update({
+      joinCode,
+      joinCodeEnabled: true,
+      joinCodeExpiresAt: expiresAt ? admin.firestore.Timestamp.fromDate(expiresAt) : admin.firestore.FieldValue.delete(),
+      joinCodeUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    invalidateCourseCache(courseId);
+
+    res.json({ success: true, joinCode, joinCodeEnabled: true, joinCodeExpiresAt: expiresAt });
+  } catch (error) {
+    console.error('Error regenerating join code:', error);
+    res.status(500).json({ error: 'Failed to regenerate join code' });
+  }
+});
+
+// Enable or disable the join code and set or clear its expiry: { enabled, expiresAt }
+app.patch('/api/faculty/courses/:courseId/join-code', verifyToken, requireRole('faculty'), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { enabled, expiresAt: expiresAtInput } = req.body || {};
+    if (enabled === undefined && expiresAtInput === undefined) {
+      return res.status(400).json({ error: 'Provide enabled and/or expiresAt' });
+    }
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be true or false' });
+    }
+    const expiresAt = expiresAtInput === undefined ? undefined : parseJoinCodeExpiry(expiresAtInput);
+    if (expiresAt?.error) {
+      return res.status(400).json({ error: expiresAt.error });
+    }
+
+    const courseDoc = await loadCourseForUser(req, res, courseId, 'course.edit');
+    if (!courseDoc) return;
+
+    const updates = cleanObject({
+      joinCodeEnabled: enabled,
+      joinCodeExpiresAt: expiresAt === undefined
+        ? undefined
+        : expiresAt ? admin.firestore.Timestamp.fromDate(expiresAt) : admin.firestore.FieldValue.delete(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    await courseDoc.ref.update(updates);
+    invalidateCourseCache(courseId);
+
+    const updated = (await courseDoc.ref.get()).data();
+    res.json({
+      success: true,
+      joinCode: updated.joinCode,
+      joinCodeEnabled: updated.joinCodeEnabled !== false,
+      joinCodeExpiresAt: toDate(updated.joinCodeExpiresAt)
+    });
+  } catch (error) {
+    console.error('Error updating join code:', error);
+    res.status(500).json({ error: 'Failed to update join code' });
+  }
+});
+
+// Course staff: the instructor plus any co-instructors and TAs
+app.get('/api/faculty/courses/:courseId/staff', verifyToken, requireRole('faculty'), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const courseDoc = await loadCourseForUser(req, res, courseId, 'roster.view');
+    if (!courseDoc) return;
+    const course = courseDoc.data();
+
+    const members = [
+      { uid: course.facultyId, role: 'instructor' },
+      ...Object.entries(course.staff || {}).map(([uid, role]) => ({ uid, role }))
+    ];
+    const facultyDocs = await db.getAll(...members.map(member => db.collection('faculty').doc(member.uid)));
+    const staff = members.map((member, i) => ({
+      ...member,
+      name: facultyDocs[i].exists ? facultyDocs[i].data().name || 'Unknown' : 'Unknown',
+      email: facultyDocs[i].exists ? facultyDocs[i].data().email : undefined,
+      permissions: COURSE_ROLE_PERMISSIONS[member.role] || []
+    }));
+
+    res.json({ success: true, courseId, myRole: courseRole(course, req.user.uid), staff });
+  } catch (error) {
+    console.error('Error listing course staff:', error);
+    res.status(500).json({ error: 'Failed to list course staff' });
+  }
+});
+
+// Add a staff member or change their role: { facultyId | facultyEmail, role: 'co-instructor' | 'ta' }
+app.put('/api/faculty/courses/:courseId/staff', verifyToken, requireRole('faculty'), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { facultyId, facultyEmail, role } = req.body || {};
+
+    if (!facultyId && !facultyEmail) {
+      return res.status(400).json({ error: 'facultyId or facultyEmail is required' });
+    }
+    if (!['co-instructor', 'ta'].includes(role)) {
+      return res.status(400).json({ error: "role must be 'co-instructor' or 'ta'" });
+    }
+
+    const courseDoc = await loadCourseForUser(req, res, courseId, 'staff.manage');
+    if (!courseDoc) return;
+
+    let member;
+    try {
+      member = facultyId ? await auth.getUser(facultyId) : await auth.getUserByEmail(facultyEmail);
+    } catch (err) {
+      if (err?.errorInfo?.code === 'auth/user-not-found') {
+        return res.status(404).json({ error: 'Faculty user not found' });
+      }
+      throw err;
+    }
+    if (member.customClaims?.role !== 'faculty') {
+      return res.status(400).json({ error: 'Target user does not have the faculty role' });
+    }
+    if (member.uid === courseDoc.data().facultyId) {
+      return res.status(400).json({ error: 'The course owner is always the instructor' });
+    }
+
+    const previousRole = courseDoc.data().staff?.[member.uid] || null;
+    await courseDoc.ref.update({
+      [`staff.${member.uid}`]: role,
+      staffIds: admin.firestore.FieldValue.arrayUnion(member.uid),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    invalidateCourseCache(courseId);
+
+    res.json({ success: true, courseId, uid: member.uid, role, previousRole });
+  } catch (error) {
+    console.error('Error updating course staff:', error);
+    res.status(500).json({ error: 'Failed to update course staff' });
+  }
+});
+
+// Remove a staff member (the owner can only change through an admin reassign)
+app.delete('/api/faculty/courses/:courseId/staff/:uid', verifyToken, requireRole('faculty'), async (req, res) => {
+  try {
+    const { courseId, uid } = req.params;
+    const courseDoc = await loadCourseForUser(req, res, courseId, 'staff.manage');
+    if (!courseDoc) return;
+
+    if (!courseDoc.data().staff?.[uid]) {
+      return res.status(404).json({ error: 'User is not on this course staff' });
+    }
+
+    await courseDoc.ref.update({
+      [`staff.${uid}`]: admin.firestore.FieldValue.delete(),
+      staffIds: admin.firestore.FieldValue.arrayRemove(uid),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    invalidateCourseCache(courseId);
+
+    res.json({ success: true, courseId, uid });
+  } catch (error) {
+    console.error('Error removing course staff:', error);
+    res.status(500).json({ error: 'Failed to remove course staff' });
+  }
+});
+
+// Restore an archived course
+app.post('/api/faculty/courses/:courseId/restore', verifyToken, requireRole('faculty'), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const courseDoc = await loadCourseForUser(req, res, courseId, 'course.delete');
+    if (!courseDoc) return;
+
+    if (courseDoc.data().isActive !== false) {
+      return res.status(400).json({ error: 'Course is not archived' });
+    }
+
+    await courseDoc.ref.update({
+      isActive: true,
+      archivedAt: admin.firestore.FieldValue.delete(),
+      archivedBy: admin.firestore.FieldValue.delete(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    invalidateCourseCache(courseId);
+    await syncSummaryHeader(courseId);
+
+    res.json({ success: true, message: 'Course restored successfully' });
+  } catch (error) {
+    console.error('Error restoring course:', error);
+    res.status(500).json({ error: 'Failed to restore course' });
+  }
+});
+
+// Permanently delete an archived course and everything recorded under it.
+// With dryRun (query or body) nothing is deleted and the counts are returned as a preview.
+app.post('/api/faculty/courses/:courseId/purge', verifyToken, requireRole('faculty'), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+
+    const courseDoc = await loadCourseForUser(req, res, courseId, 'course.delete');
+    if (!courseDoc) return;
+
+    if (courseDoc.data().isActive !== false) {
+      return res.status(400).json({ error: 'Archive the course before purging it' });
+    }
+
+    const related = await collectCourseRecords(courseId);
+    const counts = {
+      sessions: related.sessions.length,
+      enrollments: related.enrollments.length,
+      attendance: related.attendance.length,
+      rosterInvites: related.rosterInvites.length,
+      attendanceAudit: related.attendanceAudit.length,
+      attendanceDisputes: related.attendanceDisputes.length,
+      studentFeed: related.studentFeed.length,
+      activeQRs: related.activeQRs.length,
+      attendanceSummaries: related.attendanceSummaries.length
+    };
+
+    if (dryRun) {
+      return res.json({ success: true, dryRun: true, courseId, wouldDelete: { course: 1, ...counts } });
+    }
+
+    const studentIds = [...new Set(related.enrollments.map(doc => doc.data().studentId))];
+
+    // Children first, course document last, so a partial failure can simply be retried
+    await commitInBatches([
+      ...related.attendance.map(doc => batch => batch.delete(doc.ref)),
+      ...related.attendanceAudit.map(doc => batch => batch.delete(doc.ref)),
+      ...related.attendanceDisputes.map(doc => batch => batch.delete(doc.ref)),
+      ...related.studentFeed.map(doc => batch => batch.delete(doc.ref)),
+      ...related.activeQRs.map(ref => batch => batch.delete(ref)),
+      ...related.sessions.map(doc => batch => batch.delete(doc.ref)),
+      ...related.enrollments.map(doc => batch => batch.delete(doc.ref)),
+      ...related.rosterInvites.map(doc => batch => batch.delete(doc.ref)),
+      ...related.attendanceSummaries.map(ref => batch => batch.delete(ref)),
+      batch => batch.delete(courseDoc.ref)
+    ]);
+
+    invalidateCourseCache(courseId);
+    studentIds.forEach(invalidateStudentCache);
+
+    res.json({ success: true, dryRun: false, courseId, deleted: { course: 1, ...counts } });
+  } catch (error) {
+    console.error('Error purging course:', error);
+    res.status(500).json({ error: 'Failed to purge course' });
+  }
+});
+
+// Enroll a single student in a course (by studentId, email or roll number)
+app.post('/api/faculty/course/:courseId/enroll', verifyToken, requireRole('faculty'), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { studentId, studentEmail, email, rollNo } = req.body || {};
+
+    if (!studentId && !studentEmail && !email && !rollNo) {
+      return res.status(400).json({ error: 'studentId, studentEmail or rollNo is required' });
+    }
+
+    const courseRef = db.collection('courses').doc(courseId);
+    const courseDoc = await loadCourseForUser(req, res, courseId, 'roster.edit');
+    if (!courseDoc) return;
+    if (courseDoc.data().isActive === false) {
+      return res.status(400).json({ error: 'Cannot enroll students in an archived course; restore it first' });
+    }
+
+    const student = await findStudent({ studentId, email: studentEmail || email, rollNo });
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const existingEnrollment = await db.collection('enrollments')
+      .where('studentId', '==', student.id)
+      .where('courseId', '==', courseId)
+      .limit(1)
+      .get();
+
+    if (!existingEnrollment.empty && existingEnrollment.docs[0].data().isActive) {
+      return res.status(400).json({ error: 'Student already enrolled' });
+    }
+
+    const batch = db.batch();
+    if (existingEnrollment.empty) {
+      batch.set(db.collection('enrollments').doc(), {
+        studentId: student.id,
+        courseId,
+        isActive: true,
+        enrolledAt: admin.firestore.FieldValue.serverTimestamp(),
+        source: 'faculty'
+      });
+    } else {
+      batch.update(existingEnrollment.docs[0].ref, {
+        isActive: true,
+        status: admin.firestore.FieldValue.delete(), // enrolling settles any pending join request
+        enrolledAt: admin.firestore.FieldValue.serverTimestamp(),
+        source: 'faculty'
+      });
+    }
+    batch.update(courseRef, {
+      enrolledCount: admin.firestore.FieldValue.increment(1)
+    });
+    await batch.commit();
+
+    invalidateCourseCache(courseId);
+    invalidateStudentCache(student.id);
+
+    res.json({
+      success: true,
+      message: 'Student enrolled successfully',
+      student: { id: student.id, name: student.name || 'Unknown', rollNo: student.rollNo || 'N/A' }
+    });
+  } catch (error) {
+    console.error('Error enrolling student:', error);
+    res.status(500).json({ error: 'Failed to enroll student' });
+  }
+});
+
+// Unenroll a student from a course (attendance history is kept)
+app.post('/api/faculty/course/:courseId/unenroll', verifyToken, requireRole('faculty'), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { studentId, studentEmail, email, rollNo } = req.body || {};
+
+    if (!studentId && !studentEmail && !email && !rollNo) {
+      return res.status(400).json({ error: 'studentId, studentEmail or rollNo is required' });
+    }
+
+    const courseRef = db.collection('courses').doc(courseId);
+    const courseDoc = await loadCourseForUser(req, res, courseId, 'roster.edit');
+    if (!courseDoc) return;
+    if (courseDoc.data().isActive === false) {
+      return res.status(400).json({ error: 'Cannot enroll students in an archived course; restore it first' });
+    }
+
+    const student = await findStudent({ studentId, email: studentEmail || email, rollNo });
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const enrollmentSnapshot = await db.collection('enrollments')
+      .where('studentId', '==', student.id)
+      .where('courseId', '==', courseId)
+      .where('isActive', '==', true)
+      .limit(1)
+      .get();
 
     if (enrollmentSnapshot.empty) {
-      return res.status(403).json({ error: 'You are not enrolled in this course' });
+      return res.status(404).json({ error: 'Student is not enrolled in this course' });
+    }
+
+    const batch = db.batch();
+    batch.update(enrollmentSnapshot.docs[0].ref, {
+      isActive: false,
+      unenrolledAt: admin.firestore.FieldValue.serverTimestamp(),
+      unenrolledBy: req.user.uid
+    });
+    batch.update(courseRef, {
+      enrolledCount: admin.firestore.FieldValue.increment(-1)
+    });
+    await batch.commit();
+
+    invalidateCourseCache(courseId);
+    invalidateStudentCache(student.id);
+
+    res.json({ success: true, message: 'Student unenrolled successfully' });
+  } catch (error) {
+    console.error('Error unenrolling student:', error);
+    res.status(500).json({ error: 'Failed to unenroll student' });
+  }
+});
+
+// Generate QR Code for Session
+app.post('/api/faculty/generate-qr', verifyToken, requireRole('faculty'), async (req, res) => {
+  try {
+    // Accept both old keys and the ones in the guide
+    const courseId = req.body.courseId;
+    const roomNumber = req.body.roomNumber;
+    const location = req.body.location || {};
+    const latitude = req.body.latitude ?? location.latitude;
+    const longitude = req.body.longitude ?? location.longitude;
+    const radius = req.body.radius ?? req.body.geofenceRadius ?? (location.radius ?? 50);
+    const validitySeconds = req.body.validitySeconds ?? (req.body.expiresIn ? Number(req.body.expiresIn) : 300);
+    const rotating = req.body.rotating === true || req.body.qrMode === 'rotating';
+    const rotationSeconds = rotating ? normalizeRotationSeconds(req.body.rotationSeconds) : undefined;
+    const facultyId = req.user.uid;
+
+    // Validate required inputs early with clear message
+    if (!courseId) {
+      return res.status(400).json({ error: 'courseId is required' });
+    }
+
+    // Verify the caller may run sessions for this course
+    const courseDoc = await loadCourseForUser(req, res, courseId, 'sessions.run');
+    if (!courseDoc) return;
+    const course = courseDoc.data();
+    if (course.isActive === false) {
+      return res.status(400).json({ error: 'Cannot start a session for an archived course' });
+    }
+
+    // Attach to a planned session (the one given, or the one due now) instead of starting ad hoc
+    let plannedDoc = null;
+    if (req.body.sessionId) {
+      plannedDoc = await db.collection('sessions').doc(req.body.sessionId).get();
+      if (!plannedDoc.exists || plannedDoc.data().courseId !== courseId) {
+        return res.status(404).json({ error: 'Scheduled session not found' });
+      }
+      const state = sessionState(plannedDoc.data());
+      if (state !== 'scheduled') {
+        return res.status(400).json({ error: `Session is already ${state}` });
+      }
+    } else {
+      plannedDoc = await findDuePlannedSession(courseId);
+    }
+    const planned = plannedDoc?.data();
+
+    const locationPolicy = course.locationPolicy || LEGACY_LOCATION_POLICY;
+
+    // Resolve the geofence from the rooms registry: the explicit roomNumber first,
+    // then the room of the planned session or the timetable slot running now. Faculty
+    // GPS is only a fallback for rooms that are not registered yet.
+    const slot = roomNumber || planned?.roomNumber ? null : findCurrentTimetableSlot(course.timetable);
+    const sessionRoomNumber = roomNumber || planned?.roomNumber || slot?.room;
+    const room = await getRoom(sessionRoomNumber);
+
+    let geofence;
+    if (room) {
+      geofence = {
+        latitude: room.center?.latitude,
+        longitude: room.center?.longitude,
+        radius: room.radius || undefined,
+        boundary: room.boundary || undefined
+      };
+    } else if (latitude !== undefined && longitude !== undefined) {
+      geofence = { latitude, longitude, radius };
+    } else if (locationPolicy !== 'off') {
+      return res.status(400).json({
+        error: sessionRoomNumber
+          ? `Room ${sessionRoomNumber} is not registered; location.latitude and location.longitude are required`
+          : 'roomNumber or location.latitude and location.longitude are required'
+      });
+    } else {
+      geofence = {};
+    }
+
+    // Create session
+    const sessionData = cleanObject({
+      courseId,
+      courseName: course.name,
+      courseCode: course.code,
+      facultyId,
+      date: admin.firestore.Timestamp.now(),
+      startTime: new Date().toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', timeZone: CAMPUS_TIME_ZONE }),
+      roomNumber: sessionRoomNumber,
+      roomId: room?.id,
+      roomBoundary: geofence.boundary,
+      locationLatitude: geofence.latitude,
+      locationLongitude: geofence.longitude,
+      geofenceRadius: geofence.radius,
+      locationPolicy,
+      devicePolicy: course.devicePolicy || DEFAULT_DEVICE_POLICY,
+      qrMode: rotating ? 'rotating' : 'static',
+      qrRotationSeconds: rotationSeconds,
+      presentCount: 0,
+      totalStudents: 0,
+      isActive: true,
+      state: 'active'
+    });
+
+    let sessionId;
+    if (plannedDoc) {
+      const started = await db.runTransaction(async transaction => {
+        const current = await transaction.get(plannedDoc.ref);
+        if (sessionState(current.data()) !== 'scheduled') return false;
+        transaction.update(plannedDoc.ref, sessionData);
+        return true;
+      });
+      if (!started) {
+        return res.status(409).json({ error: 'This session was already started' });
+      }
+      sessionId = plannedDoc.id;
+    } else {
+      const sessionRef = await db.collection('sessions').add({
+        ...sessionData,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      sessionId = sessionRef.id;
+    }
+    invalidateSessionCounts(courseId);
+
+    // Generate QR payload
+    const qrLocation = cleanObject({
+      latitude: geofence.latitude,
+      longitude: geofence.longitude,
+      radius: geofence.radius,
+      roomNumber: sessionRoomNumber
+    });
+    const qrPayload = rotating
+      ? generateRotatingQRPayload(sessionId, courseId, facultyId, qrLocation, rotationSeconds)
+      : generateQRPayload(
+        sessionId,
+        courseId,
+        facultyId,
+        qrLocation,
+        validitySeconds * 1000
+      );
+
+    // Store active QR
+    await db.collection('activeQRs').doc(sessionId).set(cleanObject({
+      ...qrPayload,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    }));
+
+    res.json({
+      success: true,
+      sessionId,
+      qrData: JSON.stringify(cleanObject(qrPayload)),
+      qrPayload: cleanObject(qrPayload),
+      expiresIn: rotating ? rotationSeconds : validitySeconds,
+      rotationSeconds,
+      session: { id: sessionId, ...planned, ...sessionData }
+    });
+
+  } catch (error) {
+    console.error('Error generating QR:', error);
+    res.status(500).json({ error: 'Failed to generate QR code' });
+  }
+});
+
+// The rotating QR for the current window, and the seconds until the next one so the screen can refresh on time
+function currentRotatingQR(sessionId, session) {
+  const rotationSeconds = session.qrRotationSeconds || DEFAULT_QR_ROTATION_SECONDS;
+  const qrPayload = cleanObject(generateRotatingQRPayload(
+    sessionId,
+    session.courseId,
+    session.facultyId,
+    cleanObject({
+      latitude: session.locationLatitude,
+      longitude: session.locationLongitude,
+      radius: session.geofenceRadius,
+      roomNumber: session.roomNumber
+    }),
+    rotationSeconds
+  ));
+
+  const periodMs = rotationSeconds * 1000;
+  const refreshIn = Math.ceil((periodMs - (Date.now() % periodMs)) / 1000);
+  return { qrData: JSON.stringify(qrPayload), qrPayload, rotationSeconds, refreshIn };
+}
+
+// Get a fresh rotating QR for an active session (faculty screen polls this every window)
+app.get('/api/faculty/session/:sessionId/qr', verifyToken, requireRole('faculty'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const loaded = await loadSessionForUser(req, res, sessionId, 'sessions.run');
+    if (!loaded) return;
+    const { sessionDoc } = loaded;
+    const session = sessionDoc.data();
+    if (!session.isActive) {
+      return res.status(400).json({ error: 'Session is not active' });
+    }
+    if (session.qrMode !== 'rotating') {
+      return res.status(400).json({ error: 'Session does not use rotating QR codes' });
+    }
+
+    res.json({ success: true, sessionId, ...currentRotatingQR(sessionId, session) });
+  } catch (error) {
+    console.error('Error rotating QR:', error);
+    res.status(500).json({ error: 'Failed to generate QR code' });
+  }
+});
+
+// Attendee row for the live attendance screen, from the names denormalized onto the record
+function toAttendee(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    studentId: data.studentId,
+    studentName: data.studentName || 'Unknown',  // Denormalized
+    rollNo: data.studentRollNo || 'N/A',  // Denormalized
+    status: data.status,
+    markedAt: data.markedAt,
+    distance: data.distanceFromClass
+  };
+}
+
+// Get Live Attendance for Session - OPTIMIZED
+app.get('/api/faculty/session/:sessionId/attendance', verifyToken, requireRole('faculty'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    // Same check as manual-attendance: the caller must be on the course staff
+    const loaded = await loadSessionForUser(req, res, sessionId, 'attendance.view');
+    if (!loaded) return;
+    const { sessionDoc } = loaded;
+    const session = sessionDoc.data();
+
+    // Get attendance records
+    const attendanceSnapshot = await db.collection('attendance')
+      .where('sessionId', '==', sessionId)
+      .orderBy('markedAt', 'desc')
+      .get();
+
+    // OPTIMIZED: Use denormalized data (no additional student reads!)
+    const attendees = attendanceSnapshot.docs.map(toAttendee);
+
+    res.json({
+      success: true,
+      session: { id: sessionDoc.id, ...session },
+      attendees,
+      presentCount: attendees.filter(a => a.status === 'present').length,
+      totalAttendees: attendees.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching session attendance:', error);
+    res.status(500).json({ error: 'Failed to fetch session attendance' });
+  }
+});
+
+// Sessions the faculty member can see, newest first. Only sessions that have been started carry a date;
+// planned ones are listed by the schedule routes. ?courseId=, ?from=, ?to= (YYYY-MM-DD), ?active=true|false, ?limit=
+app.get('/api/faculty/sessions', verifyToken, requireRole('faculty'), async (req, res) => {
+  try {
+    const { courseId, active, limit = 50 } = req.query;
+    const from = parseDateInput(req.query.from);
+    let to = parseDateInput(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({ error: 'from and to must be valid dates (YYYY-MM-DD)', code: 'INVALID_DATE' });
+    }
+    if (to) to = campusDayEnd(to);
+    if (from && to && from > to) {
+      return res.status(400).json({ error: 'from must be before to', code: 'INVALID_DATE' });
+    }
+    if (active !== undefined && !['true', 'false'].includes(active)) {
+      return res.status(400).json({ error: 'active must be true or false', code: 'INVALID_FILTER' });
+    }
+    const max = Math.min(parseInt(limit) || 50, 200);
+
+    let courseDocs;
+    if (courseId) {
+      const courseDoc = await loadCourseForUser(req, res, courseId, 'attendance.view');
+      if (!courseDoc) return;
+      courseDocs = [courseDoc];
+    } else {
+      courseDocs = await staffCourses(req.user.uid, 'attendance.view');
+    }
+    const courses = new Map(courseDocs.map(doc => [doc.id, doc.data()]));
+
+    const docs = [];
+    for (const batch of chunkArray([...courses.keys()], 10)) {
+      let query = db.collection('sessions').where('courseId', 'in', batch);
+      if (from) query = query.where('date', '>=', admin.firestore.Timestamp.fromDate(from));
+      if (to) query = query.where('date', '<=', admin.firestore.Timestamp.fromDate(to));
+      if (active !== undefined) query = query.where('isActive', '==', active === 'true');
+      // One extra per chunk so a chunk that fills the page still tells us whether more exist
+      const snapshot = await query.orderBy('date', 'desc').limit(max + 1).get();
+      docs.push(...snapshot.docs);
+    }
+
+    const sessions = docs
+      .map(doc => {
+        const session = doc.data();
+        return {
+          id: doc.id,
+          courseId: session.courseId,
+          courseCode: session.courseCode,
+          courseName: session.courseName,
+          date: session.date,
+          startTime: session.startTime,
+          endedAt: session.endedAt,
+          state: sessionState(session),
+          isActive: Boolean(session.isActive),
+          roomNumber: session.roomNumber,
+          qrMode: session.qrMode,
+          startedBy: session.facultyId,
+          presentCount: session.presentCount || 0,
+          totalStudents: session.totalStudents || 0,
+          myRole: courseRole(courses.get(session.courseId), req.user.uid)
+        };
+      })
+      .sort((a, b) => (toDate(b.date) || 0) - (toDate(a.date) || 0))
+      .slice(0, max);
+
+    res.json({ success: true, sessions, hasMore: docs.length > sessions.length });
+  } catch (error) {
+    console.error('Error listing faculty sessions:', error);
+    res.status(500).json({ error: 'Failed to list sessions' });
+  }
+});
+
+// Stop Session
+app.post('/api/faculty/session/:sessionId/stop', verifyToken, requireRole('faculty'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const loaded = await loadSessionForUser(req, res, sessionId, 'sessions.run');
+    if (!loaded) return;
+    const { sessionDoc } = loaded;
+    const state = sessionState(sessionDoc.data());
+    if (state === 'scheduled' || state === 'cancelled') {
+      return res.status(400).json({ error: `Session is ${state}, not running`, code: 'SESSION_NOT_RUNNING' });
+    }
+
+    await db.collection('sessions').doc(sessionId).update({
+      isActive: false,
+      state: 'closed',
+      endedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    await db.collection('activeQRs').doc(sessionId).delete();
+
+    // Every enrolled student who didn't scan gets an explicit absent record
+    const { totalStudents, absentCreated, excusedCreated } = await materializeAbsences(sessionId, sessionDoc.data());
+    await db.collection('sessions').doc(sessionId).update({ totalStudents });
+    await refreshSessionSummary(sessionId);
+
+    res.json({
+      success: true,
+      message: 'Session stopped successfully',
+      totalStudents,
+      absentMarked: absentCreated,
+      excusedMarked: excusedCreated
+    });
+  } catch (error) {
+    console.error('Error stopping session:', error);
+    res.status(500).json({ error: 'Failed to stop session' });
+  }
+});
+
+// Bulk roster import from CSV (columns: rollNo and/or email; name optional)
+// Accepts a text/csv body or JSON { csv: "..." }
+const MAX_ROSTER_ROWS = 500;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+app.post('/api/faculty/course/:courseId/roster/import', express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), verifyToken, requireRole('faculty'), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const csvText = typeof req.body === 'string' ? req.body : req.body?.csv;
+
+    if (!csvText || typeof csvText !== 'string') {
+      return res.status(400).json({ error: 'CSV content is required (text/csv body or { csv })' });
+    }
+
+    const courseRef = db.collection('courses').doc(courseId);
+    const courseDoc = await loadCourseForUser(req, res, courseId, 'roster.edit');
+    if (!courseDoc) return;
+    const course = courseDoc.data();
+    if (course.isActive === false) {
+      return res.status(400).json({ error: 'Cannot enroll students in an archived course; restore it first' });
+    }
+
+    let rows;
+    try {
+      rows = await parseCsv(csvText);
+    } catch (err) {
+      return res.status(400).json({ error: 'Could not parse CSV file' });
+    }
+    if (rows.length === 0) {
+      return res.status(400).json({ error: 'CSV file has no data rows' });
+    }
+    if (rows.length > MAX_ROSTER_ROWS) {
+      return res.status(400).json({ error: `CSV file has ${rows.length} rows; the limit is ${MAX_ROSTER_ROWS}` });
+    }
+
+    // Validate rows and drop duplicates within the file
+    const report = [];
+    const candidates = [];
+    const seen = new Set();
+    rows.forEach((row, index) => {
+      const line = index + 2; // header is line 1
+      const rollNo = (row.rollno || row.rollnumber || row.roll || '').trim();
+      const email = (row.email || row.emailid || '').trim().toLowerCase();
+      const entry = cleanObject({ line, rollNo: rollNo || undefined, email: email || undefined });
+
+      if (!rollNo && !email) {
+        report.push({ ...entry, status: 'invalid', reason: 'Row has neither roll number nor email' });
+      } else if (email && !EMAIL_PATTERN.test(email)) {
+        report.push({ ...entry, status: 'invalid', reason: 'Malformed email address' });
+      } else if ((email && seen.has(`email:${email}`)) || (rollNo && seen.has(`roll:${rollNo}`))) {
+        report.push({ ...entry, status: 'invalid', reason: 'Duplicate row in file' });
+      } else {
+        if (email) seen.add(`email:${email}`);
+        if (rollNo) seen.add(`roll:${rollNo}`);
+        const candidate = { ...entry, name: (row.name || '').trim() || undefined };
+        candidates.push(candidate);
+        report.push(candidate);
+      }
+    });
+
+    // Match rows to student profiles by email, then by roll number
+    const studentsByEmail = new Map();
+    const studentsByRollNo = new Map();
+    const emails = candidates.filter(c => c.email).map(c => c.email);
+    const rollNos = candidates.filter(c => c.rollNo).map(c => c.rollNo);
+    for (const batch of chunkArray(emails, 10)) {
+      const snapshot = await db.collection('students').where('email', 'in', batch).get();
+      snapshot.docs.forEach(doc => studentsByEmail.set(doc.data().email.toLowerCase(), doc.id));
+    }
+    for (const batch of chunkArray(rollNos, 10)) {
+      const snapshot = await db.collection('students').where('rollNo', 'in', batch).get();
+      snapshot.docs.forEach(doc => studentsByRollNo.set(doc.data().rollNo, doc.id));
+    }
+
+    // Existing enrollments (active or not) for this course
+    const enrollmentsSnapshot = await db.collection('enrollments')
+      .where('courseId', '==', courseId)
+      .get();
+    const enrollmentByStudent = new Map(enrollmentsSnapshot.docs.map(doc => [doc.data().studentId, doc]));
+
+    const operations = [];
+    const enrolledStudentIds = [];
+    for (const candidate of candidates) {
+      const studentId = (candidate.email && studentsByEmail.get(candidate.email)) ||
+        (candidate.rollNo && studentsByRollNo.get(candidate.rollNo));
+
+      if (!studentId) {
+        // Pre-register as a pending invite; claimed when the student creates their profile
+        candidate.status = 'unknown';
+        candidate.invited = true;
+        const inviteKey = (candidate.email || `roll-${candidate.rollNo}`).replace(/\//g, '-');
+        operations.push(batch => batch.set(db.collection('rosterInvites').doc(`${courseId}_${inviteKey}`), cleanObject({
+          courseId,
+          email: candidate.email,
+          rollNo: candidate.rollNo,
+          name: candidate.name,
+          status: 'pending',
+          invitedBy: req.user.uid,
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
+        }), { merge: true }));
+        continue;
+      }
+
+      candidate.studentId = studentId;
+      const existing = enrollmentByStudent.get(studentId);
+      if (existing?.data().isActive) {
+        candidate.status = 'already_enrolled';
+        continue;
+      }
+
+      candidate.status = 'enrolled';
+      enrolledStudentIds.push(studentId);
+      enrollmentByStudent.set(studentId, { data: () => ({ isActive: true }) });
+      if (existing) {
+        operations.push(batch => batch.update(existing.ref, {
+          isActive: true,
+          status: admin.firestore.FieldValue.delete(),
+          enrolledAt: admin.firestore.FieldValue.serverTimestamp(),
+          source: 'roster-import'
+        }));
+      } else {
+        operations.push(batch => batch.set(db.collection('enrollments').doc(), {
+          studentId,
+          courseId,
+          isActive: true,
+          enrolledAt: admin.firestore.FieldValue.serverTimestamp(),
+          source: 'roster-import'
+        }));
+      }
+    }
+
+    if (enrolledStudentIds.length > 0) {
+      operations.push(batch => batch.update(courseRef, {
+        enrolledCount: admin.firestore.FieldValue.increment(enrolledStudentIds.length)
+      }));
+    }
+    await commitInBatches(operations);
+
+    invalidateCourseCache(courseId);
+    enrolledStudentIds.forEach(invalidateStudentCache);
+
+    const summary = { enrolled: 0, already_enrolled: 0, unknown: 0, invalid: 0 };
+    report.forEach(entry => { summary[entry.status]++; });
+
+    res.json({
+      success: true,
+      courseId,
+      totalRows: rows.length,
+      summary,
+      rows: report.map(({ name, ...entry }) => entry)
+    });
+  } catch (error) {
+    console.error('Error importing roster:', error);
+    res.status(500).json({ error: 'Failed to import roster' });
+  }
+});
+
+// Pending join requests for a course that requires approval
+app.get('/api/faculty/course/:courseId/join-requests', verifyToken, requireRole('faculty'), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const courseDoc = await loadCourseForUser(req, res, courseId, 'roster.view');
+    if (!courseDoc) return;
+
+    const snapshot = await db.collection('enrollments')
+      .where('courseId', '==', courseId)
+      .where('status', '==', 'pending')
+      .get();
+    const studentDocs = snapshot.empty
+      ? []
+      : await db.getAll(...snapshot.docs.map(doc => db.collection('students').doc(doc.data().studentId)));
+    const students = new Map(studentDocs.filter(doc => doc.exists).map(doc => [doc.id, doc.data()]));
+
+    const requests = snapshot.docs.map(doc => {
+      const student = students.get(doc.data().studentId) || {};
+      return cleanObject({
+        studentId: doc.data().studentId,
+        name: student.name,
+        rollNo: student.rollNo,
+        email: student.email,
+        requestedAt: doc.data().requestedAt
+      });
+    });
+    res.json({ success: true, requests });
+  } catch (error) {
+    console.error('Error listing join requests:', error);
+    res.status(500).json({ error: 'Failed to list join requests' });
+  }
+});
+
+// Approve or reject pending join requests: { studentIds, decision: 'approve' | 'reject' }
+app.post('/api/faculty/course/:courseId/join-requests/review', verifyToken, requireRole('faculty'), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { studentIds, decision } = req.body || {};
+    if (!Array.isArray(studentIds) || studentIds.length === 0) {
+      return res.status(400).json({ error: 'studentIds must be a non-empty array' });
+    }
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({ error: "decision must be 'approve' or 'reject'" });
+    }
+
+    const courseDoc = await loadCourseForUser(req, res, courseId, 'roster.edit');
+    if (!courseDoc) return;
+    const course = courseDoc.data();
+
+    const snapshot = await db.collection('enrollments')
+      .where('courseId', '==', courseId)
+      .where('status', '==', 'pending')
+      .get();
+    const wanted = new Set(studentIds);
+    const requests = snapshot.docs.filter(doc => wanted.has(doc.data().studentId));
+    const approve = decision === 'approve';
+
+    await commitInBatches([
+      ...requests.map(doc => batch => batch.update(doc.ref, approve
+        ? {
+          isActive: true,
+          status: admin.firestore.FieldValue.delete(),
+          enrolledAt: admin.firestore.FieldValue.serverTimestamp(),
+          approvedBy: req.user.uid
+        }
+        : {
+          status: 'rejected',
+          reviewedBy: req.user.uid,
+          reviewedAt: admin.firestore.FieldValue.serverTimestamp()
+        })),
+      ...requests.map(doc => batch => batch.set(db.collection('studentFeed').doc(), {
+        studentId: doc.data().studentId,
+        courseId,
+        type: approve ? 'enrollment.approved' : 'enrollment.rejected',
+        courseCode: course.code,
+        courseName: course.name,
+        title: approve ? `Joined ${course.code}` : `${course.code} join request declined`,
+        message: approve
+          ? `Your request to join ${course.name} was approved`
+          : `Your request to join ${course.name} was declined`,
+        read: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      })),
+      ...(approve && requests.length > 0
+        ? [batch => batch.update(courseDoc.ref, { enrolledCount: admin.firestore.FieldValue.increment(requests.length) })]
+        : [])
+    ]);
+
+    requests.forEach(doc => invalidateStudentCache(doc.data().studentId));
+    if (approve) invalidateCourseCache(courseId);
+
+    const reviewed = new Set(requests.map(doc => doc.data().studentId));
+    res.json({
+      success: true,
+      decision,
+      reviewed: [...reviewed],
+      notPending: studentIds.filter(id => !reviewed.has(id))
+    });
+  } catch (error) {
+    console.error('Error reviewing join requests:', error);
+    res.status(500).json({ error: 'Failed to review join requests' });
+  }
+});
+
+// List enrolled students for a course (faculty view)
+app.get('/api/faculty/course/:courseId/students', verifyToken, requireRole('faculty'), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const sessionId = req.query.sessionId; // optional: provide session to include present status
+
+    // Verify requesting user is on the course staff
+    const courseDoc = await loadCourseForUser(req, res, courseId, 'roster.view');
+    if (!courseDoc) return;
+
+    // Get enrollments
+    const enrollmentsSnapshot = await db.collection('enrollments')
+      .where('courseId', '==', courseId)
+      .where('isActive', '==', true)
+      .get();
+
+    const studentIds = enrollmentsSnapshot.docs.map(d => d.data().studentId);
+    const students = [];
+    for (const sid of studentIds) {
+      const sDoc = await db.collection('students').doc(sid).get();
+      if (sDoc.exists) {
+        students.push({ id: sid, ...sDoc.data() });
+      }
+    }
+
+    let presentSet = new Set();
+    if (sessionId) {
+      const attendanceSnapshot = await db.collection('attendance')
+        .where('sessionId', '==', sessionId)
+        .where('status', '==', 'present')
+        .get();
+      presentSet = new Set(attendanceSnapshot.docs.map(d => d.data().studentId));
+    }
+
+    const result = students.map(s => ({
+      id: s.id,
+      name: s.name || 'Unknown',
+      rollNo: s.rollNo || s.rollNumber || 'N/A',
+      present: presentSet.has(s.id)
+    }));
+
+    res.json({ success: true, students: result });
+  } catch (error) {
+    console.error('Error listing enrolled students:', error);
+    res.status(500).json({ error: 'Failed to list enrolled students' });
+  }
+});
+
+// Manual attendance marking for a session
+app.post('/api/faculty/session/:sessionId/manual-attendance', verifyToken, requireRole('faculty'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { presentStudentIds, reason } = req.body; // array of student IDs marked present
+    if (!Array.isArray(presentStudentIds)) {
+      return res.status(400).json({ error: 'presentStudentIds must be an array' });
+    }
+    if (reason !== undefined && typeof reason !== 'string') {
+      return res.status(400).json({ error: 'reason must be a string' });
+    }
+
+    // Verify session exists and the caller may mark attendance on its course
+    const loaded = await loadSessionForUser(req, res, sessionId, 'attendance.manual');
+    if (!loaded) return;
+    const { sessionDoc } = loaded;
+    const session = sessionDoc.data();
+
+    // Fetch current present attendees
+    const currentSnapshot = await db.collection('attendance')
+      .where('sessionId', '==', sessionId)
+      .get();
+
+    const currentPresentIds = new Set(
+      currentSnapshot.docs
+        .filter(d => d.data().status === 'present')
+        .map(d => d.data().studentId)
+    );
+
+    // Determine adds and removals
+    const newPresentSet = new Set(presentStudentIds);
+    const toAdd = presentStudentIds.filter(id => !currentPresentIds.has(id));
+    const toRemove = Array.from(currentPresentIds).filter(id => !newPresentSet.has(id));
+
+    const audit = change => attendanceAuditOp({
+      sessionId,
+      courseId: session.courseId,
+      changedBy: req.user.uid,
+      source: 'manual',
+      reason,
+      ...change
+    });
+    const operations = [];
+
+    // Apply additions (flip an existing absent record, otherwise create one)
+    for (const studentId of toAdd) {
+      const existing = currentSnapshot.docs.find(d => d.data().studentId === studentId);
+      if (existing) {
+        operations.push(batch => batch.update(existing.ref, {
+          status: 'present',
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          markedBy: 'faculty',
+          manual: true
+        }));
+        operations.push(audit({ attendanceId: existing.id, studentId, previousStatus: existing.data().status, newStatus: 'present' }));
+        continue;
+      }
+      const attendanceRef = db.collection('attendance').doc(attendanceDocId(sessionId, studentId));
+      operations.push(batch => batch.set(attendanceRef, {
+        sessionId,
+        courseId: session.courseId,
+        studentId,
+        status: 'present',
+        markedAt: admin.firestore.FieldValue.serverTimestamp(),
+        markedBy: 'faculty',
+        locationVerified: false,
+        manual: true
+      }));
+      operations.push(audit({ attendanceId: attendanceRef.id, studentId, newStatus: 'present' }));
+    }
+
+    // Apply removals (mark as absent)
+    for (const studentId of toRemove) {
+      const existing = currentSnapshot.docs.find(d => d.data().studentId === studentId && d.data().status === 'present');
+      if (existing) {
+        operations.push(batch => batch.update(existing.ref, {
+          status: 'absent',
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          markedBy: 'faculty',
+          manual: true
+        }));
+        operations.push(audit({ attendanceId: existing.id, studentId, previousStatus: 'present', newStatus: 'absent' }));
+      }
+    }
+    await commitInBatches(operations);
+
+    // Update presentCount delta
+    const delta = toAdd.length - toRemove.length;
+    if (delta !== 0) {
+      await db.collection('sessions').doc(sessionId).update({
+        presentCount: admin.firestore.FieldValue.increment(delta)
+      });
+    }
+
+    // Corrections to a closed session flow into the analytics summaries
+    if (!session.isActive) {
+      await refreshSessionSummary(sessionId);
+    }
+
+    res.json({ success: true, added: toAdd.length, removed: toRemove.length });
+  } catch (error) {
+    console.error('Error in manual attendance:', error);
+    res.status(500).json({ error: 'Failed to save manual attendance' });
+  }
+});
+
+// ============================================
+// LIVE ATTENDANCE STREAM
+// ============================================
+
+const STREAM_HEARTBEAT_MS = 25000; // below the idle timeout of the proxies in front of the server
+const STREAM_RETRY_MS = 3000;
+const MAX_STREAMS_PER_USER = 5; // each stream holds Firestore listeners open; a few projector tabs is plenty
+const openStreams = new Map(); // uid -> number of open streams
+
+// EventSource cannot send an Authorization header, so the stream also takes the ID token as ?token=
+function tokenFromQuery(req, res, next) {
+  if (!req.headers.authorization && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+}
+
+// Event name for an attendance change: a student's own scan, a faculty or system mark, or a later update
+// (flags, reviews) to a scanned record
+function attendanceEventName(data, added) {
+  if (data.markedBy === 'student') return added ? 'join' : 'update';
+  return 'manual';
+}
+
+// Server-Sent Events for the projector screen, in place of polling the attendance route.
+// Events: snapshot (all attendees on every connect), join, manual, update, session (state changes),
+// qr (rotations, only for staff who can run the session), and stop or stream_error, after which the
+// stream ends (stream_error, not error, which EventSource already fires for connection problems).
+// Event ids are increasing millisecond timestamps and keep increasing across reconnects (the browser
+// sends Last-Event-ID). A reconnect gets a fresh snapshot to replace the client's list, since records
+// removed or changed while it was away can't be told apart from the ones it already has.
+app.get('/api/faculty/session/:sessionId/stream', tokenFromQuery, verifyToken, requireRole('faculty'), async (req, res) => {
+  const { sessionId } = req.params;
+  const { uid } = req.user;
+  const streamCount = openStreams.get(uid) || 0;
+  if (streamCount >= MAX_STREAMS_PER_USER) {
+    return res.status(429).json({
+      error: `At most ${MAX_STREAMS_PER_USER} live attendance screens can be open at once; close one and retry`,
+      code: 'TOO_MANY_STREAMS'
+    });
+  }
+  openStreams.set(uid, streamCount + 1);
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    const count = (openStreams.get(uid) || 1) - 1;
+    if (count > 0) openStreams.set(uid, count);
+    else openStreams.delete(uid);
+  };
+
+  let loaded;
+  try {
+    loaded = await loadSessionForUser(req, res, sessionId, 'attendance.view');
+  } catch (error) {
+    release();
+    console.error('Error opening attendance stream:', error);
+    return res.status(500).json({ error: 'Failed to open attendance stream' });
+  }
+  if (!loaded) return release();
+  const canRunSession = hasCoursePermission(loaded.courseDoc.data(), req.user.uid, 'sessions.run');
+  let session = loaded.sessionDoc.data();
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+  let eventId = Number(req.headers['last-event-id']) || 0;
+  let closed = false;
+  const unsubscribers = [];
+  let qrTimer = null;
+  let qrStarted = false;
+
+  const send = (event, data) => {
+    if (closed) return;
+    eventId = Math.max(eventId + 1, Date.now());
+    res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    res.flush?.(); // compression() holds writes back until flushed
+  };
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    release();
+    clearInterval(heartbeat);
+    clearTimeout(qrTimer);
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+    res.end();
+  };
+  const fail = error => {
+    console.error('Attendance stream listener error:', error);
+    send('stream_error', { error: 'Live updates stopped; reconnect to resume' });
+    close();
+  };
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+    res.flush?.();
+  }, STREAM_HEARTBEAT_MS);
+  req.on('close', close);
+  if (req.socket.destroyed) return close(); // gone while the session was loading
+
+  // Rotating codes are pushed at each window boundary; a static code whenever activeQRs changes
+  const rotateQR = () => {
+    if (closed || sessionState(session) !== 'active') return;
+    const qr = currentRotatingQR(sessionId, session);
+    send('qr', qr);
+    const periodMs = qr.rotationSeconds * 1000;
+    qrTimer = setTimeout(rotateQR, periodMs - (Date.now() % periodMs) + 50);
+  };
+  const startQR = () => {
+    if (qrStarted || !canRunSession || sessionState(session) !== 'active') return;
+    qrStarted = true;
+    if (session.qrMode === 'rotating') {
+      rotateQR();
+      return;
+    }
+    unsubscribers.push(db.collection('activeQRs').doc(sessionId).onSnapshot(doc => {
+      if (!doc.exists) return;
+      const { createdAt, ...qrPayload } = doc.data();
+      send('qr', { qrData: JSON.stringify(qrPayload), qrPayload, expiresAt: qrPayload.expiresAt });
+    }, fail));
+  };
+
+  const ended = state => state === 'closed' || state === 'cancelled';
+  if (ended(sessionState(session))) {
+    send('stop', { sessionId, state: sessionState(session), presentCount: session.presentCount || 0 });
+    return close();
+  }
+
+  unsubscribers.push(loaded.sessionDoc.ref.onSnapshot(doc => {
+    const previous = sessionState(session);
+    session = doc.exists ? doc.data() : { state: 'cancelled' };
+    const state = sessionState(session);
+    if (ended(state)) {
+      send('stop', { sessionId, state, presentCount: session.presentCount || 0, totalStudents: session.totalStudents || 0 });
+      close();
+      return;
+    }
+    if (state !== previous) {
+      send('session', { sessionId, state, startTime: session.startTime, roomNumber: session.roomNumber });
+    }
+    startQR();
+  }, fail));
+
+  let initial = true;
+  unsubscribers.push(db.collection('attendance').where('sessionId', '==', sessionId).onSnapshot(snapshot => {
+    if (initial) {
+      initial = false;
+      const attendees = snapshot.docs.map(toAttendee);
+      send('snapshot', {
+        session: { id: sessionId, ...session },
+        attendees,
+        presentCount: attendees.filter(a => a.status === 'present').length,
+        totalAttendees: attendees.length
+      });
+      return;
+    }
+    snapshot.docChanges().forEach(change => {
+      if (change.type === 'removed') {
+        send('manual', { id: change.doc.id, studentId: change.doc.data().studentId, removed: true });
+        return;
+      }
+      send(attendanceEventName(change.doc.data(), change.type === 'added'), toAttendee(change.doc));
+    });
+  }, fail));
+});
+
+// ============================================
+// TIMETABLES & CLASHES
+// ============================================
+
+// Active courses reduced to the fields clash checks need
+async function getActiveCourseTimetables() {
+  const snapshot = await db.collection('courses')
+    .where('isActive', '==', true)
+    .select('code', 'name', 'facultyId', 'timetable')
+    .get();
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+// Clashes a course's timetable has with the same faculty's other courses and with other courses in the same rooms
+async function courseTimetableClashes(courseId, course) {
+  const slots = (await getActiveCourseTimetables())
+    .filter(other => other.id !== courseId)
+    .flatMap(other => courseSlots(other.id, other));
+  slots.push(...courseSlots(courseId, course));
+
+  const onlyThisCourse = new Set([courseId]);
+  return [
+    ...findClashes(slots, 'faculty', slot => slot.facultyId, onlyThisCourse),
+    ...findClashes(slots, 'room', slot => slot.roomId, onlyThisCourse)
+  ];
+}
+
+// Clashes across a student's active enrollments; with newCourse, only the ones it would introduce
+async function studentTimetableClashes(studentId, newCourse = null) {
+  const enrollmentsSnapshot = await db.collection('enrollments')
+    .where('studentId', '==', studentId)
+    .where('isActive', '==', true)
+    .get();
+  const courseIds = enrollmentsSnapshot.docs
+    .map(doc => doc.data().courseId)
+    .filter(id => id !== newCourse?.id);
+
+  const courseDocs = courseIds.length > 0
+    ? await db.getAll(...courseIds.map(id => db.collection('courses').doc(id)))
+    : [];
+  const slots = courseDocs
+    .filter(doc => doc.exists && doc.data().isActive !== false)
+    .flatMap(doc => courseSlots(doc.id, doc.data()));
+  if (newCourse) slots.push(...courseSlots(newCourse.id, newCourse));
+
+  return findClashes(slots, 'student', () => studentId, newCourse ? new Set([newCourse.id]) : null);
+}
+
+// Clashes across the student's enrolled courses
+app.get('/api/student/timetable/clashes', verifyToken, requireRole('student'), async (req, res) => {
+  try {
+    const clashes = await studentTimetableClashes(req.user.uid);
+    res.json({ success: true, clashes });
+  } catch (error) {
+    console.error('Error checking timetable clashes:', error);
+    res.status(500).json({ error: 'Failed to check timetable clashes' });
+  }
+});
+
+// Clashes between the faculty's own courses, and room clashes involving them
+app.get('/api/faculty/timetable/clashes', verifyToken, requireRole('faculty'), async (req, res) => {
+  try {
+    const courses = await getActiveCourseTimetables();
+    const ownCourseIds = new Set(courses.filter(course => courseRole(course, req.user.uid)).map(course => course.id));
+    const slots = courses.flatMap(course => courseSlots(course.id, course));
+
+    const clashes = [
+      ...findClashes(slots.filter(slot => ownCourseIds.has(slot.courseId)), 'faculty', slot => slot.facultyId),
+      ...findClashes(slots, 'room', slot => slot.roomId, ownCourseIds)
+    ];
+    res.json({ success: true, clashes });
+  } catch (error) {
+    console.error('Error checking timetable clashes:', error);
+    res.status(500).json({ error: 'Failed to check timetable clashes' });
+  }
+});
+
+// Institute-wide clash report. ?kind=faculty|room (default both), ?room= to check a single room
+app.get('/api/admin/timetable/clashes', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { kind, room } = req.query;
+    if (kind !== undefined && !['faculty', 'room'].includes(kind)) {
+      return res.status(400).json({ error: 'kind must be faculty or room' });
+    }
+
+    let slots = (await getActiveCourseTimetables()).flatMap(course => courseSlots(course.id, course));
+    if (room) {
+      slots = slots.filter(slot => slot.roomId === roomIdFor(room));
+    }
+
+    const clashes = [
+      ...(kind === 'room' || room ? [] : findClashes(slots, 'faculty', slot => slot.facultyId)),
+      ...(kind === 'faculty' ? [] : findClashes(slots, 'room', slot => slot.roomId))
+    ];
+    res.json({ success: true, clashes });
+  } catch (error) {
+    console.error('Error checking timetable clashes:', error);
+    res.status(500).json({ error: 'Failed to check timetable clashes' });
+  }
+});
+
+// Replace a course's timetable (same as editing the course with only { timetable })
+app.put('/api/faculty/courses/:courseId/timetable', verifyToken, requireRole('faculty'), (req, res) => {
+  req.body = { timetable: req.body?.timetable ?? null };
+  return updateCourse(req, res);
+});
+
+// ============================================
+// SCHEDULED SESSIONS
+// ============================================
+
+// Planned sessions of a course from its timetable between two dates, following the academic
+// calendar (holidays, exam blocks, day swaps) and skipping any extra holidays given.
+// Ids are deterministic (courseId_YYYYMMDD_HHMM) so regenerating never duplicates a slot.
+function planCourseSessions(courseId, course, from, to, holidays = new Set(), calendars = []) {
+  const planned = [];
+  const end = campusDayEnd(to);
+
+  for (let offset = 0, day = campusDayStart(from); day <= end; day = campusDayStart(from, ++offset)) {
+    const dateKey = campusDateKey(day);
+    const dayName = calendarDay(calendars, day).timetableDay;
+    if (!dayName || holidays.has(dateKey)) continue;
+
+    for (const slot of course.timetable || []) {
+      const times = slot.day === dayName ? slotMinutes(slot) : null;
+      if (!times) continue;
+      const start = new Date(day.getTime() + times.start * 60 * 1000);
+      const finish = new Date(day.getTime() + times.end * 60 * 1000);
+      const hhmm = formatClock(start).replace(':', '');
+
+      planned.push({
+        id: `${courseId}_${dateKey.replace(/-/g, '')}_${hhmm}`,
+        data: cleanObject({
+          courseId,
+          courseName: course.name,
+          courseCode: course.code,
+          facultyId: course.facultyId,
+          scheduledStart: admin.firestore.Timestamp.fromDate(start),
+          scheduledEnd: admin.firestore.Timestamp.fromDate(finish),
+          roomNumber: slot.room || undefined,
+          type: slot.type || undefined,
+          origin: 'timetable',
+          state: 'scheduled',
+          isActive: false,
+          presentCount: 0,
+          totalStudents: 0,
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
+        })
+      });
+    }
+  }
+  return planned;
+}
+
+// Materialise planned sessions for a course. Past days are never planned, sessions that were
+// started or cancelled are left alone, planned sessions whose slot changed room, end time or type
+// are updated, and planned sessions no longer on the timetable are removed (moved and extra
+// classes are kept).
+async function generateScheduledSessions(courseId, course, { from, to, holidays } = {}) {
+  const today = campusDayStart();
+  const start = from && from > today ? campusDayStart(from) : today;
+  const end = campusDayEnd(to);
+  if (start > end) return { created: 0, updated: 0, removed: 0, unchanged: 0 };
+
+  const planned = planCourseSessions(courseId, course, start, end, holidays, await getAcademicCalendars());
+  const existingSnapshot = await db.collection('sessions')
+    .where('courseId', '==', courseId)
+    .where('scheduledStart', '>=', admin.firestore.Timestamp.fromDate(start))
+    .where('scheduledStart', '<=', admin.firestore.Timestamp.fromDate(end))
+    .get();
+  const existing = new Map(existingSnapshot.docs.map(doc => [doc.id, doc]));
+  const plannedIds = new Set(planned.map(session => session.id));
+  const isTimetablePlan = doc => sessionState(doc.data()) === 'scheduled' && doc.data().origin === 'timetable';
+
+  const toCreate = planned.filter(session => !existing.has(session.id));
+  const toUpdate = planned.filter(session => {
+    const doc = existing.get(session.id);
+    if (!doc || !isTimetablePlan(doc)) return false;
+    const current = doc.data();
+    return (current.roomNumber || null) !== (session.data.roomNumber || null) ||
+      (current.type || null) !== (session.data.type || null) ||
+      current.scheduledEnd?.toMillis() !== session.data.scheduledEnd.toMillis();
+  });
+  const toRemove = existingSnapshot.docs.filter(doc => !plannedIds.has(doc.id) && isTimetablePlan(doc));
+
+  const { FieldValue } = admin.firestore;
+  await commitInBatches([
+    ...toCreate.map(session => batch => batch.set(db.collection('sessions').doc(session.id), session.data)),
+    ...toUpdate.map(session => batch => batch.update(existing.get(session.id).ref, {
+      roomNumber: session.data.roomNumber || FieldValue.delete(),
+      type: session.data.type || FieldValue.delete(),
+      scheduledEnd: session.data.scheduledEnd
+    })),
+    ...toRemove.map(doc => batch => batch.delete(doc.ref))
+  ]);
+
+  return {
+    created: toCreate.length,
+    updated: toUpdate.length,
+    removed: toRemove.length,
+    unchanged: planned.length - toCreate.length - toUpdate.length
+  };
+}
+
+// Keep planned sessions in step with an academic calendar change. Days from today on whose
+// timetable changed (a new holiday or exam block, a day swap, moved semester dates) lose their
+// planned classes, and courses that already plan from the timetable get the classes those days
+// now run. Started, cancelled, moved and extra sessions are left alone.
+async function replanCalendarChange(before, after, ranges) {
+  const today = campusDateKey(new Date());
+  const firstKey = ranges.map(range => range.startDate).sort()[0];
+  const lastKey = ranges.map(range => range.endDate).sort().pop();
+  const first = dateFromKey(firstKey > today ? firstKey : today);
+  const last = campusDayEnd(dateFromKey(lastKey));
+
+  const changedDays = new Map(); // YYYY-MM-DD -> campus midnight
+  for (let offset = 0, day = first; day <= last; day = campusDayStart(first, ++offset)) {
+    if (calendarDay(before, day).timetableDay !== calendarDay(after, day).timetableDay) {
+      changedDays.set(campusDateKey(day), day);
+    }
+  }
+  if (changedDays.size === 0) return { removed: 0, created: 0 };
+
+  const plannedSnapshot = await db.collection('sessions')
+    .where('origin', '==', 'timetable')
+    .where('state', '==', 'scheduled')
+    .where('scheduledStart', '>=', admin.firestore.Timestamp.fromDate(first))
+    .where('scheduledStart', '<=', admin.firestore.Timestamp.fromDate(last))
+    .get();
+
+  const courseIds = [...new Set(plannedSnapshot.docs.map(doc => doc.data().courseId))];
+  const courseDocs = courseIds.length > 0
+    ? await db.getAll(...courseIds.map(id => db.collection('courses').doc(id)))
+    : [];
+  const withinSemester = (course, day) =>
+    (!course.semesterStartDate || toDate(course.semesterStartDate) <= day) &&
+    (!course.semesterEndDate || day <= toDate(course.semesterEndDate));
+  const planned = courseDocs
+    .filter(doc => doc.exists && doc.data().isActive !== false)
+    .flatMap(doc => [...changedDays.values()]
+      .filter(day => withinSemester(doc.data(), day))
+      .flatMap(day => planCourseSessions(doc.id, doc.data(), day, day, new Set(), after)));
+  const plannedIds = new Set(planned.map(session => session.id));
+
+  const toRemove = plannedSnapshot.docs.filter(doc =>
+    changedDays.has(campusDateKey(toDate(doc.data().scheduledStart))) && !plannedIds.has(doc.id)
+  );
+  // Ids are deterministic, so a slot can land on a session that was already started or cancelled
+  const replannable = new Set(plannedSnapshot.docs.map(doc => doc.id));
+  const existing = planned.length > 0
+    ? await db.getAll(...planned.map(session => db.collection('sessions').doc(session.id)))
+    : [];
+  const toCreate = planned.filter((session, index) => !existing[index].exists || replannable.has(session.id));
+
+  await commitInBatches([
+    ...toCreate.map(session => batch => batch.set(db.collection('sessions').doc(session.id), session.data)),
+    ...toRemove.map(doc => batch => batch.delete(doc.ref))
+  ]);
+  return { removed: toRemove.length, created: toCreate.length };
+}
+
+// The planned session of a course that is due now (starts within 15 minutes or is under way)
+async function findDuePlannedSession(courseId, now = new Date()) {
+  const dayStart = campusDayStart(now);
+  const snapshot = await db.collection('sessions')
+    .where('courseId', '==', courseId)
+    .where('state', '==', 'scheduled')
+    .where('scheduledStart', '>=', admin.firestore.Timestamp.fromDate(dayStart))
+    .where('scheduledStart', '<=', admin.firestore.Timestamp.fromDate(new Date(now.getTime() + 15 * 60 * 1000)))
+    .get();
+  return snapshot.docs.find(doc => toDate(doc.data().scheduledEnd) >= now) || null;
+}
+
+// Validate the planning window and extra holidays of a schedule request. Falls back to the
+// course's semester dates, then to the current semester on the academic calendar.
+function parseScheduleRequest(body, course, calendars) {
+  const semester = semesterFor(calendars, new Date());
+  const from = body.startDate !== undefined
+    ? parseDateInput(body.startDate)
+    : toDate(course.semesterStartDate) || (semester && dateFromKey(semester.startDate));
+  const to = body.endDate !== undefined
+    ? parseDateInput(body.endDate)
+    : toDate(course.semesterEndDate) || (semester && dateFromKey(semester.endDate));
+  if (!from || !to) {
+    return { error: 'startDate and endDate are required (YYYY-MM-DD) unless the course or academic calendar has semester dates' };
+  }
+  if (from > to) {
+    return { error: 'startDate must be on or before endDate' };
+  }
+  const holidays = body.holidays ?? [];
+  if (!Array.isArray(holidays) || holidays.some(day => !parseCalendarDate(day))) {
+    return { error: 'holidays must be an array of dates (YYYY-MM-DD)' };
+  }
+  return { from, to, holidays: new Set(holidays.map(parseCalendarDate)) };
+}
+
+// Plan the semester's sessions for a course from its timetable
+app.post('/api/faculty/courses/:courseId/schedule/generate', verifyToken, requireRole('faculty'), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const courseDoc = await loadCourseForUser(req, res, courseId, 'course.edit');
+    if (!courseDoc) return;
+
+    const course = courseDoc.data();
+    if (course.isActive === false) {
+      return res.status(400).json({ error: 'Cannot schedule sessions for an archived course' });
+    }
+    if (!Array.isArray(course.timetable) || course.timetable.length === 0) {
+      return res.status(400).json({ error: 'Course has no timetable to schedule from' });
+    }
+
+    const range = parseScheduleRequest(req.body || {}, course, await getAcademicCalendars());
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const result = await generateScheduledSessions(courseId, course, range);
+    res.json({ success: true, courseId, ...result });
+  } catch (error) {
+    console.error('Error generating scheduled sessions:', error);
+    res.status(500).json({ error: 'Failed to generate scheduled sessions' });
+  }
+});
+
+// Plan sessions for every active course with a timetable (or one course with { courseId })
+app.post('/api/admin/schedule/generate', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { courseId } = req.body || {};
+    const courseDocs = courseId
+      ? [await db.collection('courses').doc(courseId).get()].filter(doc => doc.exists)
+      : (await db.collection('courses').where('isActive', '==', true).get()).docs;
+    if (courseId && courseDocs.length === 0) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    const calendars = await getAcademicCalendars();
+    const results = [];
+    for (const courseDoc of courseDocs) {
+      const course = courseDoc.data();
+      if (course.isActive === false || !Array.isArray(course.timetable) || course.timetable.length === 0) {
+        results.push({ courseId: courseDoc.id, skipped: 'no timetable' });
+        continue;
+      }
+      const range = parseScheduleRequest(req.body || {}, course, calendars);
+      if (range.error) {
+        results.push({ courseId: courseDoc.id, skipped: range.error });
+        continue;
+      }
+      results.push({ courseId: courseDoc.id, ...await generateScheduledSessions(courseDoc.id, course, range) });
+    }
+
+    const created = results.reduce((sum, result) => sum + (result.created || 0), 0);
+    await logAdminAction(req, 'schedule.generate', 'course', courseId || 'all', { courses: results.length, created });
+
+    res.json({ success: true, created, courses: results });
+  } catch (error) {
+    console.error('Error generating scheduled sessions:', error);
+    res.status(500).json({ error: 'Failed to generate scheduled sessions' });
+  }
+});
+
+// Cancelled, moved and extra sessions of some courses between two dates
+async function getScheduleChanges(courseIds, from, to) {
+  const changes = [];
+  for (const batch of chunkArray(courseIds, 10)) {
+    const snapshot = await db.collection('sessions')
+      .where('courseId', 'in', batch)
+      .where('scheduledStart', '>=', admin.firestore.Timestamp.fromDate(from))
+      .where('scheduledStart', '<', admin.firestore.Timestamp.fromDate(to))
+      .get();
+    changes.push(...snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(session => session.state === 'cancelled' || session.origin !== 'timetable'));
+  }
+  return changes;
+}
+
+// Resolve a timetable occurrence: a planned session by id, or the slot starting at `time` on `date`
+// (materialised on the spot when the schedule hasn't been generated that far)
+async function resolveOccurrence(courseId, course, { sessionId, date, time }) {
+  if (sessionId) {
+    const sessionDoc = await db.collection('sessions').doc(sessionId).get();
+    if (!sessionDoc.exists || sessionDoc.data().courseId !== courseId) {
+      return { status: 404, error: 'Session not found' };
+    }
+    return { sessionDoc };
+  }
+
+  const dateKey = parseCalendarDate(date);
+  const start = parseClockTime(String(time || '').split('-')[0]);
+  if (!dateKey || start === null) {
+    return { status: 400, error: 'sessionId, or date (YYYY-MM-DD) and time of the timetable slot, is required' };
+  }
+  const day = dateFromKey(dateKey);
+  const occurrence = planCourseSessions(courseId, course, day, day, new Set(), await getAcademicCalendars())
+    .find(planned => {
+      const plannedStart = toDate(planned.data.scheduledStart);
+      return campusParts(plannedStart).minutes === start;
+    });
+  if (!occurrence) {
+    return { status: 404, error: `No ${course.code} class on the timetable at ${time} on ${dateKey}` };
+  }
+
+  const sessionRef = db.collection('sessions').doc(occurrence.id);
+  let sessionDoc = await sessionRef.get();
+  if (!sessionDoc.exists) {
+    await sessionRef.set(occurrence.data);
+    sessionDoc = await sessionRef.get();
+  }
+  return { sessionDoc };
+}
+
+// Start and end of a new class from { date, time: "HH:MM-HH:MM" }
+function parseClassSlot(date, time) {
+  const dateKey = parseCalendarDate(date);
+  const times = slotMinutes({ time });
+  if (!dateKey || !times) return null;
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const start = campusTime(year, month, day, times.start);
+  const end = campusTime(year, month, day, times.end);
+  return end > start ? { start, end } : null;
+}
+
+// Why no class can be held on a date (holiday, exam block, outside the semester), or null on a teaching day
+async function nonTeachingDayError(date) {
+  const day = calendarDay(await getAcademicCalendars(), date);
+  if (day.timetableDay) return null;
+  if (day.reason === 'holiday') return `${day.date} is a holiday${day.label ? ` (${day.label})` : ''}`;
+  if (day.reason === 'exam') return `${day.date} falls in the ${day.label} exam block`;
+  return `${day.date} is outside the semester`;
+}
+
+// Post a feed entry to every student actively enrolled in a course
+async function notifyCourseStudents(courseId, entry) {
+  const enrollmentsSnapshot = await db.collection('enrollments')
+    .where('courseId', '==', courseId)
+    .where('isActive', '==', true)
+    .get();
+  const studentIds = enrollmentsSnapshot.docs.map(doc => doc.data().studentId);
+
+  await commitInBatches(studentIds.map(studentId => batch => batch.set(db.collection('studentFeed').doc(), cleanObject({
+    ...entry,
+    studentId,
+    courseId,
+    read: false,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  }))));
+  invalidateCourseCache(courseId);
+  return studentIds.length;
+}
+
+// Human-readable "Mon 20 Oct, 10:00" for feed messages
+function describeClassTime(date) {
+  return `${date.toLocaleDateString('en-US', { weekday: 'short', day: 'numeric', month: 'short', timeZone: CAMPUS_TIME_ZONE })}, ${formatClock(date)}`;
+}
+
+// Cancel a class: { sessionId } or { date, time } of a timetable slot, optional reason
+app.post('/api/faculty/courses/:courseId/occurrences/cancel', verifyToken, requireRole('faculty'), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { reason } = req.body || {};
+    const courseDoc = await loadCourseForUser(req, res, courseId, 'course.edit');
+    if (!courseDoc) return;
+    const course = courseDoc.data();
+
+    const { sessionDoc, status, error } = await resolveOccurrence(courseId, course, req.body || {});
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    const state = sessionState(sessionDoc.data());
+    if (state !== 'scheduled') {
+      return res.status(400).json({ error: `Only scheduled classes can be cancelled; this one is ${state}` });
+    }
+
+    await sessionDoc.ref.update(cleanObject({
+      state: 'cancelled',
+      cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+      cancelledBy: req.user.uid,
+      cancelReason: reason || undefined
+    }));
+
+    const start = toDate(sessionDoc.data().scheduledStart);
+    const notified = await notifyCourseStudents(courseId, cleanObject({
+      type: 'class.cancelled',
+      sessionId: sessionDoc.id,
+      courseCode: course.code,
+      courseName: course.name,
+      title: `${course.code} class cancelled`,
+      message: `${course.name} on ${describeClassTime(start)} is cancelled${reason ? `: ${reason}` : ''}`,
+      date: campusDateKey(start)
+    }));
+
+    res.json({ success: true, sessionId: sessionDoc.id, state: 'cancelled', notified });
+  } catch (error) {
+    console.error('Error cancelling class:', error);
+    res.status(500).json({ error: 'Failed to cancel class' });
+  }
+});
+
+// Move a class to another slot and/or room: { sessionId } or { date, time }, plus toDate, toTime, room, reason
+app.post('/api/faculty/courses/:courseId/occurrences/move', verifyToken, requireRole('faculty'), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { toDate: targetDate, toTime, room, reason } = req.body || {};
+    if (targetDate === undefined && toTime === undefined && room === undefined) {
+      return res.status(400).json({ error: 'Provide toDate, toTime and/or room' });
+    }
+    const courseDoc = await loadCourseForUser(req, res, courseId, 'course.edit');
+    if (!courseDoc) return;
+    const course = courseDoc.data();
+
+    const { sessionDoc, status, error } = await resolveOccurrence(courseId, course, req.body || {});
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    const original = sessionDoc.data();
+    const state = sessionState(original);
+    if (state !== 'scheduled') {
+      return res.status(400).json({ error: `Only scheduled classes can be moved; this one is ${state}` });
+    }
+
+    const originalStart = toDate(original.scheduledStart);
+    const originalEnd = toDate(original.scheduledEnd);
+    const slot = parseClassSlot(
+      targetDate ?? campusDateKey(originalStart),
+      toTime ?? `${formatClock(originalStart)}-${formatClock(originalEnd)}`
+    );
+    if (!slot) {
+      return res.status(400).json({ error: 'toDate must be YYYY-MM-DD and toTime like 10:00-11:00' });
+    }
+    if (slot.start <= new Date()) {
+      return res.status(400).json({ error: 'Classes can only be moved to a future slot' });
+    }
+    const sameSlot = slot.start.getTime() === originalStart.getTime() && slot.end.getTime() === originalEnd.getTime();
+    const dayError = sameSlot ? null : await nonTeachingDayError(slot.start);
+    if (dayError) {
+      return res.status(400).json({ error: `Cannot move the class there: ${dayError}` });
+    }
+    const roomNumber = room === undefined ? original.roomNumber : String(room).trim() || undefined;
+
+    let movedSessionId = sessionDoc.id;
+    if (sameSlot) {
+      // Room change only: the class stays where it is on the schedule
+      await sessionDoc.ref.update({
+        roomNumber: roomNumber ?? admin.firestore.FieldValue.delete(),
+        roomChangedFrom: original.roomNumber || null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    } else {
+      const movedRef = db.collection('sessions').doc();
+      movedSessionId = movedRef.id;
+      await commitInBatches([
+        batch => batch.update(sessionDoc.ref, cleanObject({
+          state: 'cancelled',
+          cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+          cancelledBy: req.user.uid,
+          cancelReason: reason || undefined,
+          movedTo: movedRef.id
+        })),
+        batch => batch.set(movedRef, cleanObject({
+          courseId,
+          courseName: original.courseName,
+          courseCode: original.courseCode,
+          facultyId: original.facultyId,
+          scheduledStart: admin.firestore.Timestamp.fromDate(slot.start),
+          scheduledEnd: admin.firestore.Timestamp.fromDate(slot.end),
+          roomNumber,
+          type: original.type,
+          origin: 'moved',
+          movedFrom: sessionDoc.id,
+          state: 'scheduled',
+          isActive: false,
+          presentCount: 0,
+          totalStudents: 0,
+          createdBy: req.user.uid,
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
+        }))
+      ]);
+    }
+
+    const notified = await notifyCourseStudents(courseId, cleanObject({
+      type: 'class.moved',
+      sessionId: movedSessionId,
+      courseCode: course.code,
+      courseName: course.name,
+      title: `${course.code} class moved`,
+      message: `${course.name} on ${describeClassTime(originalStart)} moves to ${describeClassTime(slot.start)}` +
+        `${roomNumber ? ` in ${roomNumber}` : ''}${reason ? `: ${reason}` : ''}`,
+      date: campusDateKey(slot.start)
+    }));
+
+    res.json({ success: true, sessionId: movedSessionId, movedFrom: sameSlot ? undefined : sessionDoc.id, notified });
+  } catch (error) {
+    console.error('Error moving class:', error);
+    res.status(500).json({ error: 'Failed to move class' });
+  }
+});
+
+// Add an extra class: { date, time: "HH:MM-HH:MM", room, type, reason }
+app.post('/api/faculty/courses/:courseId/occurrences/extra', verifyToken, requireRole('faculty'), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { date, time, room, type, reason } = req.body || {};
+    const slot = parseClassSlot(date, time);
+    if (!slot) {
+      return res.status(400).json({ error: 'date (YYYY-MM-DD) and time (like 10:00-11:00) are required' });
+    }
+    if (slot.start <= new Date()) {
+      return res.status(400).json({ error: 'Extra classes must be in the future' });
+    }
+
+    const courseDoc = await loadCourseForUser(req, res, courseId, 'course.edit');
+    if (!courseDoc) return;
+    const course = courseDoc.data();
+    if (course.isActive === false) {
+      return res.status(400).json({ error: 'Cannot schedule classes for an archived course' });
+    }
+    const dayError = await nonTeachingDayError(slot.start);
+    if (dayError) {
+      return res.status(400).json({ error: `Cannot add an extra class: ${dayError}` });
+    }
+
+    const sessionData = cleanObject({
+      courseId,
+      courseName: course.name,
+      courseCode: course.code,
+      facultyId: course.facultyId,
+      scheduledStart: admin.firestore.Timestamp.fromDate(slot.start),
+      scheduledEnd: admin.firestore.Timestamp.fromDate(slot.end),
+      roomNumber: room ? String(room).trim() : undefined,
+      type: type || undefined,
+      origin: 'extra',
+      reason: reason || undefined,
+      state: 'scheduled',
+      isActive: false,
+      presentCount: 0,
+      totalStudents: 0,
+      createdBy: req.user.uid,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    const sessionRef = await db.collection('sessions').add(sessionData);
+
+    const notified = await notifyCourseStudents(courseId, cleanObject({
+      type: 'class.extra',
+      sessionId: sessionRef.id,
+      courseCode: course.code,
+      courseName: course.name,
+      title: `Extra ${course.code} class`,
+      message: `Extra ${course.name} class on ${describeClassTime(slot.start)}` +
+        `${sessionData.roomNumber ? ` in ${sessionData.roomNumber}` : ''}${reason ? `: ${reason}` : ''}`,
+      date: campusDateKey(slot.start)
+    }));
+
+    res.json({ success: true, sessionId: sessionRef.id, session: { id: sessionRef.id, ...sessionData }, notified });
+  } catch (error) {
+    console.error('Error adding extra class:', error);
+    res.status(500).json({ error: 'Failed to add extra class' });
+  }
+});
+
+// Student feed (class changes for enrolled courses), newest first
+app.get('/api/student/feed', verifyToken, requireRole('student'), async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const snapshot = await db.collection('studentFeed')
+      .where('studentId', '==', req.user.uid)
+      .orderBy('createdAt', 'desc')
+      .limit(limit)
+      .get();
+
+    const entries = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    res.json({ success: true, entries, unread: entries.filter(entry => !entry.read).length });
+  } catch (error) {
+    console.error('Error fetching feed:', error);
+    res.status(500).json({ error: 'Failed to fetch feed' });
+  }
+});
+
+// Mark feed entries read ({ ids }; all unread entries when omitted)
+app.post('/api/student/feed/read', verifyToken, requireRole('student'), async (req, res) => {
+  try {
+    const { ids } = req.body || {};
+    let entryDocs;
+    if (Array.isArray(ids)) {
+      const docs = ids.length > 0 ? await db.getAll(...ids.map(id => db.collection('studentFeed').doc(String(id)))) : [];
+      entryDocs = docs.filter(doc => doc.exists && doc.data().studentId === req.user.uid && !doc.data().read);
+    } else {
+      entryDocs = (await db.collection('studentFeed')
+        .where('studentId', '==', req.user.uid)
+        .where('read', '==', false)
+        .get()).docs;
+    }
+
+    await commitInBatches(entryDocs.map(doc => batch => batch.update(doc.ref, { read: true })));
+    res.json({ success: true, marked: entryDocs.length });
+  } catch (error) {
+    console.error('Error marking feed read:', error);
+    res.status(500).json({ error: 'Failed to update feed' });
+  }
+});
+
+// ============================================
+// LEAVE REQUESTS
+// ============================================
+
+const MAX_LEAVE_DAYS = 30;
+
+// Submit a leave / medical excuse request
+app.post('/api/student/leave-requests', verifyToken, requireRole('student'), async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { reason, documentRef, courseIds } = req.body || {};
+    let fromDate = parseDateInput(req.body?.fromDate);
+    let toDateInput = parseDateInput(req.body?.toDate);
+
+    if (!fromDate || !toDateInput) {
+      return res.status(400).json({ error: 'fromDate and toDate are required (YYYY-MM-DD)' });
+    }
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ error: 'reason is required' });
+    }
+    if (courseIds !== undefined && (!Array.isArray(courseIds) || courseIds.length === 0)) {
+      return res.status(400).json({ error: 'courseIds must be a non-empty array' });
+    }
+
+    fromDate = campusDayStart(fromDate);
+    toDateInput = campusDayEnd(toDateInput);
+    if (fromDate > toDateInput) {
+      return res.status(400).json({ error: 'fromDate must be on or before toDate' });
+    }
+    if ((toDateInput - fromDate) / 86400000 > MAX_LEAVE_DAYS) {
+      return res.status(400).json({ error: `Leave requests can cover at most ${MAX_LEAVE_DAYS} days` });
+    }
+
+    // Affected courses default to every active enrollment
+    const enrollmentsSnapshot = await db.collection('enrollments')
+      .where('studentId', '==', userId)
+      .where('isActive', '==', true)
+      .get();
+    const enrolledIds = new Set(enrollmentsSnapshot.docs.map(doc => doc.data().courseId));
+    const affectedCourseIds = courseIds ? [...new Set(courseIds)] : [...enrolledIds];
+
+    if (affectedCourseIds.length === 0) {
+      return res.status(400).json({ error: 'You are not enrolled in any course' });
+    }
+    const notEnrolled = affectedCourseIds.filter(id => !enrolledIds.has(id));
+    if (notEnrolled.length > 0) {
+      return res.status(400).json({ error: 'You are not enrolled in some of the selected courses', courseIds: notEnrolled });
+    }
+
+    const studentDoc = await db.collection('students').doc(userId).get();
+    const student = studentDoc.exists ? studentDoc.data() : {};
+
+    const leaveData = cleanObject({
+      studentId: userId,
+      studentName: student.name || 'Unknown',
+      studentRollNo: student.rollNo || 'N/A',
+      fromDate: admin.firestore.Timestamp.fromDate(fromDate),
+      toDate: admin.firestore.Timestamp.fromDate(toDateInput),
+      reason: reason.trim(),
+      documentRef,
+      courseIds: affectedCourseIds,
+      decisions: {},
+      status: 'pending',
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    const leaveRef = await db.collection('leaveRequests').add(leaveData);
+
+    res.json({ success: true, leaveRequest: { id: leaveRef.id, ...leaveData } });
+  } catch (error) {
+    console.error('Error creating leave request:', error);
+    res.status(500).json({ error: 'Failed to create leave request' });
+  }
+});
+
+// List the student's own leave requests
+app.get('/api/student/leave-requests', verifyToken, requireRole('student'), async (req, res) => {
+  try {
+    const snapshot = await db.collection('leaveRequests')
+      .where('studentId', '==', req.user.uid)
+      .orderBy('createdAt', 'desc')
+      .get();
+
+    const leaveRequests = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    res.json({ success: true, leaveRequests });
+  } catch (error) {
+    console.error('Error listing leave requests:', error);
+    res.status(500).json({ error: 'Failed to list leave requests' });
+  }
+});
+
+// Withdraw a request that nobody has reviewed yet
+app.post('/api/student/leave-requests/:leaveId/withdraw', verifyToken, requireRole('student'), async (req, res) => {
+  try {
+    const leaveRef = db.collection('leaveRequests').doc(req.params.leaveId);
+    const leaveDoc = await leaveRef.get();
+    if (!leaveDoc.exists) {
+      return res.status(404).json({ error: 'Leave request not found' });
+    }
+    const leave = leaveDoc.data();
+    if (leave.studentId !== req.user.uid) {
+      return forbidden(res, 'Not authorized for this leave request');
+    }
+    if (leave.status !== 'pending' || Object.keys(leave.decisions || {}).length > 0) {
+      return res.status(400).json({ error: 'Only unreviewed requests can be withdrawn' });
+    }
+
+    await leaveRef.update({
+      status: 'withdrawn',
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({ success: true, message: 'Leave request withdrawn' });
+  } catch (error) {
+    console.error('Error withdrawing leave request:', error);
+    res.status(500).json({ error: 'Failed to withdraw leave request' });
+  }
+});
+
+// Leave requests affecting the caller's courses (admins see all). ?status=pending|approved|rejected|partial|withdrawn|all
+app.get('/api/faculty/leave-requests', verifyToken, requireRole('faculty', 'admin'), async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    const isAdmin = getUserRole(req.user) === 'admin';
+
+    let leaveDocs = [];
+    let ownCourseIds = null;
+    if (isAdmin) {
+      let query = db.collection('leaveRequests');
+      if (status !== 'all') query = query.where('status', '==', status);
+      leaveDocs = (await query.get()).docs;
+    } else {
+      const courseDocs = await staffCourses(req.user.uid, 'requests.review');
+      ownCourseIds = new Set(courseDocs.map(doc => doc.id));
+
+      const seen = new Map();
+      for (const batch of chunkArray([...ownCourseIds], 10)) {
+        const snapshot = await db.collection('leaveRequests')
+          .where('courseIds', 'array-contains-any', batch)
+          .get();
+        snapshot.docs.forEach(doc => seen.set(doc.id, doc));
+      }
+      leaveDocs = [...seen.values()].filter(doc => status === 'all' || doc.data().status === status);
     }
 
-    // Check if already marked
-    const existingAttendance = await db.collection('attendance')
-      .where('sessionId', '==', payload.sessionId)
-      .where('studentId', '==', userId)
-      .limit(1)
-      .get();
+    const leaveRequests = leaveDocs
+      .map(doc => {
+        const leave = doc.data();
+        const reviewable = leave.courseIds.filter(id =>
+          (isAdmin || ownCourseIds.has(id)) && !leave.decisions?.[id]
+        );
+        return { id: doc.id, ...leave, reviewableCourseIds: leave.status === 'withdrawn' ? [] : reviewable };
+      })
+      .sort((a, b) => (toDate(b.createdAt) || 0) - (toDate(a.createdAt) || 0));
+
+    res.json({ success: true, leaveRequests });
+  } catch (error) {
+    console.error('Error listing leave requests for review:', error);
+    res.status(500).json({ error: 'Failed to list leave requests' });
+  }
+});
 
-    if (!existingAttendance.empty) {
-      return res.status(400).json({ error: 'Attendance already marked for this session' });
+// Approve or reject a leave request for the caller's courses (admins: any course)
+app.post('/api/faculty/leave-requests/:leaveId/review', verifyToken, requireRole('faculty', 'admin'), async (req, res) => {
+  try {
+    const { leaveId } = req.params;
+    const { decision, note, courseIds } = req.body || {};
+
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({ error: "decision must be 'approve' or 'reject'" });
     }
 
-    // Verify geolocation if required
-    let locationVerified = true;
-    let distanceFromClass = 0;
+    const leaveRef = db.collection('leaveRequests').doc(leaveId);
+    const leaveDoc = await leaveRef.get();
+    if (!leaveDoc.exists) {
+      return res.status(404).json({ error: 'Leave request not found' });
+    }
+    const leave = leaveDoc.data();
+    if (leave.status === 'withdrawn') {
+      return res.status(400).json({ error: 'Leave request was withdrawn' });
+    }
 
-    if (payload.location && latitude && longitude) {
-      distanceFromClass = calculateDistance(
-        latitude,
-        longitude,
-        payload.location.latitude,
-        payload.location.longitude
-      );
+    // Faculty decide only for courses where they review requests
+    let allowed = leave.courseIds;
+    if (getUserRole(req.user) !== 'admin') {
+      const courseDocs = await db.getAll(...leave.courseIds.map(id => db.collection('courses').doc(id)));
+      allowed = courseDocs
+        .filter(doc => doc.exists && hasCoursePermission(doc.data(), req.user.uid, 'requests.review'))
+        .map(doc => doc.id);
+      if (allowed.length === 0) {
+        return forbidden(res, 'Not authorized for this leave request');
+      }
+    }
 
-      const maxDistance = payload.location.radius || 1100; // Default 1100 meters (for indoor GPS inaccuracy)
-      locationVerified = distanceFromClass <= maxDistance;
+    // Faculty of different courses can review the same request at once, so the decisions are re-read,
+    // written per course and the overall status derived inside one transaction
+    const status = decision === 'approve' ? 'approved' : 'rejected';
+    const result = await db.runTransaction(async transaction => {
+      const current = (await transaction.get(leaveRef)).data();
+      if (current.status === 'withdrawn') {
+        return { error: 'Leave request was withdrawn' };
+      }
+      const targets = (Array.isArray(courseIds) ? courseIds.filter(id => allowed.includes(id)) : allowed)
+        .filter(id => !current.decisions?.[id]);
+      if (targets.length === 0) {
+        return { error: 'No undecided courses left to review on this request' };
+      }
 
-      if (!locationVerified) {
-        return res.status(400).json({
-          error: `You are too far from class location (${Math.round(distanceFromClass)}m away, max ${maxDistance}m allowed)`,
-          distance: Math.round(distanceFromClass),
-          maxDistance
+      const decisions = { ...(current.decisions || {}) };
+      const updates = {};
+      targets.forEach(courseId => {
+        decisions[courseId] = cleanObject({
+          status,
+          reviewedBy: req.user.uid,
+          reviewedAt: admin.firestore.Timestamp.now(),
+          note
         });
-      }
+        updates[`decisions.${courseId}`] = decisions[courseId];
+      });
+      const overallStatus = leaveStatusFromDecisions(current.courseIds, decisions);
+
+      transaction.update(leaveRef, {
+        ...updates,
+        status: overallStatus,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return { targets, overallStatus };
+    });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
     }
+    const { targets, overallStatus } = result;
 
-    // OPTIMIZED: Get student name with cache
-    let studentName = 'Unknown';
-    let studentRollNo = 'N/A';
-    const cachedStudent = studentCache.get(`student:${userId}`);
+    const excusedRecords = status === 'approved' ? await applyApprovedLeave(leaveId, leave, targets, req.user.uid) : 0;
 
-    if (cachedStudent) {
-      studentName = cachedStudent.name || 'Unknown';
-      studentRollNo = cachedStudent.rollNo || 'N/A';
-    } else {
-      const studentDoc = await db.collection('students').doc(userId).get();
-      if (studentDoc.exists) {
-        const studentData = studentDoc.data();
-        studentName = studentData.name || 'Unknown';
-        studentRollNo = studentData.rollNo || 'N/A';
-        studentCache.set(`student:${userId}`, studentData);
+    res.json({ success: true, status: overallStatus, reviewedCourseIds: targets, excusedRecords });
+  } catch (error) {
+    console.error('Error reviewing leave request:', error);
+    res.status(500).json({ error: 'Failed to review leave request' });
+  }
+});
+
+// ============================================
+// ATTENDANCE AUDIT & DISPUTES
+// ============================================
+
+const AUDIT_QUERY_LIMIT = 500;
+
+// Student's own attendance change history (?sessionId= to narrow to one session)
+app.get('/api/student/attendance-audit', verifyToken, requireRole('student'), async (req, res) => {
+  try {
+    let query = db.collection('attendanceAudit').where('studentId', '==', req.user.uid);
+    if (req.query.sessionId) {
+      query = query.where('sessionId', '==', req.query.sessionId);
+    }
+    const snapshot = await query.orderBy('createdAt', 'desc').limit(AUDIT_QUERY_LIMIT).get();
+
+    res.json({ success: true, entries: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })) });
+  } catch (error) {
+    console.error('Error fetching attendance audit:', error);
+    res.status(500).json({ error: 'Failed to fetch attendance history' });
+  }
+});
+
+// Attendance change history for a session (?sessionId=) or a student in a course (?courseId=&studentId=)
+app.get('/api/faculty/attendance-audit', verifyToken, requireRole('faculty', 'admin'), async (req, res) => {
+  try {
+    const { sessionId, courseId, studentId } = req.query;
+    const isAdmin = getUserRole(req.user) === 'admin';
+
+    let query = db.collection('attendanceAudit');
+    if (sessionId) {
+      if (isAdmin) {
+        const sessionDoc = await db.collection('sessions').doc(sessionId).get();
+        if (!sessionDoc.exists) {
+          return res.status(404).json({ error: 'Session not found' });
+        }
+      } else if (!await loadSessionForUser(req, res, sessionId, 'attendance.view')) {
+        return;
       }
+      query = query.where('sessionId', '==', sessionId);
+      if (studentId) query = query.where('studentId', '==', studentId);
+    } else if (courseId && studentId) {
+      if (isAdmin) {
+        const courseDoc = await db.collection('courses').doc(courseId).get();
+        if (!courseDoc.exists) {
+          return res.status(404).json({ error: 'Course not found' });
+        }
+      } else if (!await loadCourseForUser(req, res, courseId, 'attendance.view')) {
+        return;
+      }
+      query = query.where('studentId', '==', studentId).where('courseId', '==', courseId);
+    } else {
+      return res.status(400).json({ error: 'Provide sessionId, or courseId and studentId' });
     }
 
-    // OPTIMIZED: Denormalize student and course info in attendance record
-    const attendanceData = {
-      sessionId: payload.sessionId,
-      courseId: payload.courseId,
+    const snapshot = await query.orderBy('createdAt', 'desc').limit(AUDIT_QUERY_LIMIT).get();
+    res.json({ success: true, entries: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })) });
+  } catch (error) {
+    console.error('Error fetching attendance audit:', error);
+    res.status(500).json({ error: 'Failed to fetch attendance history' });
+  }
+});
+
+// Only sessions that are running or have taken place can be disputed (not planned or cancelled ones)
+const DISPUTABLE_SESSION_STATES = ['active', 'closed'];
+
+// Dispute a session's attendance record ("my scan failed but I was there")
+app.post('/api/student/attendance-disputes', verifyToken, requireRole('student'), async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { sessionId, reason, evidenceRef } = req.body || {};
+
+    if (!sessionId) {
+      return res.status(400).json({ error: 'sessionId is required' });
+    }
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ error: 'reason is required' });
+    }
+
+    const sessionDoc = await db.collection('sessions').doc(sessionId).get();
+    if (!sessionDoc.exists) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    const session = sessionDoc.data();
+    if (!DISPUTABLE_SESSION_STATES.includes(sessionState(session))) {
+      return res.status(400).json({ error: `Cannot dispute a ${sessionState(session)} session` });
+    }
+
+    const [enrollmentSnapshot, attendanceSnapshot, pendingSnapshot] = await Promise.all([
+      db.collection('enrollments')
+        .where('studentId', '==', userId)
+        .where('courseId', '==', session.courseId)
+        .where('isActive', '==', true)
+        .limit(1)
+        .get(),
+      db.collection('attendance')
+        .where('sessionId', '==', sessionId)
+        .where('studentId', '==', userId)
+        .limit(1)
+        .get(),
+      db.collection('attendanceDisputes')
+        .where('sessionId', '==', sessionId)
+        .where('studentId', '==', userId)
+        .where('status', '==', 'pending')
+        .limit(1)
+        .get()
+    ]);
+
+    if (enrollmentSnapshot.empty) {
+      return forbidden(res, 'You are not enrolled in this course');
+    }
+    const record = attendanceSnapshot.docs[0];
+    if (record?.data().status === 'present') {
+      return res.status(400).json({ error: 'You are already marked present for this session' });
+    }
+    if (!pendingSnapshot.empty) {
+      return res.status(400).json({ error: 'You already have a pending dispute for this session' });
+    }
+
+    const studentDoc = await db.collection('students').doc(userId).get();
+    const student = studentDoc.exists ? studentDoc.data() : {};
+
+    const disputeData = cleanObject({
+      sessionId,
+      courseId: session.courseId,
+      courseCode: session.courseCode || 'N/A',
+      facultyId: session.facultyId,
       studentId: userId,
-      studentName,  // Denormalized - eliminates future reads!
-      studentRollNo,  // Denormalized - eliminates future reads!
-      courseName: session.courseName || 'Unknown',  // Denormalized
-      courseCode: session.courseCode || 'N/A',  // Denormalized
-      status: 'present',
-      markedAt: admin.firestore.FieldValue.serverTimestamp(),
-      markedBy: 'student',
-      locationVerified,
-      studentLatitude: latitude || null,
-      studentLongitude: longitude || null,
-      distanceFromClass: Math.round(distanceFromClass),
-      accuracy: accuracy || null,
-      qrTimestamp: payload.timestamp,
-      deviceId: req.headers['x-device-id'] || 'unknown'
-    };
+      studentName: student.name || 'Unknown',
+      studentRollNo: student.rollNo || 'N/A',
+      attendanceId: record?.id,
+      currentStatus: record?.data().status || 'unmarked',
+      requestedStatus: 'present',
+      reason: reason.trim(),
+      evidenceRef,
+      status: 'pending',
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    const disputeRef = await db.collection('attendanceDisputes').add(disputeData);
+
+    res.json({ success: true, dispute: { id: disputeRef.id, ...disputeData } });
+  } catch (error) {
+    console.error('Error creating attendance dispute:', error);
+    res.status(500).json({ error: 'Failed to create dispute' });
+  }
+});
+
+// Student's own disputes (?sessionId= optional)
+app.get('/api/student/attendance-disputes', verifyToken, requireRole('student'), async (req, res) => {
+  try {
+    let query = db.collection('attendanceDisputes').where('studentId', '==', req.user.uid);
+    if (req.query.sessionId) {
+      query = query.where('sessionId', '==', req.query.sessionId);
+    }
+    const snapshot = await query.get();
+
+    const disputes = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => (toDate(b.createdAt) || 0) - (toDate(a.createdAt) || 0));
+    res.json({ success: true, disputes });
+  } catch (error) {
+    console.error('Error listing attendance disputes:', error);
+    res.status(500).json({ error: 'Failed to list disputes' });
+  }
+});
+
+// Faculty dispute queue. ?status=pending|accepted|rejected|all, ?sessionId=, ?studentId=
+app.get('/api/faculty/attendance-disputes', verifyToken, requireRole('faculty'), async (req, res) => {
+  try {
+    const { sessionId, studentId } = req.query;
+    const status = req.query.status || 'pending';
+
+    // Disputes for every course where the caller reviews requests, not just the session's own faculty
+    const courseDocs = await staffCourses(req.user.uid, 'requests.review');
+    const docs = [];
+    for (const batch of chunkArray(courseDocs.map(doc => doc.id), 10)) {
+      let query = db.collection('attendanceDisputes').where('courseId', 'in', batch);
+      if (status !== 'all') query = query.where('status', '==', status);
+      const snapshot = await query.get();
+      docs.push(...snapshot.docs);
+    }
 
-    const attendanceRef = await db.collection('attendance').add(attendanceData);
+    const disputes = docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(dispute => (!sessionId || dispute.sessionId === sessionId) && (!studentId || dispute.studentId === studentId))
+      .sort((a, b) => (toDate(a.createdAt) || 0) - (toDate(b.createdAt) || 0));
+    res.json({ success: true, disputes });
+  } catch (error) {
+    console.error('Error listing attendance disputes:', error);
+    res.status(500).json({ error: 'Failed to list disputes' });
+  }
+});
+
+// Accept (mark present) or reject a dispute
+app.post('/api/faculty/attendance-disputes/:disputeId/review', verifyToken, requireRole('faculty'), async (req, res) => {
+  try {
+    const { disputeId } = req.params;
+    const { decision, note } = req.body || {};
+
+    if (!['accept', 'reject'].includes(decision)) {
+      return res.status(400).json({ error: "decision must be 'accept' or 'reject'" });
+    }
+
+    const disputeRef = db.collection('attendanceDisputes').doc(disputeId);
+    const disputeDoc = await disputeRef.get();
+    if (!disputeDoc.exists) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+    const dispute = disputeDoc.data();
+    if (!await loadCourseForUser(req, res, dispute.courseId, 'requests.review')) return;
+    if (dispute.status !== 'pending') {
+      return res.status(400).json({ error: `Dispute was already ${dispute.status}` });
+    }
+
+    const operations = [batch => batch.update(disputeRef, cleanObject({
+      status: decision === 'accept' ? 'accepted' : 'rejected',
+      reviewedBy: req.user.uid,
+      reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+      reviewNote: note
+    }))];
+
+    let session = null;
+    if (decision === 'accept') {
+      const [sessionDoc, attendanceSnapshot] = await Promise.all([
+        db.collection('sessions').doc(dispute.sessionId).get(),
+        db.collection('attendance')
+          .where('sessionId', '==', dispute.sessionId)
+          .where('studentId', '==', dispute.studentId)
+          .limit(1)
+          .get()
+      ]);
+      session = sessionDoc.exists ? sessionDoc.data() : null;
+      // The session may have been cancelled or deleted since the dispute was raised
+      const state = session ? sessionState(session) : 'deleted';
+      if (!DISPUTABLE_SESSION_STATES.includes(state)) {
+        return res.status(400).json({ error: `Cannot accept a dispute for a ${state} session; reject it instead` });
+      }
+      const existing = attendanceSnapshot.docs[0];
+      const audit = {
+        sessionId: dispute.sessionId,
+        courseId: dispute.courseId,
+        studentId: dispute.studentId,
+        newStatus: 'present',
+        changedBy: req.user.uid,
+        source: 'dispute',
+        reason: dispute.reason
+      };
+
+      if (existing?.data().status !== 'present') {
+        if (existing) {
+          operations.push(batch => batch.update(existing.ref, {
+            status: 'present',
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            markedBy: 'faculty',
+            manual: true,
+            disputeId
+          }));
+          operations.push(attendanceAuditOp({ ...audit, attendanceId: existing.id, previousStatus: existing.data().status }));
+        } else {
+          const attendanceRef = db.collection('attendance').doc(attendanceDocId(dispute.sessionId, dispute.studentId));
+          operations.push(batch => batch.set(attendanceRef, {
+            sessionId: dispute.sessionId,
+            courseId: dispute.courseId,
+            studentId: dispute.studentId,
+            studentName: dispute.studentName,
+            studentRollNo: dispute.studentRollNo,
+            courseName: session?.courseName || 'Unknown',
+            courseCode: dispute.courseCode,
+            status: 'present',
+            markedAt: admin.firestore.FieldValue.serverTimestamp(),
+            markedBy: 'faculty',
+            locationVerified: false,
+            manual: true,
+            disputeId
+          }));
+          operations.push(attendanceAuditOp({ ...audit, attendanceId: attendanceRef.id }));
+        }
+        operations.push(batch => batch.update(sessionDoc.ref, {
+          presentCount: admin.firestore.FieldValue.increment(1)
+        }));
+      }
+    }
+    await commitInBatches(operations);
+
+    if (session && !session.isActive) {
+      await refreshSessionSummary(dispute.sessionId);
+    }
+    invalidateStudentCache(dispute.studentId);
+
+    res.json({ success: true, status: decision === 'accept' ? 'accepted' : 'rejected' });
+  } catch (error) {
+    console.error('Error reviewing attendance dispute:', error);
+    res.status(500).json({ error: 'Failed to review dispute' });
+  }
+});
+
+// ============================================
+// DEVICE BINDING
+// ============================================
+
+// Devices a student can use without admin approval; further devices or changes go to the admin queue
+const MAX_STUDENT_DEVICES = 2;
+const DEVICE_STATUSES = ['active', 'pending', 'rejected', 'revoked'];
+
+// The x-device-id header the app sends with every request
+function readDeviceId(req) {
+  const deviceId = req.headers['x-device-id'];
+  return typeof deviceId === 'string' && deviceId.trim() ? deviceId.trim().slice(0, 200) : null;
+}
+
+// studentDevices doc id; the raw id comes from the client, so it is hashed rather than used as a path segment
+function deviceDocId(studentId, deviceId) {
+  return `${studentId}_${crypto.createHash('sha256').update(deviceId).digest('hex').slice(0, 32)}`;
+}
+
+async function isDeviceRegistered(studentId, deviceId) {
+  if (!deviceId) return false;
+  const doc = await db.collection('studentDevices').doc(deviceDocId(studentId, deviceId)).get();
+  return doc.exists && doc.data().status === 'active';
+}
+
+// Other students' attendance in a session marked from the same device
+async function findSharedDeviceRecords(sessionId, studentId, deviceId) {
+  if (!deviceId) return [];
+  const snapshot = await db.collection('attendance')
+    .where('sessionId', '==', sessionId)
+    .where('deviceId', '==', deviceId)
+    .get();
+  return snapshot.docs.filter(doc => doc.data().studentId !== studentId);
+}
+
+// Students other than this one with the device registered
+async function findOtherDeviceOwners(studentId, deviceId) {
+  const snapshot = await db.collection('studentDevices')
+    .where('deviceId', '==', deviceId)
+    .where('status', '==', 'active')
+    .get();
+  return snapshot.docs.map(doc => doc.data().studentId).filter(id => id !== studentId);
+}
+
+// Student's devices, newest first
+app.get('/api/student/devices', verifyToken, requireRole('student'), async (req, res) => {
+  try {
+    const snapshot = await db.collection('studentDevices')
+      .where('studentId', '==', req.user.uid)
+      .get();
+    const currentDeviceId = readDeviceId(req);
+    const devices = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data(), current: doc.data().deviceId === currentDeviceId }))
+      .sort((a, b) => (toDate(b.createdAt) || 0) - (toDate(a.createdAt) || 0));
+
+    res.json({ success: true, devices, maxDevices: MAX_STUDENT_DEVICES });
+  } catch (error) {
+    console.error('Error listing devices:', error);
+    res.status(500).json({ error: 'Failed to list devices' });
+  }
+});
+
+// Register the device in the x-device-id header: { label, replaces } where replaces is the id of one of
+// the student's active devices. Registered straight away while under the limit; a device change, a device
+// over the limit or a device bound to another student waits for an admin.
+app.post('/api/student/devices', verifyToken, requireRole('student'), async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { label, replaces } = req.body || {};
+    const deviceId = readDeviceId(req);
+    if (!deviceId) {
+      return res.status(400).json({ error: 'x-device-id header is required' });
+    }
+    if (label !== undefined && typeof label !== 'string') {
+      return res.status(400).json({ error: 'label must be a string' });
+    }
+
+    const deviceRef = db.collection('studentDevices').doc(deviceDocId(userId, deviceId));
+    const [deviceDoc, ownSnapshot, otherOwners] = await Promise.all([
+      deviceRef.get(),
+      db.collection('studentDevices').where('studentId', '==', userId).get(),
+      findOtherDeviceOwners(userId, deviceId)
+    ]);
+    const status = deviceDoc.exists ? deviceDoc.data().status : null;
+    if (status === 'active') {
+      return res.status(400).json({ error: 'This device is already registered' });
+    }
+    if (status === 'pending') {
+      return res.status(400).json({ error: 'This device is already waiting for admin approval' });
+    }
 
-    // Update session present count
-    await db.collection('sessions').doc(payload.sessionId).update({
-      presentCount: admin.firestore.FieldValue.increment(1)
+    const activeDevices = ownSnapshot.docs.filter(doc => doc.data().status === 'active');
+    if (replaces !== undefined && !activeDevices.some(doc => doc.id === replaces)) {
+      return res.status(400).json({ error: 'replaces must be the id of one of your registered devices' });
+    }
+
+    let pendingReason;
+    if (otherOwners.length > 0) pendingReason = 'shared_device';
+    else if (replaces) pendingReason = 'device_change';
+    else if (activeDevices.length >= MAX_STUDENT_DEVICES) pendingReason = 'device_limit';
+    else if (status) pendingReason = `previously_${status}`;
+
+    const student = studentCache.get(`student:${userId}`) ||
+      (await db.collection('students').doc(userId).get()).data() || {};
+    const deviceData = cleanObject({
+      studentId: userId,
+      studentName: student.name || 'Unknown',
+      studentRollNo: student.rollNo || 'N/A',
+      deviceId,
+      label: label?.trim() || undefined,
+      userAgent: req.headers['user-agent'],
+      status: pendingReason ? 'pending' : 'active',
+      pendingReason,
+      replaces,
+      sharedWith: otherOwners.length > 0 ? otherOwners : undefined,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      approvedAt: pendingReason ? undefined : admin.firestore.FieldValue.serverTimestamp()
     });
+    await deviceRef.set(deviceData);
 
-    // Invalidate dashboard cache
-    invalidateStudentCache(userId);
+    res.json({
+      success: true,
+      pendingApproval: Boolean(pendingReason),
+      device: { id: deviceRef.id, ...deviceData }
+    });
+  } catch (error) {
+    console.error('Error registering device:', error);
+    res.status(500).json({ error: 'Failed to register device' });
+  }
+});
+
+// Device registration requests. ?status=pending|active|rejected|revoked, ?studentId=
+app.get('/api/admin/device-requests', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { studentId } = req.query;
+    const status = req.query.status || 'pending';
+    if (!DEVICE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${DEVICE_STATUSES.join(', ')}` });
+    }
+
+    let query = db.collection('studentDevices').where('status', '==', status);
+    if (studentId) query = query.where('studentId', '==', studentId);
+    const snapshot = await query.get();
+
+    const requests = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => (toDate(a.createdAt) || 0) - (toDate(b.createdAt) || 0));
+    res.json({ success: true, requests });
+  } catch (error) {
+    console.error('Error listing device requests:', error);
+    res.status(500).json({ error: 'Failed to list device requests' });
+  }
+});
+
+// Approve or reject a pending device: { decision: 'approve' | 'reject', note }.
+// Approving a device change revokes the device it replaces.
+app.post('/api/admin/device-requests/:deviceId/review', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const { decision, note } = req.body || {};
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({ error: "decision must be 'approve' or 'reject'" });
+    }
+
+    const deviceRef = db.collection('studentDevices').doc(deviceId);
+    const deviceDoc = await deviceRef.get();
+    if (!deviceDoc.exists) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    const device = deviceDoc.data();
+    if (device.status !== 'pending') {
+      return res.status(400).json({ error: `Device is already ${device.status}` });
+    }
+
+    const operations = [batch => batch.update(deviceRef, cleanObject({
+      status: decision === 'approve' ? 'active' : 'rejected',
+      reviewedBy: req.user.uid,
+      reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+      approvedAt: decision === 'approve' ? admin.firestore.FieldValue.serverTimestamp() : undefined,
+      reviewNote: typeof note === 'string' && note.trim() ? note.trim() : undefined
+    }))];
+    if (decision === 'approve' && device.replaces) {
+      operations.push(batch => batch.update(db.collection('studentDevices').doc(device.replaces), {
+        status: 'revoked',
+        revokedBy: req.user.uid,
+        revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+        replacedBy: deviceId
+      }));
+    }
+    await commitInBatches(operations);
+
+    await logAdminAction(req, `device.${decision}`, 'studentDevice', deviceId, {
+      studentId: device.studentId,
+      pendingReason: device.pendingReason,
+      replaces: device.replaces
+    });
 
     res.json({
       success: true,
-      message: 'Attendance marked successfully!',
-      attendance: {
-        id: attendanceRef.id,
-        ...attendanceData,
-        distance: Math.round(distanceFromClass)
-      }
+      deviceId,
+      status: decision === 'approve' ? 'active' : 'rejected',
+      revoked: decision === 'approve' ? device.replaces || null : null
+    });
+  } catch (error) {
+    console.error('Error reviewing device request:', error);
+    res.status(500).json({ error: 'Failed to review device request' });
+  }
+});
+
+// Revoke a registered device (lost phone, or a device found to be shared)
+app.delete('/api/admin/devices/:deviceId', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const deviceRef = db.collection('studentDevices').doc(deviceId);
+    const deviceDoc = await deviceRef.get();
+    if (!deviceDoc.exists) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    if (deviceDoc.data().status !== 'active') {
+      return res.status(400).json({ error: 'Only registered devices can be revoked' });
+    }
+
+    await deviceRef.update({
+      status: 'revoked',
+      revokedBy: req.user.uid,
+      revokedAt: admin.firestore.FieldValue.serverTimestamp()
     });
+    await logAdminAction(req, 'device.revoke', 'studentDevice', deviceId, { studentId: deviceDoc.data().studentId });
+
+    res.json({ success: true, deviceId, status: 'revoked' });
+  } catch (error) {
+    console.error('Error revoking device:', error);
+    res.status(500).json({ error: 'Failed to revoke device' });
+  }
+});
+
+// ============================================
+// ATTENDANCE ANOMALIES
+// ============================================
+
+// Points each rule adds to a scan's anomalyScore. Every rule that fires is kept in the record's flags;
+// records scoring ANOMALY_REVIEW_SCORE or more go to the session's review queue, highest score first.
+// A single weak signal (an unregistered device, a slightly late scan) is not enough on its own.
+const ANOMALY_RULES = {
+  unregistered_device: 20,
+  shared_device: 50,
+  identical_coordinates: 40,
+  late_scan: 20,
+  impossible_travel: 60,
+  perfect_accuracy: 30
+};
+const ANOMALY_REVIEW_SCORE = 40;
+const LATE_SCAN_GRACE_SECONDS = 5; // network delay past the end of a rotating token's window
+const PERFECT_ACCURACY_METERS = 1; // phone fixes indoors are rarely this good; mock location apps often are
+const TRAVEL_WINDOW_MINUTES = 30;
+const MAX_TRAVEL_SPEED = 3; // m/s, a brisk walk between buildings
+const MIN_TRAVEL_DISTANCE = 100; // meters; GPS drift within one block is not travel
+const REVIEW_STATUSES = ['pending', 'confirmed', 'revoked'];
+
+function anomalyScore(flags) {
+  return [...new Set(flags)].reduce((sum, flag) => sum + (ANOMALY_RULES[flag] || 0), 0);
+}
+
+function needsReview(flags) {
+  return anomalyScore(flags) >= ANOMALY_REVIEW_SCORE;
+}
+
+// Location and timing rules for one scan. Returns { flags, related } where related lists the other
+// attendance records ({ doc, flag }) the same evidence implicates.
+async function detectScanAnomalies({ session, sessionId, studentId, latitude, longitude, accuracy, qrWindow, now = Date.now() }) {
+  const flags = [];
+  const related = [];
+
+  // Lateness is measured against the QR's own window: a rotating token scanned after its window ended
+  // only got in through the one-window grace, which is how a forwarded photo of the screen arrives.
+  // Static codes are valid for their whole lifetime, so they are never late.
+  if (session.qrMode === 'rotating' && Number.isFinite(qrWindow)) {
+    const periodMs = (session.qrRotationSeconds || DEFAULT_QR_ROTATION_SECONDS) * 1000;
+    if (now > (qrWindow + 1) * periodMs + LATE_SCAN_GRACE_SECONDS * 1000) {
+      flags.push('late_scan');
+    }
+  }
+
+  const lat = Number(latitude);
+  const lon = Number(longitude);
+  if (latitude === undefined || latitude === null || longitude === undefined || longitude === null ||
+    !Number.isFinite(lat) || !Number.isFinite(lon)) {
+    return { flags, related };
+  }
+  if (accuracy !== undefined && accuracy !== null && Number(accuracy) <= PERFECT_ACCURACY_METERS) {
+    flags.push('perfect_accuracy');
+  }
+
+  const [sameSpotSnapshot, recentSnapshot] = await Promise.all([
+    db.collection('attendance')
+      .where('sessionId', '==', sessionId)
+      .where('studentLatitude', '==', latitude)
+      .get(),
+    db.collection('attendance')
+      .where('studentId', '==', studentId)
+      .where('markedAt', '>=', admin.firestore.Timestamp.fromMillis(now - TRAVEL_WINDOW_MINUTES * 60 * 1000))
+      .orderBy('markedAt', 'desc')
+      .get()
+  ]);
+
+  // Two phones never report the exact same coordinates; a shared or mocked fix does
+  const twins = sameSpotSnapshot.docs
+    .filter(doc => doc.data().studentId !== studentId && Number(doc.data().studentLongitude) === lon);
+  if (twins.length > 0) {
+    flags.push('identical_coordinates');
+    twins.forEach(doc => related.push({ doc, flag: 'identical_coordinates' }));
+  }
+
+  // Present somewhere else recently, further away than the student could have walked since
+  const elsewhere = recentSnapshot.docs.find(doc => {
+    const record = doc.data();
+    if (record.sessionId === sessionId || record.studentLatitude == null || record.studentLongitude == null) return false;
+    const distance = calculateDistance(lat, lon, Number(record.studentLatitude), Number(record.studentLongitude));
+    const seconds = Math.max((now - toDate(record.markedAt)) / 1000, 1);
+    return distance >= MIN_TRAVEL_DISTANCE && distance / seconds > MAX_TRAVEL_SPEED;
+  });
+  if (elsewhere) {
+    flags.push('impossible_travel');
+    related.push({ doc: elsewhere, flag: 'impossible_travel' });
+  }
+
+  return { flags, related };
+}
+
+// Batch op adding a flag to an existing record, sending it back to review once it scores high enough;
+// null if it already has the flag
+function flagRecordOp(doc, flag) {
+  const record = doc.data();
+  if (record.flags?.includes(flag)) return null;
+  const review = needsReview([...(record.flags || []), flag]);
+  return batch => batch.update(doc.ref, {
+    flags: admin.firestore.FieldValue.arrayUnion(flag),
+    anomalyScore: admin.firestore.FieldValue.increment(ANOMALY_RULES[flag] || 0),
+    flagged: review,
+    reviewStatus: review ? 'pending' : record.reviewStatus ?? null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+// Review queue for a session: flagged records, highest score first. ?reviewStatus=pending|confirmed|revoked|all
+app.get('/api/faculty/session/:sessionId/flagged-attendance', verifyToken, requireRole('faculty'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const reviewStatus = req.query.reviewStatus || 'pending';
+    if (reviewStatus !== 'all' && !REVIEW_STATUSES.includes(reviewStatus)) {
+      return res.status(400).json({ error: `reviewStatus must be all or one of: ${REVIEW_STATUSES.join(', ')}` });
+    }
+    if (!await loadSessionForUser(req, res, sessionId, 'attendance.view')) return;
+
+    const snapshot = await db.collection('attendance')
+      .where('sessionId', '==', sessionId)
+      .where('flagged', '==', true)
+      .get();
+    const records = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(record => reviewStatus === 'all' || (record.reviewStatus || 'pending') === reviewStatus)
+      .sort((a, b) => (b.anomalyScore || 0) - (a.anomalyScore || 0));
+
+    // Group shared-device records so the screen can show who marked from which phone
+    const byDevice = new Map();
+    records
+      .filter(record => record.flags?.includes('shared_device'))
+      .forEach(record => {
+        if (!byDevice.has(record.deviceId)) byDevice.set(record.deviceId, []);
+        byDevice.get(record.deviceId).push({
+          attendanceId: record.id,
+          studentId: record.studentId,
+          studentName: record.studentName,
+          studentRollNo: record.studentRollNo
+        });
+      });
+    const sharedDevices = [...byDevice].map(([deviceId, students]) => ({ deviceId, students }));
 
+    res.json({ success: true, sessionId, records, sharedDevices, rules: ANOMALY_RULES });
   } catch (error) {
-    console.error('Error marking attendance:', error);
-    res.status(500).json({ error: 'Failed to mark attendance' });
+    console.error('Error listing flagged attendance:', error);
+    res.status(500).json({ error: 'Failed to list flagged attendance' });
   }
 });
 
-// Get Student Attendance History - OPTIMIZED with Pagination
-app.get('/api/student/attendance-history', verifyToken, async (req, res) => {
+// Confirm flagged records as genuine or revoke them to absent: { attendanceIds, decision: 'confirm' | 'revoke', note }
+app.post('/api/faculty/session/:sessionId/flagged-attendance/review', verifyToken, requireRole('faculty'), async (req, res) => {
   try {
-    const userId = req.user.uid;
-    const { courseId, limit = 50, offset = 0 } = req.query;
-
-    let query = db.collection('attendance').where('studentId', '==', userId);
-
-    if (courseId) {
-      query = query.where('courseId', '==', courseId);
+    const { sessionId } = req.params;
+    const { attendanceIds, decision, note } = req.body || {};
+    if (!Array.isArray(attendanceIds) || attendanceIds.length === 0) {
+      return res.status(400).json({ error: 'attendanceIds must be a non-empty array' });
+    }
+    if (!['confirm', 'revoke'].includes(decision)) {
+      return res.status(400).json({ error: "decision must be 'confirm' or 'revoke'" });
+    }
+    if (note !== undefined && typeof note !== 'string') {
+      return res.status(400).json({ error: 'note must be a string' });
     }
 
-    // OPTIMIZED: Add pagination
-    const snapshot = await query
-      .orderBy('markedAt', 'desc')
-      .limit(parseInt(limit))
-      .offset(parseInt(offset))
-      .get();
+    const loaded = await loadSessionForUser(req, res, sessionId, 'attendance.manual');
+    if (!loaded) return;
+    const session = loaded.sessionDoc.data();
 
-    // OPTIMIZED: Use denormalized data (no additional reads needed!)
-    const attendanceRecords = snapshot.docs.map(doc => {
-      const data = doc.data();
-      return {
-        id: doc.id,
-        ...data,
-        // These are now denormalized in the document
-        sessionDate: data.markedAt,
-        sessionTime: data.markedAt,
-        courseName: data.courseName || 'Unknown',
-        courseCode: data.courseCode || 'N/A',
-        studentName: data.studentName || 'Unknown',
-        studentRollNo: data.studentRollNo || 'N/A'
-      };
+    const docs = await db.getAll(...[...new Set(attendanceIds)].map(id => db.collection('attendance').doc(id)));
+    const targets = docs.filter(doc => doc.exists && doc.data().sessionId === sessionId && doc.data().flagged);
+
+    const review = cleanObject({
+      reviewStatus: decision === 'confirm' ? 'confirmed' : 'revoked',
+      reviewedBy: req.user.uid,
+      reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+      reviewNote: note?.trim() || undefined
     });
+    const operations = [];
+    let revoked = 0;
+    for (const doc of targets) {
+      const record = doc.data();
+      if (decision === 'revoke' && record.status === 'present') {
+        operations.push(batch => batch.update(doc.ref, {
+          ...review,
+          status: 'absent',
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }));
+        operations.push(attendanceAuditOp({
+          attendanceId: doc.id,
+          sessionId,
+          courseId: session.courseId,
+          studentId: record.studentId,
+          previousStatus: 'present',
+          newStatus: 'absent',
+          changedBy: req.user.uid,
+          source: 'anomaly_review',
+          reason: note?.trim() || `Flagged: ${(record.flags || []).join(', ')}`
+        }));
+        revoked++;
+      } else {
+        operations.push(batch => batch.update(doc.ref, review));
+      }
+    }
+    await commitInBatches(operations);
+
+    if (revoked > 0) {
+      await loaded.sessionDoc.ref.update({
+        presentCount: admin.firestore.FieldValue.increment(-revoked)
+      });
+      targets.forEach(doc => invalidateStudentCache(doc.data().studentId));
+      if (!session.isActive) {
+        await refreshSessionSummary(sessionId);
+      }
+    }
 
+    const reviewedIds = new Set(targets.map(doc => doc.id));
     res.json({
-      attendanceRecords,
-      hasMore: snapshot.size === parseInt(limit),
-      total: snapshot.size
+      success: true,
+      reviewed: targets.length,
+      revoked,
+      skipped: attendanceIds.filter(id => !reviewedIds.has(id))
     });
   } catch (error) {
-    console.error('Error fetching attendance history:', error);
-    res.status(500).json({ error: 'Failed to fetch attendance history' });
+    console.error('Error reviewing flagged attendance:', error);
+    res.status(500).json({ error: 'Failed to review flagged attendance' });
   }
 });
 
-// Join Course via Join Code
-app.post('/api/student/join-course', verifyToken, async (req, res) => {
-  try {
-    const { joinCode } = req.body;
-    const userId = req.user.uid;
-
-    if (!joinCode) {
-      return res.status(400).json({ error: 'Join code is required' });
-    }
+// ============================================
+// REPORTS
+// ============================================
 
-    // Find course by join code
-    const coursesSnapshot = await db.collection('courses')
-      .where('joinCode', '==', joinCode.toUpperCase())
-      .limit(1)
-      .get();
+const REPORT_FORMATS = ['csv', 'xlsx', 'pdf', 'json'];
+const ATTENDANCE_MARKS = { present: 'P', absent: 'A', excused: 'E' };
+
+// Build the student × session attendance matrix for a course between two dates
+async function buildAttendanceReport(courseId, course, from, to) {
+  let sessionsQuery = db.collection('sessions').where('courseId', '==', courseId);
+  if (from) sessionsQuery = sessionsQuery.where('date', '>=', admin.firestore.Timestamp.fromDate(from));
+  if (to) sessionsQuery = sessionsQuery.where('date', '<=', admin.firestore.Timestamp.fromDate(to));
+
+  const [sessionsSnapshot, enrollmentsSnapshot, attendanceSnapshot, facultyDoc, departments] = await Promise.all([
+    sessionsQuery.orderBy('date', 'asc').get(),
+    db.collection('enrollments').where('courseId', '==', courseId).get(),
+    db.collection('attendance').where('courseId', '==', courseId).get(),
+    db.collection('faculty').doc(course.facultyId).get(),
+    getDepartments([course.department])
+  ]);
+  const excusedPolicy = resolveExcusedPolicy(course, departments);
+
+  const sessions = sessionsSnapshot.docs.map(doc => {
+    const data = doc.data();
+    const date = toDate(data.date);
+    return {
+      id: doc.id,
+      date,
+      label: `${date.toLocaleDateString('en-IN', { day: '2-digit', month: '2-digit', year: 'numeric', timeZone: CAMPUS_TIME_ZONE })} ${data.startTime || ''}`.trim()
+    };
+  });
+  const sessionIds = new Set(sessions.map(session => session.id));
+
+  // attendance[studentId][sessionId] = record
+  const attendanceByStudent = new Map();
+  attendanceSnapshot.docs.forEach(doc => {
+    const data = doc.data();
+    if (!sessionIds.has(data.sessionId)) return;
+    if (!attendanceByStudent.has(data.studentId)) attendanceByStudent.set(data.studentId, new Map());
+    attendanceByStudent.get(data.studentId).set(data.sessionId, data);
+  });
+
+  // Everyone currently enrolled plus anyone with a record in the range
+  const enrollmentByStudent = new Map(enrollmentsSnapshot.docs.map(doc => [doc.data().studentId, doc.data()]));
+  const studentIds = [...new Set([
+    ...enrollmentsSnapshot.docs.filter(doc => doc.data().isActive).map(doc => doc.data().studentId),
+    ...attendanceByStudent.keys()
+  ])];
+
+  // Names come from the denormalized attendance fields; only read profiles for students without records
+  const names = new Map();
+  attendanceByStudent.forEach((records, studentId) => {
+    const record = records.values().next().value;
+    names.set(studentId, { name: record.studentName, rollNo: record.studentRollNo });
+  });
+  const unnamed = studentIds.filter(id => !names.has(id) || !names.get(id).name);
+  if (unnamed.length > 0) {
+    const studentDocs = await db.getAll(...unnamed.map(id => db.collection('students').doc(id)));
+    studentDocs.forEach(doc => {
+      if (doc.exists) names.set(doc.id, { name: doc.data().name, rollNo: doc.data().rollNo });
+    });
+  }
 
-    if (coursesSnapshot.empty) {
-      return res.status(404).json({ error: 'Invalid join code' });
-    }
+  const rows = studentIds.map(studentId => {
+    const records = attendanceByStudent.get(studentId) || new Map();
+    const enrolledAt = toDate(enrollmentByStudent.get(studentId)?.enrolledAt);
+    const enrolledDay = enrolledAt ? campusDayStart(enrolledAt) : null;
+    const totals = { present: 0, absent: 0, excused: 0 };
 
-    const courseDoc = coursesSnapshot.docs[0];
-    const courseId = courseDoc.id;
-    const course = courseDoc.data();
+    const marks = sessions.map(session => {
+      const record = records.get(session.id);
+      if (!record && enrolledDay && session.date < enrolledDay) {
+        return '-'; // not yet enrolled
+      }
+      const status = record?.status || 'absent';
+      totals[status] = (totals[status] || 0) + 1;
+      return ATTENDANCE_MARKS[status] || 'A';
+    });
 
-    // Check if already enrolled
-    const existingEnrollment = await db.collection('enrollments')
-      .where('studentId', '==', userId)
-      .where('courseId', '==', courseId)
-      .limit(1)
-      .get();
+    const total = totals.present + totals.absent + totals.excused;
+    return {
+      studentId,
+      rollNo: names.get(studentId)?.rollNo || 'N/A',
+      name: names.get(studentId)?.name || 'Unknown',
+      marks,
+      ...totals,
+      total,
+      percentage: summaryPercentage(totals, excusedPolicy)
+    };
+  }).sort((a, b) => String(a.rollNo).localeCompare(String(b.rollNo), undefined, { numeric: true }));
 
-    if (!existingEnrollment.empty) {
-      return res.status(400).json({ error: 'Already enrolled in this course' });
-    }
+  return {
+    header: {
+      courseCode: course.code,
+      courseName: course.name,
+      section: course.section || '',
+      department: course.department || '',
+      academicYear: course.academicYear || '',
+      facultyName: facultyDoc.exists ? facultyDoc.data().name || 'Unknown' : 'Unknown',
+      excusedPolicy,
+      from: from ? campusDateKey(from) : null,
+      to: to ? campusDateKey(to) : null,
+      generatedAt: new Date().toISOString()
+    },
+    sessions: sessions.map(({ id, label }) => ({ id, label })),
+    rows
+  };
+}
 
-    // Create enrollment
-    const enrollmentData = {
-      studentId: userId,
-      courseId,
-      isActive: true,
-      enrolledAt: admin.firestore.FieldValue.serverTimestamp()
-    };
+// Column headings shared by every export format
+function reportColumns(report) {
+  return ['Roll No', 'Name', ...report.sessions.map(session => session.label), 'Present', 'Absent', 'Excused', 'Total', '%'];
+}
 
-    await db.collection('enrollments').add(enrollmentData);
+function reportRowValues(row) {
+  return [row.rollNo, row.name, ...row.marks, row.present, row.absent, row.excused, row.total, row.percentage ?? ''];
+}
 
-    // Update enrolled count
-    await db.collection('courses').doc(courseId).update({
-      enrolledCount: admin.firestore.FieldValue.increment(1)
-    });
+function reportTitleLines(report) {
+  const { header } = report;
+  return [
+    `${header.courseCode} - ${header.courseName}`,
+    `Section: ${header.section || '-'}   Faculty: ${header.facultyName}`,
+    `Period: ${header.from || 'start'} to ${header.to || 'today'}   Sessions: ${report.sessions.length}`
+  ];
+}
 
-    res.json({
-      success: true,
-      message: 'Successfully joined course',
-      course: { id: courseId, ...course }
-    });
-  } catch (error) {
-    console.error('Error joining course:', error);
-    res.status(500).json({ error: 'Failed to join course' });
+function toCsvValue(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Neutralise spreadsheet formulas in text (names are student-entered), e.g. =HYPERLINK(...).
+  // The lone '-' the register uses for "not yet enrolled" is not a formula and stays as it is.
+  if (typeof value !== 'number' && text !== '-' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
   }
-});
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-// Get Student's Enrolled Courses - OPTIMIZED with Batch Reads
-app.get('/api/student/courses', verifyToken, async (req, res) => {
-  try {
-    const userId = req.user.uid;
+function renderReportCsv(report) {
+  const lines = [
+    ...reportTitleLines(report).map(line => toCsvValue(line)),
+    '',
+    reportColumns(report).map(toCsvValue).join(','),
+    ...report.rows.map(row => reportRowValues(row).map(toCsvValue).join(','))
+  ];
+  // BOM so Excel opens the file as UTF-8
+  return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+}
 
-    // Get enrollments
-    const enrollmentsSnapshot = await db.collection('enrollments')
-      .where('studentId', '==', userId)
-      .where('isActive', '==', true)
-      .get();
+async function renderReportXlsx(report) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Attendance');
 
-    const courses = [];
-    const courseIds = enrollmentsSnapshot.docs.map(doc => doc.data().courseId);
+  reportTitleLines(report).forEach((line, index) => {
+    sheet.addRow([line]).font = { bold: index === 0 };
+  });
+  sheet.addRow([]);
+  const headerRow = sheet.addRow(reportColumns(report));
+  headerRow.font = { bold: true };
+  report.rows.forEach(row => sheet.addRow(reportRowValues(row)));
 
-    // OPTIMIZED: Batch read courses
-    if (courseIds.length > 0) {
-      const courseRefs = courseIds.map(id => db.collection('courses').doc(id));
-      const courseDocs = await db.getAll(...courseRefs);
+  sheet.getColumn(1).width = 14;
+  sheet.getColumn(2).width = 28;
+  sheet.views = [{ state: 'frozen', xSplit: 2, ySplit: headerRow.number }];
 
-      // Collect unique faculty IDs
-      const facultyIds = [...new Set(
-        courseDocs
-          .filter(doc => doc.exists && doc.data().facultyId)
-          .map(doc => doc.data().facultyId)
-      )];
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
 
-      // OPTIMIZED: Batch read faculty
-      const facultyMap = new Map();
-      if (facultyIds.length > 0) {
-        const facultyRefs = facultyIds.map(id => db.collection('faculty').doc(id));
-        const facultyDocs = await db.getAll(...facultyRefs);
+function renderReportPdf(report) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 30 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
 
-        facultyDocs.forEach(doc => {
-          if (doc.exists) {
-            facultyMap.set(doc.id, doc.data());
-            // Cache faculty data
-            facultyCache.set(`faculty:${doc.id}`, doc.data());
-          }
-        });
+    reportTitleLines(report).forEach((line, index) => {
+      doc.font(index === 0 ? 'Helvetica-Bold' : 'Helvetica').fontSize(index === 0 ? 14 : 10).text(line);
+    });
+    doc.moveDown();
+
+    // Session columns are numbered; the key below the table maps numbers to dates
+    const columns = ['Roll No', 'Name', ...report.sessions.map((_, i) => String(i + 1)), 'P', 'A', 'E', '%'];
+    const fixedWidths = [70, 120];
+    const tailWidth = 28;
+    const usable = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const sessionWidth = Math.max(12, (usable - fixedWidths[0] - fixedWidths[1] - tailWidth * 4) / Math.max(1, report.sessions.length));
+    const widths = [...fixedWidths, ...report.sessions.map(() => sessionWidth), tailWidth, tailWidth, tailWidth, tailWidth];
+    const rowHeight = 14;
+
+    const drawRow = (values, bold) => {
+      if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
       }
+      const y = doc.y;
+      let x = doc.page.margins.left;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(7);
+      values.forEach((value, i) => {
+        doc.text(String(value ?? ''), x + 1, y + 3, { width: widths[i] - 2, height: rowHeight, ellipsis: true, lineBreak: false });
+        x += widths[i];
+      });
+      doc.moveTo(doc.page.margins.left, y + rowHeight).lineTo(x, y + rowHeight).lineWidth(0.3).stroke();
+      doc.x = doc.page.margins.left;
+      doc.y = y + rowHeight;
+    };
 
-      // Combine data
-      courseDocs.forEach((courseDoc, index) => {
-        if (courseDoc.exists) {
-          const courseData = courseDoc.data();
-          const facultyData = facultyMap.get(courseData.facultyId);
+    drawRow(columns, true);
+    report.rows.forEach(row => {
+      drawRow([row.rollNo, row.name, ...row.marks, row.present, row.absent, row.excused, row.percentage ?? ''], false);
+    });
 
-          courses.push({
-            id: courseDoc.id,
-            ...courseData,
-            facultyName: facultyData?.name || 'Unknown',
-            enrolledDate: enrollmentsSnapshot.docs[index].data().enrolledAt
-          });
-        }
-      });
+    if (report.sessions.length > 0) {
+      doc.moveDown();
+      doc.font('Helvetica').fontSize(7).text(
+        report.sessions.map((session, i) => `${i + 1}: ${session.label}`).join('   '),
+        doc.page.margins.left
+      );
     }
+    doc.end();
+  });
+}
 
-    res.json({ success: true, courses });
-  } catch (error) {
-    console.error('Error fetching courses:', error);
-    res.status(500).json({ error: 'Failed to fetch courses' });
-  }
-});
-
-// Get Student Timetable (aggregated from all courses) - OPTIMIZED
-app.get('/api/student/timetable', verifyToken, async (req, res) => {
+// Attendance register for a course: student × session matrix with P/A/E marks
+app.get('/api/faculty/course/:courseId/report', verifyToken, requireRole('faculty'), async (req, res) => {
   try {
-    const userId = req.user.uid;
+    const { courseId } = req.params;
+    const format = (req.query.format || 'csv').toLowerCase();
 
-    // Check cache
-    const cacheKey = `timetable:${userId}`;
-    const cached = studentCache.get(cacheKey);
-    if (cached) {
-      console.log(`✅ Cache hit: timetable for ${userId}`);
-      return res.json(cached);
+    if (!REPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${REPORT_FORMATS.join(', ')}` });
+    }
+    const from = parseDateInput(req.query.from);
+    let to = parseDateInput(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({ error: 'from and to must be valid dates (YYYY-MM-DD)' });
+    }
+    if (to) to = campusDayEnd(to);
+    if (from && to && from > to) {
+      return res.status(400).json({ error: 'from must be before to' });
     }
 
-    console.log(`📅 Cache miss: fetching timetable for ${userId}`);
+    const courseDoc = await loadCourseForUser(req, res, courseId, 'reports.view');
+    if (!courseDoc) return;
 
-    // Get enrolled courses
-    const enrollmentsSnapshot = await db.collection('enrollments')
-      .where('studentId', '==', userId)
-      .where('isActive', '==', true)
-      .get();
+    const report = await buildAttendanceReport(courseId, courseDoc.data(), from, to);
+    if (format === 'json') {
+      return res.json({ success: true, report });
+    }
 
-    const timetable = {
-      Monday: [], Tuesday: [], Wednesday: [],
-      Thursday: [], Friday: [], Saturday: []
+    const filename = `attendance-${report.header.courseCode}-${report.header.section || 'all'}`.replace(/[^A-Za-z0-9_-]+/g, '_');
+    const renderers = {
+      csv: { render: renderReportCsv, type: 'text/csv; charset=utf-8' },
+      xlsx: { render: renderReportXlsx, type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+      pdf: { render: renderReportPdf, type: 'application/pdf' }
     };
+    const body = await renderers[format].render(report);
 
-    const courseIds = enrollmentsSnapshot.docs.map(doc => doc.data().courseId);
-
-    // OPTIMIZED: Batch read courses
-    if (courseIds.length > 0) {
-      const courseRefs = courseIds.map(id => db.collection('courses').doc(id));
-      const courseDocs = await db.getAll(...courseRefs);
-
-      // Collect faculty IDs
-      const facultyIds = [...new Set(
-        courseDocs
-          .filter(doc => doc.exists && doc.data().facultyId)
-          .map(doc => doc.data().facultyId)
-      )];
+    res.setHeader('Content-Type', renderers[format].type);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+    res.send(body);
+  } catch (error) {
+    console.error('Error generating attendance report:', error);
+    res.status(500).json({ error: 'Failed to generate attendance report' });
+  }
+});
 
-      // OPTIMIZED: Batch read faculty
-      const facultyMap = new Map();
-      if (facultyIds.length > 0) {
-        const facultyRefs = facultyIds.map(id => db.collection('faculty').doc(id));
-        const facultyDocs = await db.getAll(...facultyRefs);
+// ============================================
+// ANALYTICS
+// ============================================
 
-        facultyDocs.forEach(doc => {
-          if (doc.exists) {
-            facultyMap.set(doc.id, doc.data());
-          }
+const ANALYTICS_GROUP_BY = ['academicYear', 'section', 'batch', 'department'];
+const DISTRIBUTION_BUCKETS = [
+  { label: '<50', min: 0, max: 50 },
+  { label: '50-65', min: 50, max: 65 },
+  { label: '65-75', min: 65, max: 75 },
+  { label: '75-85', min: 75, max: 85 },
+  { label: '85-100', min: 85, max: 100.01 }
+];
+
+// Aggregate course summaries into distributions, shortage lists, faculty counts and weekly trends
+async function aggregateSummaries(summaries, { batch, groupBy }) {
+  const departments = await getDepartments(summaries.map(summary => summary.department));
+  const distribution = DISTRIBUTION_BUCKETS.map(bucket => ({ range: bucket.label, count: 0 }));
+  const belowThreshold = [];
+  const facultySessions = new Map();
+  const weeks = new Map();
+  const groups = new Map();
+  const courses = [];
+
+  for (const summary of summaries) {
+    const threshold = resolveAttendanceThreshold(summary, departments);
+    const policy = resolveExcusedPolicy(summary, departments);
+    const courseTotals = { attended: 0, counted: 0 };
+    let courseBelow = 0;
+
+    Object.entries(summary.students || {}).forEach(([studentId, student]) => {
+      if (batch && String(student.batch) !== String(batch)) return;
+      const totals = applyExcusedPolicy(student, policy);
+      const percentage = ratioPercentage(totals);
+      if (percentage === null) return;
+
+      courseTotals.attended += totals.attended;
+      courseTotals.counted += totals.counted;
+      const bucket = DISTRIBUTION_BUCKETS.findIndex(b => percentage >= b.min && percentage < b.max);
+      if (bucket >= 0) distribution[bucket].count++;
+
+      if (percentage < threshold) {
+        courseBelow++;
+        belowThreshold.push({
+          studentId,
+          name: student.name || 'Unknown',
+          rollNo: student.rollNo || 'N/A',
+          batch: student.batch ?? null,
+          courseId: summary.courseId,
+          courseCode: summary.courseCode,
+          section: summary.section ?? null,
+          percentage,
+          threshold
         });
       }
 
-      // Build timetable
-      courseDocs.forEach(courseDoc => {
-        if (courseDoc.exists) {
-          const course = courseDoc.data();
-          const facultyData = facultyMap.get(course.facultyId);
+      if (groupBy) {
+        const key = String((groupBy === 'batch' ? student.batch : summary[groupBy]) ?? 'unknown');
+        const group = groups.get(key) || { attended: 0, counted: 0, studentCourses: 0, belowThreshold: 0 };
+        group.attended += totals.attended;
+        group.counted += totals.counted;
+        group.studentCourses++;
+        if (percentage < threshold) group.belowThreshold++;
+        groups.set(key, group);
+      }
+    });
 
-          if (Array.isArray(course.timetable)) {
-            course.timetable.forEach(slot => {
-              if (timetable[slot.day]) {
-                timetable[slot.day].push({
-                  time: slot.time,
-                  courseCode: course.code,
-                  courseName: course.name,
-                  type: slot.type,
-                  room: slot.room,
-                  facultyName: facultyData?.name || 'Unknown'
-                });
-              }
-            });
-          }
-        }
-      });
-    }
+    facultySessions.set(summary.facultyId, (facultySessions.get(summary.facultyId) || 0) + (summary.sessionsHeld || 0));
+
+    Object.entries(summary.weeks || {}).forEach(([week, counts]) => {
+      const entry = weeks.get(week) || { sessions: 0, attended: 0, counted: 0 };
+      const totals = applyExcusedPolicy(counts, policy);
+      entry.sessions += counts.sessions || 0;
+      entry.attended += totals.attended;
+      entry.counted += totals.counted;
+      weeks.set(week, entry);
+    });
+
+    courses.push({
+      courseId: summary.courseId,
+      courseCode: summary.courseCode,
+      courseName: summary.courseName,
+      department: summary.department,
+      academicYear: summary.academicYear ?? null,
+      section: summary.section ?? null,
+      facultyId: summary.facultyId,
+      sessionsHeld: summary.sessionsHeld || 0,
+      averagePercentage: ratioPercentage(courseTotals),
+      threshold,
+      studentsBelowThreshold: courseBelow
+    });
+  }
+
+  // Faculty names for the session-count table
+  const facultyIds = [...facultySessions.keys()].filter(Boolean);
+  const facultyDocs = facultyIds.length > 0
+    ? await db.getAll(...facultyIds.map(id => db.collection('faculty').doc(id)))
+    : [];
+  const facultyNames = new Map(facultyDocs.map(doc => [doc.id, doc.exists ? doc.data().name : undefined]));
+
+  const trend = [...weeks.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([week, counts], index, all) => {
+      const percentage = ratioPercentage(counts);
+      const previous = index > 0 ? ratioPercentage(all[index - 1][1]) : null;
+      return {
+        week,
+        sessions: counts.sessions,
+        percentage,
+        change: percentage !== null && previous !== null ? Number((percentage - previous).toFixed(1)) : null
+      };
+    });
+
+  return cleanObject({
+    courses: courses.sort((a, b) => (a.averagePercentage ?? 101) - (b.averagePercentage ?? 101)),
+    distribution,
+    studentsBelowThreshold: belowThreshold.sort((a, b) => a.percentage - b.percentage),
+    faculty: facultyIds.map(id => ({
+      facultyId: id,
+      name: facultyNames.get(id) || 'Unknown',
+      sessionsHeld: facultySessions.get(id)
+    })).sort((a, b) => b.sessionsHeld - a.sessionsHeld),
+    trend,
+    groups: groupBy
+      ? [...groups.entries()].map(([key, group]) => ({
+        [groupBy]: key,
+        studentCourses: group.studentCourses,
+        belowThreshold: group.belowThreshold,
+        percentage: ratioPercentage(group)
+      }))
+      : undefined
+  });
+}
+
+// Read summaries matching the common filters (?academicYear=&section=&includeArchived=)
+async function loadSummaries({ department, academicYear, section, includeArchived }) {
+  let query = db.collection('attendanceSummaries');
+  if (department) query = query.where('department', '==', department);
+  if (academicYear) query = query.where('academicYear', '==', academicYear);
+  if (section) query = query.where('section', '==', section);
+
+  const snapshot = await query.get();
+  return snapshot.docs
+    .map(doc => doc.data())
+    .filter(summary => includeArchived || summary.isActive !== false);
+}
+
+function parseAnalyticsQuery(query) {
+  const groupBy = query.groupBy || undefined;
+  if (groupBy && !ANALYTICS_GROUP_BY.includes(groupBy)) {
+    return { error: `groupBy must be one of: ${ANALYTICS_GROUP_BY.join(', ')}` };
+  }
+  return {
+    filters: {
+      academicYear: query.academicYear || undefined,
+      section: query.section || undefined,
+      includeArchived: query.includeArchived === 'true'
+    },
+    batch: query.batch || undefined,
+    groupBy
+  };
+}
 
-    // Sort each day's slots by time
-    Object.keys(timetable).forEach(day => {
-      timetable[day].sort((a, b) => {
-        const timeA = a.time.split(' - ')[0];
-        const timeB = b.time.split(' - ')[0];
-        return timeA.localeCompare(timeB);
-      });
-    });
+// Department analytics (admins, or the department's HoD)
+app.get('/api/analytics/departments/:department', verifyToken, requireRole('faculty', 'admin'), async (req, res) => {
+  try {
+    const { filters, batch, groupBy, error } = parseAnalyticsQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    const result = { success: true, timetable };
+    const departmentId = departmentIdFor(req.params.department);
+    const department = (await getDepartments([departmentId])).get(departmentId);
+    if (getUserRole(req.user) !== 'admin' && department?.hodId !== req.user.uid) {
+      return forbidden(res, 'Only admins and the head of department can view department analytics');
+    }
 
-    // Cache for 1 hour
-    studentCache.set(cacheKey, result);
+    // Courses may store the department as typed ("cse"), so match on both forms
+    const summaries = [
+      ...await loadSummaries({ ...filters, department: departmentId }),
+      ...(req.params.department !== departmentId ? await loadSummaries({ ...filters, department: req.params.department }) : [])
+    ];
+    const analytics = await aggregateSummaries(summaries, { batch, groupBy });
 
-    res.json(result);
+    res.json({ success: true, department: departmentId, filters: cleanObject({ ...filters, batch, groupBy }), ...analytics });
   } catch (error) {
-    console.error('Error fetching timetable:', error);
-    res.status(500).json({ error: 'Failed to fetch timetable' });
+    console.error('Error fetching department analytics:', error);
+    res.status(500).json({ error: 'Failed to fetch department analytics' });
   }
 });
 
-
-// ============================================
-// FACULTY ROUTES
-// ============================================
-
-// Create/Update Faculty Profile
-app.post('/api/faculty/profile', verifyToken, async (req, res) => {
+// Institute-wide analytics (admins only); groupBy defaults to department
+app.get('/api/analytics/institute', verifyToken, requireRole('admin'), async (req, res) => {
   try {
-    // Accept both minimal and detailed payloads
-    const {
-      name,
-      employeeId,
-      designation,
-      department,
-      specialization,
-      email: emailFromBody
-    } = req.body;
-    const userId = req.user.uid;
-
-    const facultyData = cleanObject({
-      userId,
-      email: req.user.email || emailFromBody,
-      name,
-      employeeId,
-      designation,
-      department,
-      specialization,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      createdAt: admin.firestore.FieldValue.serverTimestamp()
-    });
+    const { filters, batch, groupBy, error } = parseAnalyticsQuery({ groupBy: 'department', ...req.query });
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    await db.collection('faculty').doc(userId).set(facultyData, { merge: true });
+    const summaries = await loadSummaries(filters);
+    const analytics = await aggregateSummaries(summaries, { batch, groupBy });
 
-    res.json({ success: true, faculty: facultyData });
+    res.json({ success: true, filters: cleanObject({ ...filters, batch, groupBy }), ...analytics });
   } catch (error) {
-    console.error('Error creating faculty profile:', error);
-    res.status(500).json({ error: 'Failed to create faculty profile' });
+    console.error('Error fetching institute analytics:', error);
+    res.status(500).json({ error: 'Failed to fetch institute analytics' });
   }
 });
 
-// Create Course
-app.post('/api/faculty/courses', verifyToken, async (req, res) => {
+const REBUILD_PAGE_SIZE = 10; // courses per rebuild request, so each request finishes well inside the timeout
+const MAX_REBUILD_PAGE_SIZE = 50;
+
+// Rebuild summaries from raw attendance (backfill, or after bulk data fixes).
+// { courseId } rebuilds one course. Otherwise courses are rebuilt a page at a time in id order:
+// send back the returned nextCursor until done is true. Summaries whose course no longer
+// exists are deleted along the way.
+app.post('/api/admin/analytics/rebuild', verifyToken, requireRole('admin'), async (req, res) => {
   try {
-    const { code, name, credits, semester, department, academicYear } = req.body;
-    const facultyId = req.user.uid;
+    const { courseId, cursor } = req.body || {};
+    const limit = Math.min(parseInt(req.body?.limit) || REBUILD_PAGE_SIZE, MAX_REBUILD_PAGE_SIZE);
+    const documentId = admin.firestore.FieldPath.documentId();
 
-    // Basic validation to give user-friendly 400 instead of 500
-    if (!code || !name || !department) {
-      return res.status(400).json({ error: 'Missing required fields: code, name, department' });
+    let courseIds;
+    let orphanRefs;
+    let nextCursor = null;
+    if (courseId) {
+      const [courseDoc, summaryDoc] = await db.getAll(
+        db.collection('courses').doc(courseId),
+        db.collection('attendanceSummaries').doc(courseId)
+      );
+      courseIds = courseDoc.exists ? [courseId] : [];
+      orphanRefs = !courseDoc.exists && summaryDoc.exists ? [summaryDoc.ref] : [];
+    } else {
+      let query = db.collection('courses').orderBy(documentId).select();
+      if (cursor) query = query.startAfter(String(cursor));
+      const snapshot = await query.limit(limit + 1).get();
+      courseIds = snapshot.docs.slice(0, limit).map(doc => doc.id);
+      if (snapshot.size > limit) nextCursor = courseIds[courseIds.length - 1];
+
+      // Summaries share their course's id, so the ones in this page's id range without a course are orphans
+      let summaryQuery = db.collection('attendanceSummaries').select();
+      if (cursor) summaryQuery = summaryQuery.where(documentId, '>', String(cursor));
+      if (nextCursor) summaryQuery = summaryQuery.where(documentId, '<=', nextCursor);
+      const summarySnapshot = await summaryQuery.get();
+      orphanRefs = summarySnapshot.docs.filter(doc => !courseIds.includes(doc.id)).map(doc => doc.ref);
     }
+    await commitInBatches(orphanRefs.map(ref => batch => batch.delete(ref)));
+
+    let sessionsApplied = 0;
+    for (const id of courseIds) {
+      const sessionsSnapshot = await db.collection('sessions').where('courseId', '==', id).get();
+      // Planned and cancelled sessions never reach the summary unless they were once applied
+      const sessionDocs = sessionsSnapshot.docs.filter(doc =>
+        sessionState(doc.data()) === 'closed' || doc.data().summaryApplied
+      );
 
-    const courseData = cleanObject({
-      code,
-      name,
-      credits, // optional
-      semester,
-      department,
-      academicYear, // optional, used by guide
-      facultyId,
-      isActive: true,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    });
+      // Start from an empty summary and forget what each session contributed
+      await commitInBatches([
+        batch => batch.delete(db.collection('attendanceSummaries').doc(id)),
+        ...sessionDocs.map(doc => batch => batch.update(doc.ref, {
+          summaryApplied: admin.firestore.FieldValue.delete()
+        }))
+      ]);
+      for (const sessionDoc of sessionDocs) {
+        if (await applySessionToSummary(sessionDoc.id)) sessionsApplied++;
+      }
+    }
 
-    const courseRef = await db.collection('courses').add(courseData);
+    await logAdminAction(req, 'analytics.rebuild', 'course', courseId || 'all', cleanObject({
+      courses: courseIds.length,
+      sessionsApplied,
+      orphansRemoved: orphanRefs.length,
+      cursor: cursor || undefined
+    }));
 
-    res.json({ success: true, courseId: courseRef.id, course: { id: courseRef.id, ...courseData } });
+    res.json({
+      success: true,
+      courses: courseIds.length,
+      sessionsApplied,
+      orphansRemoved: orphanRefs.length,
+      nextCursor,
+      done: nextCursor === null
+    });
   } catch (error) {
-    console.error('Error creating course:', error);
-    res.status(500).json({ error: 'Failed to create course' });
+    console.error('Error rebuilding analytics:', error);
+    res.status(500).json({ error: 'Failed to rebuild analytics' });
   }
 });
 
-// List Courses for faculty
-app.get('/api/faculty/courses', verifyToken, async (req, res) => {
+// ============================================
+// ADMIN ROUTES
+// ============================================
+
+// Look up a user by uid or email (?uid= or ?email=)
+app.get('/api/admin/users', verifyToken, requireRole('admin'), async (req, res) => {
   try {
-    const facultyId = req.user.uid;
-    const snapshot = await db.collection('courses')
-      .where('facultyId', '==', facultyId)
-      .get();
+    const { uid, email } = req.query;
+    if (!uid && !email) {
+      return res.status(400).json({ error: 'uid or email query parameter is required' });
+    }
 
-    const courses = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-    res.json({ success: true, courses });
+    let user;
+    try {
+      user = uid ? await auth.getUser(uid) : await auth.getUserByEmail(email);
+    } catch (err) {
+      if (err?.errorInfo?.code === 'auth/user-not-found') {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      throw err;
+    }
+
+    res.json({
+      success: true,
+      user: {
+        uid: user.uid,
+        email: user.email,
+        displayName: user.displayName || null,
+        disabled: user.disabled,
+        role: getUserRole(user.customClaims),
+        customClaims: user.customClaims || {},
+        lastSignInTime: user.metadata.lastSignInTime || null
+      }
+    });
   } catch (error) {
-    console.error('Error listing courses:', error);
-    res.status(500).json({ error: 'Failed to list courses' });
+    console.error('Error looking up user:', error);
+    res.status(500).json({ error: 'Failed to look up user' });
   }
 });
 
-// Create full class (course + timetable + roster import)
-app.post('/api/faculty/classes/full', verifyToken, async (req, res) => {
+// Invite or create a faculty account (Auth user + role claim + faculty profile)
+app.post('/api/admin/faculty', verifyToken, requireRole('admin'), async (req, res) => {
   try {
-    const facultyId = req.user.uid;
-    const {
-      branch, // department
-      year, // academicYear
-      courseName,
-      courseCode,
-      className,
-      section = 'A',
-      timetable = [], // Array<{ day, time, type, room? }>
-      credits,
-      semester,
-      session
-    } = req.body || {};
+    const { email, name, employeeId, designation, department, password } = req.body || {};
 
-    if (!branch || !year || !courseName || !courseCode) {
-      return res.status(400).json({ error: 'branch, year, courseName, courseCode are required' });
+    if (!email || !name) {
+      return res.status(400).json({ error: 'email and name are required' });
     }
-
-    // Generate unique 6-character join code
-    function generateJoinCode() {
-      const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // removed confusing chars
-      let code = '';
-      for (let i = 0; i < 6; i++) {
-        code += chars.charAt(Math.floor(Math.random() * chars.length));
-      }
-      return code;
+    if (!hasValidEmail({ email })) {
+      return res.status(400).json({ error: `Faculty email must end with ${ALLOWED_EMAIL_DOMAIN}` });
+    }
+    if (password !== undefined && (typeof password !== 'string' || password.length < 8)) {
+      return res.status(400).json({ error: 'password must be at least 8 characters' });
     }
 
-    let joinCode = generateJoinCode();
-    // Ensure uniqueness
-    let existing = await db.collection('courses').where('joinCode', '==', joinCode).limit(1).get();
-    while (!existing.empty) {
-      joinCode = generateJoinCode();
-      existing = await db.collection('courses').where('joinCode', '==', joinCode).limit(1).get();
+    // Reuse an existing Auth account (e.g. a self-registered user) or create one
+    let user;
+    let created = false;
+    try {
+      user = await auth.getUserByEmail(email);
+    } catch (err) {
+      if (err?.errorInfo?.code !== 'auth/user-not-found') throw err;
+      user = await auth.createUser({
+        email,
+        password: password || generateTemporaryPassword(),
+        displayName: name,
+        emailVerified: false
+      });
+      created = true;
+    }
+    // Promoting here would silently demote an admin; role changes go through PUT /api/admin/users/:uid/role
+    if (user.customClaims?.role === 'admin') {
+      return res.status(409).json({ error: 'User is already an admin; change their role explicitly instead' });
     }
 
-    // Create course with embedded timetable and join code
-    const courseData = cleanObject({
-      code: courseCode,
-      name: courseName,
-      department: branch,
-      academicYear: year,
-      className: className || `${branch}${year}`,
-      section,
-      joinCode,
-      facultyId,
-      isActive: true,
-      timetable: Array.isArray(timetable) ? timetable : [],
-      enrolledCount: 0,
-      credits: credits || 3,
-      semester: semester || '',
-      session: session || 'Spring',
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    await auth.setCustomUserClaims(user.uid, { ...(user.customClaims || {}), role: 'faculty' });
+
+    const existingProfile = await db.collection('faculty').doc(user.uid).get();
+    const facultyData = cleanObject({
+      userId: user.uid,
+      email,
+      name,
+      employeeId,
+      designation,
+      department: department ? departmentIdFor(department) : undefined,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      createdAt: existingProfile.exists ? undefined : admin.firestore.FieldValue.serverTimestamp()
     });
+    await db.collection('faculty').doc(user.uid).set(facultyData, { merge: true });
+    facultyCache.invalidate(`faculty:${user.uid}`);
 
-    const courseRef = await db.collection('courses').add(courseData);
+    // Without an explicit password the faculty member sets their own through the invite link
+    const inviteLink = password ? undefined : await auth.generatePasswordResetLink(email);
 
-    const created = { id: courseRef.id, ...courseData };
-    res.json({ success: true, course: created });
+    await logAdminAction(req, created ? 'faculty.create' : 'faculty.promote', 'user', user.uid, cleanObject({
+      email,
+      department: facultyData.department
+    }));
+
+    res.json(cleanObject({
+      success: true,
+      created,
+      uid: user.uid,
+      faculty: facultyData,
+      inviteLink
+    }));
   } catch (error) {
-    console.error('Error creating full class:', error);
-    res.status(500).json({ error: 'Failed to create full class' });
+    console.error('Error creating faculty account:', error);
+    res.status(500).json({ error: 'Failed to create faculty account' });
   }
 });
 
-// Delete a course
-app.delete('/api/faculty/courses/:courseId', verifyToken, async (req, res) => {
+// Set a user's role claim
+app.put('/api/admin/users/:uid/role', verifyToken, requireRole('admin'), async (req, res) => {
   try {
-    const facultyId = req.user.uid;
-    const { courseId } = req.params;
+    const { uid } = req.params;
+    const { role } = req.body || {};
 
-    if (!courseId) {
-      return res.status(400).json({ error: 'courseId is required' });
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
     }
-
-    // Check if course exists and belongs to faculty
-    const courseDoc = await db.collection('courses').doc(courseId).get();
-
-    if (!courseDoc.exists) {
-      return res.status(404).json({ error: 'Course not found' });
+    if (uid === req.user.uid && role !== 'admin') {
+      return res.status(400).json({ error: 'You cannot remove your own admin role' });
     }
 
-    const courseData = courseDoc.data();
-    if (courseData.facultyId !== facultyId) {
-      return res.status(403).json({ error: 'Not authorized to delete this course' });
+    const user = await auth.getUser(uid);
+    const previousRole = user.customClaims?.role || null;
+    await auth.setCustomUserClaims(uid, { ...(user.customClaims || {}), role });
+    // ROLES runs from fewest to most rights; a demotion signs the user out so the old role stops working
+    const demoted = ROLES.indexOf(role) < ROLES.indexOf(getUserRole(user.customClaims));
+    if (demoted) {
+      await auth.revokeRefreshTokens(uid);
+      revocationCache.invalidate(uid);
     }
 
-    // Delete the course
-    await db.collection('courses').doc(courseId).delete();
+    await logAdminAction(req, 'user.setRole', 'user', uid, { email: user.email, role, previousRole });
 
-    const studentEmail = req.body.studentEmail || req.body.studentId || req.body.email;
+    res.json({
+      success: true,
+      uid,
+      role,
+      previousRole,
+      message: demoted
+        ? 'Role updated. The user has been signed out and must sign in again'
+        : 'Role updated. It takes effect when the user next signs in or their token refreshes (within an hour)'
+    });
+  } catch (error) {
+    if (error?.errorInfo?.code === 'auth/user-not-found') {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    console.error('Error setting role:', error);
+    res.status(500).json({ error: 'Failed to set role' });
+  }
+});
 
-    if (!courseId || !studentEmail) {
-      return res.status(400).json({ error: 'courseId and student email are required' });
+// Revoke a user's role claim (they fall back to student access)
+app.delete('/api/admin/users/:uid/role', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { uid } = req.params;
+    if (uid === req.user.uid) {
+      return res.status(400).json({ error: 'You cannot remove your own admin role' });
     }
 
-    // Find student by email
-    const studentSnapshot = await db.collection('students')
-      .where('email', '==', studentEmail)
-      .limit(1)
-      .get();
+    const user = await auth.getUser(uid);
+    const { role: previousRole = null, ...otherClaims } = user.customClaims || {};
+    await auth.setCustomUserClaims(uid, otherClaims);
+    // Force a fresh sign-in so the old role stops working as soon as possible
+    await auth.revokeRefreshTokens(uid);
+    revocationCache.invalidate(uid);
 
-    if (studentSnapshot.empty) {
-      return res.status(404).json({ error: 'Student not found' });
-    }
+    await logAdminAction(req, 'user.revokeRole', 'user', uid, { email: user.email, previousRole });
 
-    const studentDoc = studentSnapshot.docs[0];
-    const studentId = studentDoc.id;
+    res.json({ success: true, uid, previousRole });
+  } catch (error) {
+    if (error?.errorInfo?.code === 'auth/user-not-found') {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    console.error('Error revoking role:', error);
+    res.status(500).json({ error: 'Failed to revoke role' });
+  }
+});
 
-    // Check if already enrolled
-    const existingEnrollment = await db.collection('enrollments')
-      .where('studentId', '==', studentId)
-      .where('courseId', '==', courseId)
-      .limit(1)
-      .get();
+// Disable or re-enable an account
+app.put('/api/admin/users/:uid/status', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { uid } = req.params;
+    const { disabled } = req.body || {};
 
-    if (!existingEnrollment.empty) {
-      return res.status(400).json({ error: 'Student already enrolled' });
+    if (typeof disabled !== 'boolean') {
+      return res.status(400).json({ error: 'disabled (boolean) is required' });
+    }
+    if (uid === req.user.uid && disabled) {
+      return res.status(400).json({ error: 'You cannot disable your own account' });
     }
 
-    // Enroll student
-    const enrollmentData = {
-      studentId,
-      courseId,
-      isActive: true,
-      enrolledAt: admin.firestore.FieldValue.serverTimestamp()
-    };
+    const user = await auth.updateUser(uid, { disabled });
+    if (disabled) {
+      await auth.revokeRefreshTokens(uid);
+      revocationCache.invalidate(uid);
+    }
 
-    await db.collection('enrollments').add(enrollmentData);
+    await logAdminAction(req, disabled ? 'user.disable' : 'user.enable', 'user', uid, { email: user.email });
 
-    res.json({ success: true, message: 'Student enrolled successfully' });
+    res.json({ success: true, uid, disabled });
   } catch (error) {
-    console.error('Error enrolling student:', error);
-    res.status(500).json({ error: 'Failed to enroll student' });
+    if (error?.errorInfo?.code === 'auth/user-not-found') {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    console.error('Error updating account status:', error);
+    res.status(500).json({ error: 'Failed to update account status' });
   }
 });
 
-// Generate QR Code for Session
-app.post('/api/faculty/generate-qr', verifyToken, async (req, res) => {
+// List departments
+app.get('/api/admin/departments', verifyToken, requireRole('admin'), async (req, res) => {
   try {
-    // Accept both old keys and the ones in the guide
-    const courseId = req.body.courseId;
-    const roomNumber = req.body.roomNumber;
-    const location = req.body.location || {};
-    const latitude = req.body.latitude ?? location.latitude;
-    const longitude = req.body.longitude ?? location.longitude;
-    const radius = req.body.radius ?? req.body.geofenceRadius ?? (location.radius ?? 50);
-    const validitySeconds = req.body.validitySeconds ?? (req.body.expiresIn ? Number(req.body.expiresIn) : 300);
-    const facultyId = req.user.uid;
+    const snapshot = await db.collection('departments').get();
+    const departments = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => a.code.localeCompare(b.code));
+    res.json({ success: true, departments });
+  } catch (error) {
+    console.error('Error listing departments:', error);
+    res.status(500).json({ error: 'Failed to list departments' });
+  }
+});
 
-    // Validate required inputs early with clear message
-    if (!courseId) {
-      return res.status(400).json({ error: 'courseId is required' });
+// Create a department
+app.post('/api/admin/departments', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { code, name, hodId } = req.body || {};
+    if (!code || !name) {
+      return res.status(400).json({ error: 'code and name are required' });
     }
-    if (latitude === undefined || longitude === undefined) {
-      return res.status(400).json({ error: 'location.latitude and location.longitude are required' });
+    const attendanceThreshold = parseAttendanceThreshold(req.body.attendanceThreshold);
+    if (attendanceThreshold === null) {
+      return res.status(400).json({ error: 'attendanceThreshold must be a percentage between 1 and 100' });
+    }
+    const excusedPolicy = parseExcusedPolicy(req.body.excusedPolicy);
+    if (excusedPolicy === null) {
+      return res.status(400).json({ error: `excusedPolicy must be one of: ${EXCUSED_POLICIES.join(', ')}` });
     }
 
-    // Verify faculty teaches this course
-    const courseDoc = await db.collection('courses').doc(courseId).get();
-    if (!courseDoc.exists) {
-      return res.status(404).json({ error: 'Course not found' });
+    const departmentId = departmentIdFor(code);
+    const departmentRef = db.collection('departments').doc(departmentId);
+    const existing = await departmentRef.get();
+    if (existing.exists) {
+      return res.status(409).json({ error: `Department ${departmentId} already exists` });
     }
 
-    const course = courseDoc.data();
-    if (course.facultyId !== facultyId) {
-      return res.status(403).json({ error: 'You are not authorized to create sessions for this course' });
+    const departmentData = cleanObject({
+      code: departmentId,
+      name,
+      hodId,
+      attendanceThreshold,
+      excusedPolicy,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    await departmentRef.set(departmentData);
+    courseCache.invalidate(`department:${departmentId}`);
+
+    await logAdminAction(req, 'department.create', 'department', departmentId, { name });
+
+    res.json({ success: true, department: { id: departmentId, ...departmentData } });
+  } catch (error) {
+    console.error('Error creating department:', error);
+    res.status(500).json({ error: 'Failed to create department' });
+  }
+});
+
+// Update a department
+app.put('/api/admin/departments/:departmentId', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const departmentId = departmentIdFor(req.params.departmentId);
+    const { name, hodId } = req.body || {};
+    const attendanceThreshold = parseAttendanceThreshold(req.body?.attendanceThreshold);
+    if (attendanceThreshold === null) {
+      return res.status(400).json({ error: 'attendanceThreshold must be a percentage between 1 and 100' });
+    }
+    const excusedPolicy = parseExcusedPolicy(req.body?.excusedPolicy);
+    if (excusedPolicy === null) {
+      return res.status(400).json({ error: `excusedPolicy must be one of: ${EXCUSED_POLICIES.join(', ')}` });
     }
 
-    // Create session
-    const sessionData = cleanObject({
-      courseId,
-      courseName: course.name,
-      courseCode: course.code,
-      facultyId,
-      date: admin.firestore.Timestamp.now(),
-      startTime: new Date().toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' }),
-      roomNumber,
-      locationLatitude: latitude,
-      locationLongitude: longitude,
-      geofenceRadius: radius,
-      presentCount: 0,
-      totalStudents: 0,
-      isActive: true,
-      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    const departmentRef = db.collection('departments').doc(departmentId);
+    const existing = await departmentRef.get();
+    if (!existing.exists) {
+      return res.status(404).json({ error: 'Department not found' });
+    }
+
+    const updates = cleanObject({
+      name,
+      hodId,
+      attendanceThreshold,
+      excusedPolicy,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
+    await departmentRef.update(updates);
+    courseCache.invalidate(`department:${departmentId}`);
+    // Dashboards embed per-course thresholds
+    studentCache.invalidate('dashboard:');
 
-    const sessionRef = await db.collection('sessions').add(sessionData);
-    const sessionId = sessionRef.id;
+    await logAdminAction(req, 'department.update', 'department', departmentId, cleanObject({ name, hodId, attendanceThreshold, excusedPolicy }));
 
-    // Generate QR payload
-    const qrPayload = generateQRPayload(
-      sessionId,
-      courseId,
-      facultyId,
-      { latitude, longitude, radius },
-      validitySeconds * 1000
-    );
+    res.json({ success: true, department: { id: departmentId, ...existing.data(), ...updates } });
+  } catch (error) {
+    console.error('Error updating department:', error);
+    res.status(500).json({ error: 'Failed to update department' });
+  }
+});
 
-    // Store active QR
-    await db.collection('activeQRs').doc(sessionId).set(cleanObject({
-      ...qrPayload,
-      createdAt: admin.firestore.FieldValue.serverTimestamp()
-    }));
+// Delete a department
+app.delete('/api/admin/departments/:departmentId', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const departmentId = departmentIdFor(req.params.departmentId);
+    const departmentRef = db.collection('departments').doc(departmentId);
+    const existing = await departmentRef.get();
+    if (!existing.exists) {
+      return res.status(404).json({ error: 'Department not found' });
+    }
 
-    res.json({
-      success: true,
-      sessionId,
-      qrData: JSON.stringify(cleanObject(qrPayload)),
-      qrPayload: cleanObject(qrPayload),
-      expiresIn: validitySeconds,
-      session: { id: sessionId, ...sessionData }
-    });
+    await departmentRef.delete();
+    courseCache.invalidate(`department:${departmentId}`);
+
+    await logAdminAction(req, 'department.delete', 'department', departmentId, { name: existing.data().name });
 
+    res.json({ success: true, message: 'Department deleted successfully' });
   } catch (error) {
-    console.error('Error generating QR:', error);
-    res.status(500).json({ error: 'Failed to generate QR code' });
+    console.error('Error deleting department:', error);
+    res.status(500).json({ error: 'Failed to delete department' });
   }
 });
 
-// Get Live Attendance for Session - OPTIMIZED
-app.get('/api/faculty/session/:sessionId/attendance', verifyToken, async (req, res) => {
+// Reassign a course to another faculty member (e.g. when a teacher leaves)
+app.put('/api/admin/courses/:courseId/faculty', verifyToken, requireRole('admin'), async (req, res) => {
   try {
-    const { sessionId } = req.params;
+    const { courseId } = req.params;
+    const { facultyId: facultyIdFromBody, facultyEmail } = req.body || {};
 
-    // Get session
-    const sessionDoc = await db.collection('sessions').doc(sessionId).get();
-    if (!sessionDoc.exists) {
-      return res.status(404).json({ error: 'Session not found' });
+    if (!facultyIdFromBody && !facultyEmail) {
+      return res.status(400).json({ error: 'facultyId or facultyEmail is required' });
     }
 
-    const session = sessionDoc.data();
+    const courseRef = db.collection('courses').doc(courseId);
+    const courseDoc = await courseRef.get();
+    if (!courseDoc.exists) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
 
-    // Get attendance records
-    const attendanceSnapshot = await db.collection('attendance')
-      .where('sessionId', '==', sessionId)
-      .orderBy('markedAt', 'desc')
-      .get();
+    let newFaculty;
+    try {
+      newFaculty = facultyIdFromBody ? await auth.getUser(facultyIdFromBody) : await auth.getUserByEmail(facultyEmail);
+    } catch (err) {
+      if (err?.errorInfo?.code === 'auth/user-not-found') {
+        return res.status(404).json({ error: 'Faculty user not found' });
+      }
+      throw err;
+    }
+    if (newFaculty.customClaims?.role !== 'faculty') {
+      return res.status(400).json({ error: 'Target user does not have the faculty role' });
+    }
 
-    // OPTIMIZED: Use denormalized data (no additional student reads!)
-    const attendees = attendanceSnapshot.docs.map(doc => {
-      const data = doc.data();
-      return {
-        id: doc.id,
-        studentId: data.studentId,
-        studentName: data.studentName || 'Unknown',  // Denormalized
-        rollNo: data.studentRollNo || 'N/A',  // Denormalized
-        status: data.status,
-        markedAt: data.markedAt,
-        distance: data.distanceFromClass
-      };
+    const previousFacultyId = courseDoc.data().facultyId || null;
+    await courseRef.update({
+      facultyId: newFaculty.uid,
+      // The new owner is the instructor, so drop any co-instructor/TA entry they had
+      [`staff.${newFaculty.uid}`]: admin.firestore.FieldValue.delete(),
+      staffIds: admin.firestore.FieldValue.arrayRemove(newFaculty.uid),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
+    invalidateCourseCache(courseId);
+    await syncSummaryHeader(courseId);
 
-    res.json({
-      session: { id: sessionDoc.id, ...session },
-      attendees,
-      presentCount: attendees.filter(a => a.status === 'present').length,
-      totalAttendees: attendees.length
+    await logAdminAction(req, 'course.reassign', 'course', courseId, {
+      previousFacultyId,
+      facultyId: newFaculty.uid,
+      facultyEmail: newFaculty.email
     });
 
+    res.json({ success: true, courseId, facultyId: newFaculty.uid, previousFacultyId });
   } catch (error) {
-    console.error('Error fetching session attendance:', error);
-    res.status(500).json({ error: 'Failed to fetch session attendance' });
+    console.error('Error reassigning course:', error);
+    res.status(500).json({ error: 'Failed to reassign course' });
   }
 });
 
-// Stop Session
-app.post('/api/faculty/session/:sessionId/stop', verifyToken, async (req, res) => {
+// Admin action log (newest first)
+app.get('/api/admin/audit-log', verifyToken, requireRole('admin'), async (req, res) => {
   try {
-    const { sessionId } = req.params;
+    const { action, actorId, limit = 50 } = req.query;
 
-    await db.collection('sessions').doc(sessionId).update({
-      isActive: false,
-      endedAt: admin.firestore.FieldValue.serverTimestamp()
-    });
+    let query = db.collection('adminAuditLog');
+    if (action) query = query.where('action', '==', action);
+    if (actorId) query = query.where('actorId', '==', actorId);
 
-    await db.collection('activeQRs').doc(sessionId).delete();
+    const snapshot = await query
+      .orderBy('createdAt', 'desc')
+      .limit(Math.min(parseInt(limit) || 50, 200))
+      .get();
 
-    res.json({ success: true, message: 'Session stopped successfully' });
+    const entries = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    res.json({ success: true, entries });
   } catch (error) {
-    console.error('Error stopping session:', error);
-    res.status(500).json({ error: 'Failed to stop session' });
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
   }
 });
 
-// List enrolled students for a course (faculty view)
-app.get('/api/faculty/course/:courseId/students', verifyToken, async (req, res) => {
-  try {
-    const { courseId } = req.params;
-    const sessionId = req.query.sessionId; // optional: provide session to include present status
+// ============================================
+// ACADEMIC CALENDAR
+// ============================================
 
-    // Verify requesting user is faculty for this course
-    const courseDoc = await db.collection('courses').doc(courseId).get();
-    if (!courseDoc.exists) {
-      return res.status(404).json({ error: 'Course not found' });
+// Validate academic calendar fields (partial for updates)
+function validateCalendarInput(body, { partial = false } = {}) {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    if (!body.name || typeof body.name !== 'string' || !body.name.trim()) {
+      return { error: 'name is required' };
     }
-    const course = courseDoc.data();
-    if (course.facultyId !== req.user.uid) {
-      return res.status(403).json({ error: 'Not authorized for this course' });
+    data.name = body.name.trim();
+  }
+  for (const field of ['startDate', 'endDate']) {
+    if (body[field] !== undefined || !partial) {
+      data[field] = parseCalendarDate(body[field]);
+      if (!data[field]) {
+        return { error: `${field} must be a date (YYYY-MM-DD)` };
+      }
     }
+  }
 
-    // Get enrollments
-    const enrollmentsSnapshot = await db.collection('enrollments')
-      .where('courseId', '==', courseId)
-      .where('isActive', '==', true)
-      .get();
-
-    const studentIds = enrollmentsSnapshot.docs.map(d => d.data().studentId);
-    const students = [];
-    for (const sid of studentIds) {
-      const sDoc = await db.collection('students').doc(sid).get();
-      if (sDoc.exists) {
-        students.push({ id: sid, ...sDoc.data() });
-      }
+  if (body.holidays !== undefined) {
+    if (!Array.isArray(body.holidays)) {
+      return { error: 'holidays must be an array' };
     }
+    data.holidays = body.holidays.map(holiday => cleanObject({
+      date: parseCalendarDate(holiday?.date),
+      name: typeof holiday?.name === 'string' && holiday.name.trim() ? holiday.name.trim() : undefined
+    }));
+    if (data.holidays.some(holiday => !holiday.date)) {
+      return { error: 'Each holiday needs a date (YYYY-MM-DD)' };
+    }
+    data.holidays.sort((a, b) => a.date.localeCompare(b.date));
+  }
 
-    let presentSet = new Set();
-    if (sessionId) {
-      const attendanceSnapshot = await db.collection('attendance')
-        .where('sessionId', '==', sessionId)
-        .where('status', '==', 'present')
-        .get();
-      presentSet = new Set(attendanceSnapshot.docs.map(d => d.data().studentId));
+  if (body.examBlocks !== undefined) {
+    if (!Array.isArray(body.examBlocks)) {
+      return { error: 'examBlocks must be an array' };
+    }
+    data.examBlocks = body.examBlocks.map(block => cleanObject({
+      type: block?.type,
+      startDate: parseCalendarDate(block?.startDate),
+      endDate: parseCalendarDate(block?.endDate),
+      name: typeof block?.name === 'string' && block.name.trim() ? block.name.trim() : undefined
+    }));
+    if (data.examBlocks.some(block => !EXAM_BLOCK_TYPES.includes(block.type))) {
+      return { error: `Exam block type must be one of: ${EXAM_BLOCK_TYPES.join(', ')}` };
     }
+    if (data.examBlocks.some(block => !block.startDate || !block.endDate || block.startDate > block.endDate)) {
+      return { error: 'Each exam block needs startDate on or before endDate (YYYY-MM-DD)' };
+    }
+    data.examBlocks.sort((a, b) => a.startDate.localeCompare(b.startDate));
+  }
 
-    const result = students.map(s => ({
-      id: s.id,
-      name: s.name || 'Unknown',
-      rollNo: s.rollNo || s.rollNumber || 'N/A',
-      present: presentSet.has(s.id)
+  if (body.daySwaps !== undefined) {
+    if (!Array.isArray(body.daySwaps)) {
+      return { error: 'daySwaps must be an array' };
+    }
+    data.daySwaps = body.daySwaps.map(swap => cleanObject({
+      date: parseCalendarDate(swap?.date),
+      followsDay: swap?.followsDay,
+      note: typeof swap?.note === 'string' && swap.note.trim() ? swap.note.trim() : undefined
     }));
+    if (data.daySwaps.some(swap => !swap.date || !WEEKDAYS.slice(1).includes(swap.followsDay))) {
+      return { error: 'Each day swap needs a date (YYYY-MM-DD) and followsDay (Monday to Saturday)' };
+    }
+    if (new Set(data.daySwaps.map(swap => swap.date)).size !== data.daySwaps.length) {
+      return { error: 'A date can only have one day swap' };
+    }
+    data.daySwaps.sort((a, b) => a.date.localeCompare(b.date));
+  }
 
-    res.json({ success: true, students: result });
+  return { data };
+}
+
+// Checks on a complete semester: every date inside it, and no overlap with another semester
+function checkCalendarConsistency(calendar, calendars) {
+  const { startDate, endDate } = calendar;
+  if (startDate > endDate) return 'startDate must be on or before endDate';
+
+  const outside = date => date < startDate || date > endDate;
+  const holiday = (calendar.holidays || []).find(h => outside(h.date));
+  if (holiday) return `Holiday ${holiday.date} is outside the semester`;
+  const exam = (calendar.examBlocks || []).find(b => outside(b.startDate) || outside(b.endDate));
+  if (exam) return `Exam block ${exam.startDate}..${exam.endDate} is outside the semester`;
+  const swap = (calendar.daySwaps || []).find(s => outside(s.date));
+  if (swap) return `Day swap ${swap.date} is outside the semester`;
+
+  const overlap = calendars.find(other =>
+    other.id !== calendar.id && other.startDate <= endDate && startDate <= other.endDate
+  );
+  if (overlap) return `Semester overlaps ${overlap.name} (${overlap.startDate} to ${overlap.endDate})`;
+  return null;
+}
+
+// Academic calendar for every portal; ?date=YYYY-MM-DD describes that day (default today)
+app.get('/api/calendar', verifyToken, requireRole('student', 'faculty', 'admin'), async (req, res) => {
+  try {
+    let date = new Date();
+    if (req.query.date !== undefined) {
+      const dateKey = parseCalendarDate(req.query.date);
+      if (!dateKey) {
+        return res.status(400).json({ error: 'date must be a date (YYYY-MM-DD)' });
+      }
+      date = dateFromKey(dateKey);
+    }
+
+    const calendars = await getAcademicCalendars();
+    res.json({ success: true, calendars, day: calendarDay(calendars, date) });
   } catch (error) {
-    console.error('Error listing enrolled students:', error);
-    res.status(500).json({ error: 'Failed to list enrolled students' });
+    console.error('Error fetching academic calendar:', error);
+    res.status(500).json({ error: 'Failed to fetch academic calendar' });
   }
 });
 
-// Manual attendance marking for a session
-app.post('/api/faculty/session/:sessionId/manual-attendance', verifyToken, async (req, res) => {
+// Create a semester
+app.post('/api/admin/calendar', verifyToken, requireRole('admin'), async (req, res) => {
   try {
-    const { sessionId } = req.params;
-    const { presentStudentIds } = req.body; // array of student IDs marked present
-    if (!Array.isArray(presentStudentIds)) {
-      return res.status(400).json({ error: 'presentStudentIds must be an array' });
+    const { data, error } = validateCalendarInput(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const calendars = await getAcademicCalendars();
+    const consistencyError = checkCalendarConsistency(data, calendars);
+    if (consistencyError) {
+      return res.status(400).json({ error: consistencyError });
     }
 
-    // Verify session exists and belongs to faculty
-    const sessionDoc = await db.collection('sessions').doc(sessionId).get();
-    if (!sessionDoc.exists) {
-      return res.status(404).json({ error: 'Session not found' });
+    const calendarData = {
+      holidays: [],
+      examBlocks: [],
+      daySwaps: [],
+      ...data,
+      createdBy: req.user.uid,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    const calendarRef = await db.collection('academicCalendar').add(calendarData);
+    invalidateCalendarCache();
+    const schedule = await replanCalendarChange(calendars, [...calendars, { id: calendarRef.id, ...calendarData }], [data]);
+
+    await logAdminAction(req, 'calendar.create', 'calendar', calendarRef.id, {
+      name: data.name,
+      startDate: data.startDate,
+      endDate: data.endDate
+    });
+
+    res.json({ success: true, calendar: { id: calendarRef.id, ...calendarData }, schedule });
+  } catch (error) {
+    console.error('Error creating academic calendar:', error);
+    res.status(500).json({ error: 'Failed to create academic calendar' });
+  }
+});
+
+// Update a semester (any of name, dates, holidays, examBlocks, daySwaps; lists are replaced)
+app.put('/api/admin/calendar/:calendarId', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { calendarId } = req.params;
+    const { data, error } = validateCalendarInput(req.body || {}, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
     }
-    const session = sessionDoc.data();
-    if (session.facultyId !== req.user.uid) {
-      return res.status(403).json({ error: 'Not authorized for this session' });
+
+    const calendarRef = db.collection('academicCalendar').doc(calendarId);
+    const existing = await calendarRef.get();
+    if (!existing.exists) {
+      return res.status(404).json({ error: 'Calendar not found' });
     }
 
-    // Fetch current present attendees
-    const currentSnapshot = await db.collection('attendance')
-      .where('sessionId', '==', sessionId)
-      .get();
+    const merged = { id: calendarId, ...existing.data(), ...data };
+    const calendars = await getAcademicCalendars();
+    const consistencyError = checkCalendarConsistency(merged, calendars);
+    if (consistencyError) {
+      return res.status(400).json({ error: consistencyError });
+    }
 
-    const currentPresentIds = new Set(
-      currentSnapshot.docs
-        .filter(d => d.data().status === 'present')
-        .map(d => d.data().studentId)
+    const updates = { ...data, updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+    await calendarRef.update(updates);
+    invalidateCalendarCache();
+    const schedule = await replanCalendarChange(
+      calendars,
+      calendars.map(calendar => calendar.id === calendarId ? merged : calendar),
+      [existing.data(), merged]
     );
 
-    // Determine adds and removals
-    const newPresentSet = new Set(presentStudentIds);
-    const toAdd = presentStudentIds.filter(id => !currentPresentIds.has(id));
-    const toRemove = Array.from(currentPresentIds).filter(id => !newPresentSet.has(id));
+    await logAdminAction(req, 'calendar.update', 'calendar', calendarId, { fields: Object.keys(data) });
 
-    // Apply additions
-    for (const studentId of toAdd) {
-      await db.collection('attendance').add({
-        sessionId,
-        courseId: session.courseId,
-        studentId,
-        status: 'present',
-        markedAt: admin.firestore.FieldValue.serverTimestamp(),
-        markedBy: 'faculty',
-        locationVerified: false,
-        manual: true
-      });
-    }
+    res.json({ success: true, calendar: { ...merged, ...updates }, schedule });
+  } catch (error) {
+    console.error('Error updating academic calendar:', error);
+    res.status(500).json({ error: 'Failed to update academic calendar' });
+  }
+});
 
-    // Apply removals (mark as absent)
-    for (const studentId of toRemove) {
-      const existing = currentSnapshot.docs.find(d => d.data().studentId === studentId && d.data().status === 'present');
-      if (existing) {
-        await db.collection('attendance').doc(existing.id).update({
-          status: 'absent',
-          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-          markedBy: 'faculty',
-          manual: true
-        });
-      }
+// Delete a semester
+app.delete('/api/admin/calendar/:calendarId', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { calendarId } = req.params;
+    const calendarRef = db.collection('academicCalendar').doc(calendarId);
+    const existing = await calendarRef.get();
+    if (!existing.exists) {
+      return res.status(404).json({ error: 'Calendar not found' });
     }
 
-    // Update presentCount delta
-    const delta = toAdd.length - toRemove.length;
-    if (delta !== 0) {
-      await db.collection('sessions').doc(sessionId).update({
-        presentCount: admin.firestore.FieldValue.increment(delta)
-      });
-    }
+    const calendars = await getAcademicCalendars();
+    await calendarRef.delete();
+    invalidateCalendarCache();
+    const schedule = await replanCalendarChange(
+      calendars,
+      calendars.filter(calendar => calendar.id !== calendarId),
+      [existing.data()]
+    );
 
-    res.json({ success: true, added: toAdd.length, removed: toRemove.length });
+    await logAdminAction(req, 'calendar.delete', 'calendar', calendarId, { name: existing.data().name });
+
+    res.json({ success: true, message: 'Calendar deleted successfully', schedule });
   } catch (error) {
-    console.error('Error in manual attendance:', error);
-    res.status(500).json({ error: 'Failed to save manual attendance' });
+    console.error('Error deleting academic calendar:', error);
+    res.status(500).json({ error: 'Failed to delete academic calendar' });
   }
 });
 
 // ============================================
-// STUDENT JOIN COURSE BY CODE
+// ROOMS REGISTRY
 // ============================================
-app.post('/api/student/join-course', verifyToken, async (req, res) => {
+
+// List registered rooms (faculty portal room picker)
+app.get('/api/rooms', verifyToken, requireRole('faculty', 'admin'), async (req, res) => {
   try {
-    const userId = req.user.uid;
-    const { joinCode } = req.body;
-    if (!joinCode) {
-      return res.status(400).json({ error: 'joinCode is required' });
+    let query = db.collection('rooms');
+    if (req.query.building) {
+      query = query.where('building', '==', req.query.building);
     }
+    const snapshot = await query.get();
 
-    // Find course by join code
-    const courseSnapshot = await db.collection('courses')
-      .where('joinCode', '==', joinCode.toUpperCase())
-      .limit(1)
-      .get();
-    if (courseSnapshot.empty) {
-      return res.status(404).json({ error: 'Invalid join code' });
+    const rooms = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => a.roomNumber.localeCompare(b.roomNumber));
+    res.json({ success: true, rooms });
+  } catch (error) {
+    console.error('Error listing rooms:', error);
+    res.status(500).json({ error: 'Failed to list rooms' });
+  }
+});
+
+// Get a single room
+app.get('/api/admin/rooms/:roomId', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const room = await getRoom(req.params.roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
     }
-    const courseDoc = courseSnapshot.docs[0];
-    const courseId = courseDoc.id;
+    res.json({ success: true, room });
+  } catch (error) {
+    console.error('Error fetching room:', error);
+    res.status(500).json({ error: 'Failed to fetch room' });
+  }
+});
 
-    // Check existing enrollment
-    const existing = await db.collection('enrollments')
-      .where('studentId', '==', userId)
-      .where('courseId', '==', courseId)
-      .limit(1)
-      .get();
-    if (!existing.empty) {
-      return res.status(400).json({ error: 'Already enrolled in this course' });
+// Register a room
+app.post('/api/admin/rooms', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { data, error } = validateRoomInput(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    // Create enrollment
-    const enrollmentData = {
-      studentId: userId,
-      courseId,
-      isActive: true,
-      enrolledAt: admin.firestore.FieldValue.serverTimestamp(),
-      source: 'join-code'
-    };
-    const enrRef = await db.collection('enrollments').add(enrollmentData);
+    const roomId = roomIdFor(data.roomNumber);
+    const roomRef = db.collection('rooms').doc(roomId);
+    const existing = await roomRef.get();
+    if (existing.exists) {
+      return res.status(409).json({ error: `Room ${data.roomNumber} is already registered` });
+    }
 
-    // Increment enrolledCount
-    await db.collection('courses').doc(courseId).update({
-      enrolledCount: admin.firestore.FieldValue.increment(1)
+    const roomData = cleanObject({
+      ...data,
+      createdBy: req.user.uid,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
+    await roomRef.set(roomData);
+    invalidateRoomCache(roomId);
 
-    res.json({ success: true, enrollmentId: enrRef.id, course: { id: courseId, ...courseDoc.data() } });
+    await logAdminAction(req, 'room.create', 'room', roomId, { roomNumber: data.roomNumber });
+
+    res.json({ success: true, room: { id: roomId, ...roomData } });
   } catch (error) {
-    console.error('Error joining course:', error);
-    res.status(500).json({ error: 'Failed to join course' });
+    console.error('Error creating room:', error);
+    res.status(500).json({ error: 'Failed to create room' });
+  }
+});
+
+// Update a room (building, floor, boundary or centre+radius)
+app.put('/api/admin/rooms/:roomId', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const roomId = roomIdFor(req.params.roomId);
+    const { roomNumber, ...changes } = req.body || {};
+    if (roomNumber !== undefined && roomIdFor(roomNumber) !== roomId) {
+      return res.status(400).json({ error: 'roomNumber cannot be changed; register a new room instead' });
+    }
+
+    const { data, error } = validateRoomInput(changes, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const roomRef = db.collection('rooms').doc(roomId);
+    const existing = await roomRef.get();
+    if (!existing.exists) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const updates = cleanObject({
+      ...data,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    await roomRef.update(updates);
+    invalidateRoomCache(roomId);
+
+    await logAdminAction(req, 'room.update', 'room', roomId, { fields: Object.keys(data) });
+
+    res.json({ success: true, room: { id: roomId, ...existing.data(), ...updates } });
+  } catch (error) {
+    console.error('Error updating room:', error);
+    res.status(500).json({ error: 'Failed to update room' });
+  }
+});
+
+// Remove a room from the registry (existing sessions keep their geofence snapshot)
+app.delete('/api/admin/rooms/:roomId', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const roomId = roomIdFor(req.params.roomId);
+    const roomRef = db.collection('rooms').doc(roomId);
+    const existing = await roomRef.get();
+    if (!existing.exists) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    await roomRef.delete();
+    invalidateRoomCache(roomId);
+
+    await logAdminAction(req, 'room.delete', 'room', roomId, { roomNumber: existing.data().roomNumber });
+
+    res.json({ success: true, message: 'Room deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting room:', error);
+    res.status(500).json({ error: 'Failed to delete room' });
+  }
+});
+
+// Unknown API routes and errors thrown outside a route's own try/catch (bad JSON bodies, oversized
+// payloads) get the same { error, code } body as everything else instead of Express's HTML page
+app.use('/api/', (req, res) => {
+  notFound(res, `No route for ${req.method} ${req.path}`, 'ROUTE_NOT_FOUND');
+});
+
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON', code: 'INVALID_JSON' });
   }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body is too large', code: 'PAYLOAD_TOO_LARGE' });
+  }
+  console.error('Unhandled error:', err);
+  res.status(500).json({ error: 'Internal server error', code: 'INTERNAL' });
 });
 
 // ============================================
 // START SERVER
 // ============================================
 
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 IIIT NR Attendance Backend running on port ${PORT}`);
-  console.log(`📍 Health check: http://localhost:${PORT}/health`);
-  console.log(`📱 Network: http://192.168.137.1:${PORT}/health`);
-});
+// Tests require the app without listening
+if (require.main === module) {
+  app.listen(PORT, '0.0.0.0', () => {
+    console.log(`🚀 IIIT NR Attendance Backend running on port ${PORT}`);
+    console.log(`📍 Health check: http://localhost:${PORT}/health`);
+    console.log(`📱 Network: http://192.168.137.1:${PORT}/health`);
+  });
+}
+
+// Exported for the tests in __tests__/
+module.exports = {
+  app,
+  generateQRPayload,
+  generateRotatingQRPayload,
+  verifyQRSignature,
+  isQRWindowCurrent,
+  evaluateGeofence,
+  isPointInPolygon,
+  parseCsv,
+  validateTimetable,
+  courseSlots,
+  findClashes,
+  anomalyScore,
+  needsReview,
+  detectScanAnomalies,
+  applyExcusedPolicy,
+  buildCourseAttendance,
+  countSessionsHeld,
+  planCourseSessions,
+  calendarDay
+};